@@ -1,37 +1,159 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useDeferredValue, useEffect, useMemo, useRef, useState } from "react";
+import {
+  FOCUS_MODES,
+  IDLE_TIMER,
+  clockTimeToday,
+  elapsedSec,
+  flowBreakMin,
+  fmtTime,
+  isTimerDue,
+  isTimerIdle,
+  isTimerRunning,
+  nextPhase,
+  PAUSE_REASONS,
+  PHASES,
+  pauseIntervals,
+  pauseTimer,
+  plannedSec,
+  remainingSec,
+  startFlow,
+  startTimer,
+  startUntil,
+  tagPause,
+} from "./timer";
+import {
+  downloadFile,
+  exportFileName,
+  logToCSV,
+  logToICS,
+  logToJSON,
+  mergeLog,
+  parseLogImport,
+} from "./logExport";
+import StatsPanel from "./StatsPanel";
+import {
+  addSession,
+  clearSessions,
+  deleteSession,
+  getAllSessions,
+  getFocusDays,
+  getSessionsInRange,
+  getSessionsPage,
+  getStoredValue,
+  putSessions,
+  setStoredValue,
+  subscribeBlocked,
+  subscribeSessions,
+} from "./sessionStore";
+import {
+  SNOOZE_MIN,
+  notificationPermission,
+  phaseActions,
+  phaseEndScheduled,
+  requestNotificationPermission,
+  showPhaseNotification,
+} from "./notifications";
+import { applyUpdate, postToServiceWorker } from "./serviceWorkerRegistration";
+import { broadcast, subscribeTabs, useTimerOwnership } from "./tabSync";
+import { DEFAULT_PRESETS, PRESET_FIELDS, matchPreset, presetFromSettings } from "./presets";
+import { ALERT_SCOPES, DEFAULT_PHASE_ALERTS, MAX_ALERT_RULES, newAlertRule, plannedAlerts, resolvePhaseAlerts } from "./phaseAlerts";
+import { addDays, dayKey, fmtHM, sessionQuality, startOfDay, startOfWeek } from "./stats";
+import { DEFAULT_GOALS, GOAL_METRICS, convertGoals, goalStatus, resolveGoals } from "./goals";
+import { blockMinutes, nextBlock, workedBlocks } from "./planner";
+import DayPlanner from "./DayPlanner";
+import { LTR_PROPS, stripBidi } from "./bidi";
+import { NO_PROJECT, entryTags, newProject, projectSnapshot, splitTags } from "./projects";
+import { DEFAULT_SORT, EMPTY_FILTER, filterLog, groupByDay, isFiltered, sortForGrouping, sortLog } from "./logQuery";
+import { ESTIMATE_OPTIONS, blocksSoFar, estimateStatus } from "./estimates";
+import { DEFAULT_VISUALS, PALETTES, THEMES, paletteId, phaseColor, resolveVisuals, ringColor, trailColor, useColorScheme } from "./theme";
+import { crossedMilestone, milestoneText, useFocusTrap, useReducedMotion } from "./a11y";
+import { blankDraft, draftFromEntry, entryFromDraft, updateDraftTimes, validateDraft } from "./logEdit";
+import { actionForCombo, comboFromEvent, elementOwnsKey, formatCombo, rebind, resolveBindings } from "./shortcuts";
+import CommandPalette from "./CommandPalette";
+import {
+  ALERT_FILE_KEY,
+  AMBIENT_TYPES,
+  DEFAULT_AMBIENT,
+  DEFAULT_CUSTOM_TONES,
+  MAX_TONES,
+  SOUND_IDS,
+  WAVES,
+  alertFileProblem,
+  normalizeTone,
+  readAlertFile,
+  useAudio,
+} from "./audio";
+import { I18nContext, LANGUAGES, makeI18n } from "./i18n";
+import { DEFAULT_IDLE, IDLE_CHOICES, idleDetectorSupported, requestIdlePermission, useIdleDetection } from "./idle";
+import ShortcutHelp from "./ShortcutHelp";
 
 // =====================
 // FocusBlocks – lightweight Pomodoro/timeblock app
-// - Custom focus & break lengths
-// - Configurable alert sound & volume
-// - Timeblock task per focus window
-// - Session log with localStorage persistence
+// - Custom focus & break lengths, long break every N focus blocks
+// - Flow mode (count up, earns a proportional break) and "focus until 14:00"
+// - Optional auto-pause when we walk away: keep, discard or split off the idle time
+// - Named presets (25/5, 52/17, 90/20, …) recorded on each log entry
+// - Configurable alert sound & volume, opt-in desktop notifications
+// - Custom tone sequences or a local audio file as the alert, ambient noise
+//   during focus (see ./audio)
+// - In-phase alerts (minutes left, halfway, final-minute tick), per preset or global
+// - Timeblock task per focus window, with a colored project and #tags
+// - Persistent backlog; unfinished todos carry over instead of vanishing
+// - Todos estimated in focus blocks, compared with the blocks actually spent
+// - Session log in IndexedDB, paginated (+ CSV/JSON/.ics export, JSON import)
+// - Log search, filters, sortable columns and per-day grouping with subtotals
+// - Edit, annotate or delete log entries; add manual ones for offline work
+// - Stats dashboard (daily/weekly/monthly totals, streaks, heatmap)
+// - Daily/weekly focus goals per weekday, shown in the header, with streaks
+// - Pauses & interruptions recorded per session, rolled up as focus quality
+// - Wall-clock timer that survives background tabs & reloads
+// - Installable offline PWA (see service-worker.js)
+// - Light/dark theme (follows the system by default), themeable ring & trail
+// - Screen reader announcements, reduced motion, keyboard-friendly controls
+// - Remappable keyboard shortcuts and a Ctrl+K command palette
+// - English/German UI (see ./messages), dates & times in the chosen locale
+// - Open in several tabs: one owns the timer, the others mirror it live
+// - Day planner: blocks against clock times, planned vs. actual timeline
 // =====================
 
-const pad = (n) => String(n).padStart(2, "0");
-const fmtTime = (sec) => `${pad(Math.floor(sec / 60))}:${pad(Math.floor(sec % 60))}`;
 const countWords = (s = "") => (s.trim() ? s.trim().split(/\s+/).length : 0);
 const WORD_LIMIT = 1000;
+const LOG_PAGE_SIZE = 25;
+// Stop auto-continuing after this many phases ended unobserved in a row
+const MAX_CATCH_UP = 8;
 const stripHtml = (html = "") => {
   const el = document.createElement("div");
   el.innerHTML = html;
   return el.textContent || el.innerText || "";
 };
 
-// Remove Unicode BiDi controls (RLM/LRM/RLE/LRE/RLO/LRO/PDF/FSI/LSI/RSI)
-const BIDI_REGEX = /[\u200E\u200F\u202A-\u202E\u2066-\u2069]/g;
-
-const stripBidi = (s = "") => s.replace(BIDI_REGEX, "");
-
-// Force LTR rendering/caret order even if BiDi chars sneak in
-const LTR_PROPS = {
-  dir: "ltr",
-  style: { direction: "ltr", unicodeBidi: "bidi-override", textAlign: "left" },
-};
-
-
-
+// A goal in the header: a small bar plus "done / target"
+const GoalMeter = ({ label, done, target, met, format, color }) => (
+  <div className="flex items-center justify-end gap-2">
+    <span>{label}</span>
+    <span
+      role="progressbar"
+      aria-label={label}
+      aria-valuemin={0}
+      aria-valuemax={target}
+      aria-valuenow={Math.min(done, target)}
+      aria-valuetext={`${format(done)} / ${format(target)}`}
+      className="h-1.5 w-20 overflow-hidden rounded-full bg-gray-200"
+    >
+      <span className="block h-full rounded-full" style={{ width: `${Math.min(100, (done / target) * 100)}%`, background: color }} />
+    </span>
+    <span className="tabular-nums">
+      {format(done)} / {format(target)}
+      {met && " ✓"}
+    </span>
+  </div>
+);
 
+// Task/todo text with its #tags highlighted
+const TaggedText = ({ text }) =>
+  splitTags(text).map((part, i) =>
+    part.tag ? <span key={i} className="text-indigo-700">{part.text}</span> : part.text
+  );
 
 // ===== Spark Trail Config & Helper Functions =====
 const toRad = (deg) => (deg * Math.PI) / 180; // Convert degrees → radians
@@ -44,11 +166,6 @@ const SPARK = {
   cap: 10           // max sparks in the trail at a time
 };
 
-// Color of the spark based on phase
-const sparkColor = (phase) => (
-  phase === "focus" ? "#f59e0b" /* warm amber */ : "#10b981" /* cool emerald */
-);
-
 const useLocalStorage = (key, initial) => {
   const [value, setValue] = useState(() => {
     try {
@@ -61,49 +178,176 @@ const useLocalStorage = (key, initial) => {
   useEffect(() => {
     try { localStorage.setItem(key, JSON.stringify(value)); } catch { }
   }, [key, value]);
+
+  // Mirror writes from other tabs (the event never fires in the writing tab,
+  // and re-saving an identical value doesn't fire it again – no echo loop)
+  const initialRef = useRef(initial);
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key !== key || e.storageArea !== localStorage) return;
+      try {
+        setValue(e.newValue ? JSON.parse(e.newValue) : initialRef.current);
+      } catch { }
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, [key]);
+
   return [value, setValue];
 };
 
-function useAudio() {
-  const ctxRef = useRef(null);
-  const ensureCtx = () => {
-    if (!ctxRef.current) ctxRef.current = new (window.AudioContext || window.webkitAudioContext)();
-    return ctxRef.current;
-  };
-  const playBeep = async ({ type = "beep", volume = 0.5 } = {}) => {
-    const ctx = ensureCtx();
-    const now = ctx.currentTime;
-    const gain = ctx.createGain();
-    gain.gain.value = Math.max(0, Math.min(volume, 1));
-    gain.connect(ctx.destination);
-
-    const makeTone = (freq, dur, delay = 0) => {
-      const osc = ctx.createOscillator();
-      osc.type = "sine";
-      osc.frequency.value = freq;
-      osc.connect(gain);
-      osc.start(now + delay);
-      osc.stop(now + delay + dur);
+// Like useLocalStorage, but persisted in the session store's kv table and
+// mirrored to other tabs over BroadcastChannel.
+// The initial value must already be loaded (see <App /> below).
+const useStoredState = (key, initial) => {
+  const [value, setValue] = useState(initial);
+  const syncedRef = useRef(JSON.stringify(initial)); // last value saved or received
+
+  useEffect(() => {
+    const json = JSON.stringify(value);
+    if (json === syncedRef.current) return;
+    syncedRef.current = json;
+    setStoredValue(key, value).catch(() => { });
+    broadcast({ type: "kv", key, value });
+  }, [key, value]);
+
+  useEffect(() => subscribeTabs((msg) => {
+    if (msg.type !== "kv" || msg.key !== key) return;
+    syncedRef.current = JSON.stringify(msg.value);
+    setValue(msg.value);
+  }), [key]);
+
+  return [value, setValue];
+};
+
+// Runs an async session-store query, and re-runs it whenever the store
+// changes or `key` does. A null key skips the query (e.g. hidden views).
+const useSessionQuery = (query, key, initial) => {
+  const [data, setData] = useState(initial);
+  const queryRef = useRef(query);
+  queryRef.current = query;
+
+  useEffect(() => {
+    if (key === null) return;
+    let alive = true;
+    const run = () => queryRef.current().then((d) => alive && setData(d)).catch(() => { });
+    run();
+    const unsubscribe = subscribeSessions(run);
+    return () => {
+      alive = false;
+      unsubscribe();
     };
+  }, [key]);
 
-    if (type === "beep") {
-      makeTone(880, 0.25, 0);
-    } else if (type === "chime") {
-      makeTone(660, 0.18, 0);
-      makeTone(990, 0.22, 0.18);
-    } else if (type === "tick") {
-      makeTone(440, 0.08, 0);
-    }
-  };
-  return { playBeep };
-}
+  return data;
+};
 
+// Open the session store (running the one-time localStorage migration) and
+// load the checklist before the timer mounts, so catch-up logging on reload
+// never snapshots an empty todo list. The alert file comes along with it.
+// While another tab holds up a database upgrade, say so instead.
 export default function App() {
+  const [initial, setInitial] = useState(null);
+  const [blocked, setBlocked] = useState(false);
+  const [language] = useLocalStorage("fb_language", "auto");
+
+  useEffect(() => subscribeBlocked(setBlocked), []);
+
+  useEffect(() => {
+    const load = (key) => getStoredValue(key).catch(() => null);
+    Promise.all([load("todos_current"), load(ALERT_FILE_KEY)]).then(([todos, alertFile]) =>
+      setInitial({ todos: Array.isArray(todos) ? todos : [], alertFile: alertFile || null })
+    );
+  }, []);
+
+  if (!initial) {
+    return blocked ? <p role="status" className="p-6 text-center text-gray-600">{makeI18n(language).t("app.upgradeBlocked")}</p> : null;
+  }
+  return <FocusBlocks initialTodos={initial.todos} initialAlertFile={initial.alertFile} />;
+}
+
+function FocusBlocks({ initialTodos, initialAlertFile }) {
   // Settings
   const [focusMin, setFocusMin] = useLocalStorage("fb_focusMin", 25);
   const [breakMin, setBreakMin] = useLocalStorage("fb_breakMin", 5);
+  const [longBreakMin, setLongBreakMin] = useLocalStorage("fb_longBreakMin", 15);
+  const [longBreakEvery, setLongBreakEvery] = useLocalStorage("fb_longBreakEvery", 4);
   const [volume, setVolume] = useLocalStorage("fb_volume", 0.6);
   const [sound, setSound] = useLocalStorage("fb_sound", "chime");
+  const [customTones, setCustomTones] = useLocalStorage("fb_customTones", DEFAULT_CUSTOM_TONES);
+  const [alertFile, setAlertFile] = useStoredState(ALERT_FILE_KEY, initialAlertFile); // { name, dataUrl } | null
+  const [ambient, setAmbient] = useLocalStorage("fb_ambient", DEFAULT_AMBIENT); // noise during focus
+  const alertSound = { type: sound, volume, tones: customTones, file: alertFile };
+
+  // Language (see ./i18n) – "auto" follows the browser
+  const [language, setLanguage] = useLocalStorage("fb_language", "auto");
+  const i18n = useMemo(() => makeI18n(language), [language]);
+  const { t, rich } = i18n;
+  const phaseLabel = useCallback((p) => t(`phase.${PHASES.includes(p) ? p : "break"}`), [t]);
+  useEffect(() => {
+    document.documentElement.lang = i18n.lang;
+  }, [i18n.lang]);
+
+  // Appearance (see ./theme)
+  const [theme, setTheme] = useLocalStorage("fb_theme", "system"); // "system" | "light" | "dark"
+  const [savedVisuals, setVisuals] = useLocalStorage("fb_visuals", DEFAULT_VISUALS);
+  const visuals = resolveVisuals(savedVisuals);
+  useColorScheme(theme);
+  const [reduceMotionSetting, setReduceMotion] = useLocalStorage("fb_reduceMotion", null); // null = follow the system
+  const reduceMotion = useReducedMotion(reduceMotionSetting);
+
+  // Polite screen reader announcements (phase changes, countdown milestones)
+  const [announcement, setAnnouncement] = useState("");
+
+  // Keyboard shortcuts (see ./shortcuts) – fb_shortcuts holds overrides only
+  const [shortcutOverrides, setShortcutOverrides] = useLocalStorage("fb_shortcuts", {});
+  const bindings = resolveBindings(shortcutOverrides);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [helpOpen, setHelpOpen] = useState(false);
+
+  // Presets (see ./presets) – the settings above stay the source of truth
+  const [presets, setPresets] = useLocalStorage("fb_presets", DEFAULT_PRESETS);
+  const [presetId, setPresetId] = useLocalStorage("fb_presetId", "classic");
+  const settings = { focusMin, breakMin, longBreakMin, longBreakEvery, sound, volume };
+  const activePreset = matchPreset(presets, presetId, settings);
+
+  // In-phase alerts (see ./phaseAlerts) – global, unless the active preset has its own
+  const [globalPhaseAlerts, setGlobalPhaseAlerts] = useLocalStorage("fb_phaseAlerts", DEFAULT_PHASE_ALERTS);
+  const phaseAlerts = resolvePhaseAlerts(globalPhaseAlerts, activePreset);
+  const presetAlerts = !!activePreset?.phaseAlerts;
+  const [autoStart, setAutoStart] = useLocalStorage("fb_autoStart", true);
+
+  // Focus mode (see ./timer): "timer" counts down the focus length, "flow"
+  // counts up and earns a break of 1 min per `flowRatio` min, "until" runs to
+  // a clock time
+  const [focusMode, setFocusMode] = useLocalStorage("fb_focusMode", "timer");
+  const [focusUntil, setFocusUntil] = useLocalStorage("fb_focusUntil", ""); // "HH:MM"
+  const [flowRatio, setFlowRatio] = useLocalStorage("fb_flowRatio", 5);
+  const [earnedBreak, setEarnedBreak] = useLocalStorage("fb_earnedBreak", null); // minutes, for the break after flow
+
+  // Focus goals (see ./goals), tracked in the header
+  const [savedGoals, setGoals] = useLocalStorage("fb_goals", DEFAULT_GOALS);
+  const goals = useMemo(() => resolveGoals(savedGoals), [savedGoals]);
+  const [goalsCheered, setGoalsCheered] = useLocalStorage("fb_goalsCheered", {}); // { day, week } last celebrated
+  const [celebration, setCelebration] = useState(null); // null | "day" | "week"
+
+  // Idle detection (see ./idle) – a running focus pauses itself while we're away
+  const [idle, setIdle] = useLocalStorage("fb_idle", DEFAULT_IDLE);
+  const [idleAway, setIdleAway] = useLocalStorage("fb_idleAway", null); // null | { from, to? } until decided
+  const [notify, setNotify] = useLocalStorage("fb_notify", false);
+  const [permission, setPermission] = useState(notificationPermission);
+
+  // Phase-end alert shown in the page (fallback when notifications are off/denied)
+  const [phaseAlert, setPhaseAlert] = useState(null); // null | { title, body }
+  const [snoozeUntil, setSnoozeUntil] = useLocalStorage("fb_snoozeUntil", null);
+
+  // Waiting service worker registration when a new version is available
+  const [updateReg, setUpdateReg] = useState(null);
+  useEffect(() => {
+    const onUpdate = (e) => setUpdateReg(e.detail);
+    window.addEventListener("focusblocks:update", onUpdate);
+    return () => window.removeEventListener("focusblocks:update", onUpdate);
+  }, []);
 
   // Keeps the page’s original title so we can restore it on unmount
   const originalTitleRef = useRef(document.title);
@@ -111,13 +355,26 @@ export default function App() {
   // Timeblock Task (per current focus window)
   const [currentTask, setCurrentTask] = useLocalStorage("fb_currentTask", "");
 
+  // Projects (see ./projects) – the current one goes with the focus task
+  const [projects, setProjects] = useLocalStorage("fb_projects", []); // [{ id, name, color }]
+  const [projectId, setProjectId] = useLocalStorage("fb_projectId", null);
+  const currentProject = projects.find((p) => p.id === projectId) || null;
+
   // ===== Todo list (for current focus window) =====
-  const [todos, setTodos] = useLocalStorage("fb_todos_current", []); 
-  // each todo: { id: string, text: string, done: boolean }
+  const [todos, setTodos] = useStoredState("todos_current", initialTodos);
+  // each todo: { id: string, text: string, done: boolean, sessions?: [{id, start, end, reason}] }
+
+  // ===== Backlog (todos not tied to a window yet) =====
+  const [backlog, setBacklog] = useLocalStorage("fb_backlog", []); // same shape as todos
+  const [carryOver, setCarryOver] = useLocalStorage("fb_carryOver", "backlog"); // "backlog" | "next"
+  const [newBacklogItem, setNewBacklogItem] = useState("");
+  const [showBacklog, setShowBacklog] = useState(false);
 
   // ===== Log details modal =====
   const [openDetails, setOpenDetails] = useState(null); 
-  // null | {id, phase, task, start, end, duration, reason, todos: []}
+  // null | {id, phase, task, start, end, duration, reason, todos: [], notes?} | { isNew: true }
+  const [editDraft, setEditDraft] = useState(null); // form state while editing (see ./logEdit)
+  const [editError, setEditError] = useState(null);
 
   // Live clock & date
   const [now, setNow] = useState(new Date());
@@ -127,43 +384,124 @@ export default function App() {
     return () => clearInterval(t);
   }, []);
 
-  // Timer State
-  const [isRunning, setIsRunning] = useState(false);
-  const [phase, setPhase] = useLocalStorage("fb_phase", "focus"); // "focus" | "break"
-  const [remaining, setRemaining] = useLocalStorage("fb_remaining", focusMin * 60);
+  // Timer State (see ./timer – deadlines instead of tick counting)
+  const [phase, setPhase] = useLocalStorage("fb_phase", "focus"); // "focus" | "break" | "longBreak"
+  const [round, setRound] = useLocalStorage("fb_round", 1); // focus block within the cycle (1-based)
+  const [timer, setTimer] = useLocalStorage("fb_timer", IDLE_TIMER);
+  const [clock, setClock] = useState(() => Date.now()); // drives re-renders while running
+  const isRunning = isTimerRunning(timer);
+  const isOwner = useTimerOwnership(); // only the owning tab finalizes & logs phases
 
   // Logs
-  const [log, setLog] = useLocalStorage("fb_log", []); // {id, phase, task, start, end, duration}
+  // Logs live in IndexedDB ({id, phase, task, start, end, duration, reason, todos});
+  // the table only ever reads one page of them
+  const [logView, setLogView] = useState("log"); // "log" | "stats"
+  const [logPage, setLogPage] = useState(0);
+  const logWindow = useSessionQuery(
+    () => getSessionsPage({ offset: logPage * LOG_PAGE_SIZE, limit: LOG_PAGE_SIZE }),
+    `page:${logPage}`,
+    { rows: [], total: 0 }
+  );
+  // Search/filter/sort/grouping (see ./logQuery) need the whole log in memory;
+  // the default view (newest first, ungrouped) stays on cheap pages
+  const [logFilter, setLogFilter] = useState(EMPTY_FILTER);
+  const [logSort, setLogSort] = useState(DEFAULT_SORT);
+  const [groupDays, setGroupDays] = useLocalStorage("fb_logGroupByDay", false);
+  const filtering = isFiltered(logFilter);
+  const queryingLog = filtering || groupDays || logSort.key !== DEFAULT_SORT.key || logSort.dir !== DEFAULT_SORT.dir;
+  // null until the first read is back
+  const allSessions = useSessionQuery(getAllSessions, logView === "stats" || queryingLog ? "all" : null, null);
+  const logLoading = queryingLog && !allSessions;
+  const deferredFilter = useDeferredValue(logFilter); // typing stays snappy on big logs
+  const queriedLog = useMemo(() => {
+    if (!queryingLog || !allSessions) return null;
+    const rows = filterLog(allSessions, deferredFilter);
+    return groupDays ? sortForGrouping(rows, logSort) : sortLog(rows, logSort);
+  }, [queryingLog, allSessions, deferredFilter, logSort, groupDays]);
+  const shownLog = queriedLog
+    ? { rows: queriedLog.slice(logPage * LOG_PAGE_SIZE, (logPage + 1) * LOG_PAGE_SIZE), total: queriedLog.length }
+    : logLoading ? { rows: [], total: 0 } : logWindow;
+  const pageCount = Math.max(1, Math.ceil(shownLog.total / LOG_PAGE_SIZE));
+
+  // ===== Day plan (see ./planner) =====
+  // { "YYYY-MM-DD": [{ id, start, end, phase, task }] }; the loaded block sets
+  // the window length and is recorded on the log entry as planBlockId
+  const [plans, setPlans] = useLocalStorage("fb_plans", {});
+  const [activeBlockId, setActiveBlockId] = useLocalStorage("fb_activeBlock", null);
+  const [followPlan, setFollowPlan] = useLocalStorage("fb_followPlan", true);
+  const today = dayKey(now);
+  const todayBlocks = plans[today] || [];
+  // by id on any day: a block that runs past midnight keeps its length and
+  // its place in that day's plan
+  const activeDay = activeBlockId ? Object.keys(plans).find((day) => plans[day].some((b) => b.id === activeBlockId)) : null;
+  const activeBlock = activeDay ? plans[activeDay].find((b) => b.id === activeBlockId) : null;
+  const todaySessions = useSessionQuery(
+    () => getSessionsInRange(startOfDay(now), addDays(now, 1) - 1),
+    `day:${today}`,
+    []
+  );
+
+  // ===== Goals =====
+  // day-granular, so it's only worked out again at midnight (or on changes);
+  // reads the store's per-day totals, not the log
+  const focusDays = useSessionQuery(getFocusDays, goals.enabled ? "days" : null, []);
+  const todayStart = startOfDay(now);
+  const goalProgress = useMemo(
+    () => (goals.enabled ? goalStatus(goals, focusDays, todayStart) : null),
+    [goals, focusDays, todayStart]
+  );
 
   const [newTodo, setNewTodo] = useState("");
   const [newDesc, setNewDesc] = useState("");
+  const [newEstimate, setNewEstimate] = useState(""); // focus blocks, "" = no estimate
   const [showDescField, setShowDescField] = useState(false);
 
   // ===== Spark Trail State =====
   // Stores positions of recent spark dots [{x, y, t}]
   const [trail, setTrail] = useState([]);
 
-  const { playBeep } = useAudio();
-  const sessionStartRef = useRef(null);
+  const { playBeep, scheduleBeep, playAmbient, stopAmbient } = useAudio();
 
   // 🔽 ADD THIS BLOCK
-  const getTotalSec = () => (phase === "focus" ? focusMin : breakMin) * 60;
+  const phaseMin = (p) => (p === "focus" ? focusMin : p === "longBreak" ? longBreakMin : breakMin);
+  // the mode the next focus starts in – a loaded plan block keeps its own length
+  const idleMode = phase === "focus" && !activeBlock ? focusMode : "timer";
+  const untilAt = timer.mode === "until" ? timer.endAt : isTimerIdle(timer) && idleMode === "until" ? clockTimeToday(focusUntil) : null;
+  const getTotalSec = () => {
+    if (timer.mode === "until") return plannedSec(timer);
+    if (isTimerIdle(timer) && idleMode === "until") return untilAt ? Math.round((untilAt - Date.now()) / 1000) : 0;
+    if (phase !== "focus" && earnedBreak) return earnedBreak * 60;
+    return (activeBlock && activeBlock.phase === phase ? blockMinutes(activeBlock) : phaseMin(phase)) * 60;
+  };
+  const remaining = remainingSec(timer, getTotalSec(), clock);
+  // flow counts up instead
+  const flowing = timer.mode === "flow" || (isTimerIdle(timer) && idleMode === "flow");
+  const shownSec = flowing ? elapsedSec(timer, clock) : remaining;
+  // the pause we're in counts as soon as it starts
+  const interruptions = (timer.pauses?.length || 0) + (timer.pausedAt ? 1 : 0);
+  // a focus block in progress counts towards the todos' estimates
+  const runningBlock = phase === "focus" && !isTimerIdle(timer) ? 1 : 0;
   const completingRef = useRef(false);
+  const catchUpRef = useRef(0); // phases finalized in a row without a live tick
 
-  const addTodo = (text, desc = "") => {
+  const addTodo = (text, desc = "", estimate = null) => {
     const trimmed = text.trim();
     const description = desc.trim();
     if (!trimmed) return;
-    if (countWords(description) > 1000) {
-      alert("Description is limited to 1000 words.");
+    if (countWords(description) > WORD_LIMIT) {
+      alert(t("todos.descriptionTooLong", { limit: WORD_LIMIT }));
       return;
     }
     setTodos((prev) => [
       ...prev,
-      { id: Date.now(), text: trimmed, description, done: false, open: false }
+      { id: Date.now(), text: trimmed, description, done: false, open: false, estimate }
     ]);
   };
 
+  const setEstimate = (id, estimate) => {
+    setTodos((prev) => prev.map((t) => (t.id === id ? { ...t, estimate } : t)));
+  };
+
 
   const toggleTodo = (id) => {
     setTodos((prev) => prev.map((t) => (t.id === id ? { ...t, done: !t.done } : t)));
@@ -177,10 +515,17 @@ export default function App() {
     setTodos((prev) => prev.map((t) => (t.id === id ? { ...t, open: !t.open } : t)));
   };
 
-  const updateDescription = (id, html) => {
+  // Leaving notes edit mode hands focus back to the ✏️ button
+  const editBtnRefs = useRef({});
+  const closeNotes = (id, save) => {
     setTodos((prev) =>
-      prev.map((t) => (t.id === id ? { ...t, description: html } : t))
+      prev.map((t) =>
+        t.id === id
+          ? { ...t, ...(save ? { description: t.tempDescription || "" } : {}), editing: false, tempDescription: undefined }
+          : t
+      )
     );
+    setTimeout(() => editBtnRefs.current[id]?.focus(), 0);
   };
 
 
@@ -188,52 +533,180 @@ export default function App() {
     setTodos((prev) => prev.filter((t) => !t.done));
   };
 
+  // Drop per-window UI flags before a todo leaves the checklist
+  const restingTodo = ({ open, editing, tempDescription, ...t }) => ({ ...t, done: false });
+
+  const moveToBacklog = (id) => {
+    const todo = todos.find((t) => t.id === id);
+    if (!todo) return;
+    setTodos((prev) => prev.filter((t) => t.id !== id));
+    setBacklog((prev) => [restingTodo(todo), ...prev.filter((b) => b.id !== id)]);
+  };
 
-  const finalizePhase = (reason = "completed", { autoSwitch = true } = {}) => {
+  const pullFromBacklog = (id) => {
+    const item = backlog.find((b) => b.id === id);
+    if (!item) return;
+    setBacklog((prev) => prev.filter((b) => b.id !== id));
+    setTodos((prev) => [...prev.filter((t) => t.id !== id), { ...item, done: false, open: false }]);
+  };
+
+  const addToBacklog = (text) => {
+    const trimmed = stripBidi(text).trim();
+    if (!trimmed) return;
+    setBacklog((prev) => [{ id: Date.now(), text: trimmed, description: "", done: false, sessions: [] }, ...prev]);
+  };
+
+  const removeFromBacklog = (id) => {
+    setBacklog((prev) => prev.filter((b) => b.id !== id));
+  };
+
+
+  const finalizePhase = (reason = "completed", { autoSwitch = true, at = null } = {}) => {
     if (completingRef.current) return;
     completingRef.current = true;
+    setIdleAway(null);
 
-    const total = getTotalSec();
-    const end = Date.now();
+    // a completed phase ends at its deadline, even if we only notice it later
+    // (background tab, reload) – everything else ends right now, unless told
+    // otherwise (`at`: idle time split off)
+    const end = at ?? (reason === "completed" && timer.endAt ? timer.endAt : Date.now());
 
-    // how much time actually elapsed
-    const elapsedSec = Math.max(0, Math.min(total, total - remaining));
-    const duration = reason === "completed" ? total : elapsedSec;
+    // how much time actually elapsed (pauses excluded)
+    const duration = elapsedSec(timer, end);
+    const earned = phase === "focus" && timer.mode === "flow" ? flowBreakMin(duration, flowRatio) : null;
 
     // derive start if missing
-    const start = sessionStartRef.current ?? end - duration * 1000;
+    const start = timer.startAt ?? end - duration * 1000;
+    const pauses = pauseIntervals(timer, end);
 
     const entry = {
       id: `${end}`,
       phase,
       task: phase === "focus" ? (currentTask || "(No task)") : "—",
+      preset: activePreset ? { id: activePreset.id, name: activePreset.name } : null,
+      project: phase === "focus" ? projectSnapshot(currentProject) : null,
+      tags: phase === "focus" ? entryTags(currentTask, todos) : [],
+      planBlockId: activeBlock ? activeBlock.id : null,
       start,
       end,
       duration,  // seconds
-      reason,    // "completed" | "reset" | "skipped"
-      todos: [...todos], // 👈 snapshot of current todo list
+      reason,    // "completed" | "reset" | "skipped" | "idle" (ended when we left)
+      pauses,    // [{ from, to, reason: null | "internal" | "external" | "idle" }]
+      interruptions: pauses.length,
+      // 👈 snapshot of current todo list (+ blocks spent on each, this one included)
+      todos: todos.map(({ sessions, ...t }) =>
+        phase === "focus" ? { ...t, blocks: blocksSoFar({ sessions }) + (reason === "completed" ? 1 : 0) } : t
+      ),
     };
-    setLog((l) => [entry, ...l].slice(0, 200));
+    addSession(entry).catch((err) => alert(t("log.saveFailed", { error: err.message })));
 
-    // 🔽 clear the current checklist whenever a FOCUS phase ends
+    // 🔽 a FOCUS phase ends: stamp the session on every todo, then clear the
+    // checklist – unfinished items go back to the backlog or roll over
     if (phase === "focus") {
-      setTodos([]);
+      const unfinished = todos
+        .filter((t) => !t.done)
+        .map((t) => restingTodo({ ...t, sessions: [...(t.sessions || []), { id: entry.id, start, end, reason }] }));
+
+      if (carryOver === "next") {
+        setTodos(unfinished);
+      } else {
+        setTodos([]);
+        const ids = new Set(unfinished.map((t) => t.id));
+        setBacklog((prev) => [...unfinished, ...prev.filter((b) => !ids.has(b.id))]);
+      }
     }
 
-    sessionStartRef.current = null;
-
-    if (reason === "completed" && autoSwitch) {
-      playBeep({ type: sound, volume });
-      const nextPhase = phase === "focus" ? "break" : "focus";
-      setPhase(nextPhase);
-      setRemaining((nextPhase === "focus" ? focusMin : breakMin) * 60);
-      setIsRunning(true);
+    if (autoSwitch) {
+      if (reason === "completed") {
+        const missed = Date.now() - end > 5000; // ended while we weren't looking
+        catchUpRef.current = missed ? catchUpRef.current + 1 : 0;
+        const { phase: next, minutes, planned } = moveOn(earned);
+        const nextTotal = minutes * 60;
+        // an unplanned focus keeps the chosen focus mode: flow counts up again
+        const flowNext = next === "focus" && !planned && focusMode === "flow";
+
+        // chain the next phase from the previous deadline so a closed tab
+        // keeps the schedule – but don't replay a whole night of phases
+        const chain = autoStart && catchUpRef.current < MAX_CATCH_UP;
+        setTimer(!chain ? IDLE_TIMER : flowNext ? startFlow(end) : startTimer(IDLE_TIMER, nextTotal, end));
+        if (!missed) {
+          alertPhase({ title: t("alert.complete", { phase: phaseLabel(phase) }), task: entry.phase === "focus" ? entry.task : null, next, minutes, started: chain, at: end });
+        }
+      } else {
+        moveOn();
+        setTimer(IDLE_TIMER);
+      }
+    } else {
+      setTimer(IDLE_TIMER);
     }
 
     completingRef.current = false;
   };
   // 🔼 END ADD
 
+  // ===== Phase alerts =====
+  // Sound + desktop notification; the in-app banner covers denied/unsupported
+  // `at`: the deadline that passed, if the service worker may have notified
+  const alertPhase = ({ title, task = null, next, minutes = phaseMin(next), started = false, at = null }) => {
+    playBeep(alertSound);
+    const body = [task, t(started ? "alert.nextStarted" : "alert.next", { phase: phaseLabel(next), min: minutes })]
+      .filter(Boolean)
+      .join(" · ");
+
+    const fallback = () => setPhaseAlert({ title, body });
+    if (!notify) return fallback();
+    phaseEndScheduled(at)
+      .then((scheduled) => scheduled || showPhaseNotification({ title, body, actions: phaseActions(t, SNOOZE_MIN) }))
+      .then((shown) => !shown && fallback());
+  };
+
+  // Postpone the upcoming phase: stop it and remind again in a few minutes
+  const snooze = () => {
+    setTimer(IDLE_TIMER);
+    setPhaseAlert(null);
+    setSnoozeUntil(Date.now() + SNOOZE_MIN * 60 * 1000);
+  };
+
+  const enableNotifications = async (on) => {
+    if (!on) return setNotify(false);
+    const result = await requestNotificationPermission();
+    setPermission(result);
+    setNotify(result === "granted");
+  };
+
+  // Move to the next phase of the Pomodoro cycle; returns the new phase
+  const advancePhase = () => {
+    const next = nextPhase({ phase, round, every: longBreakEvery });
+    setPhase(next.phase);
+    setRound(next.round);
+    setEarnedBreak(null);
+    return next.phase;
+  };
+
+  // After a phase: the next planned block if we're following the plan,
+  // otherwise the regular cycle. Returns the new phase, its length – a break
+  // after flow lasts the `earned` minutes instead – and whether it's planned.
+  const moveOn = (earned = null) => {
+    const done = new Set(workedBlocks(todaySessions).keys());
+    const block = followPlan && activeBlock ? nextBlock(plans[activeDay], activeBlock.id, done) : null;
+    if (block) {
+      loadBlock(block);
+      return { phase: block.phase, minutes: blockMinutes(block), planned: true };
+    }
+    setActiveBlockId(null);
+    const next = advancePhase();
+    const breakMinutes = next !== "focus" ? earned : null;
+    setEarnedBreak(breakMinutes);
+    return { phase: next, minutes: breakMinutes || phaseMin(next), planned: false };
+  };
+
+  const loadBlock = (block) => {
+    setEarnedBreak(null);
+    setPhase(block.phase);
+    setActiveBlockId(block.id);
+    if (block.phase === "focus" && block.task) setCurrentTask(block.task);
+  };
+
   // keep a ref to always-latest finalizePhase to avoid stale closures
   const finalizeRef = useRef(finalizePhase);
   useEffect(() => {
@@ -241,97 +714,442 @@ export default function App() {
   }, [finalizePhase]);
 
 
-  // Keep remaining synced to setting changes when stopped or when phase changes
+  // Ambient noise: only while a focus phase runs in the owning tab; fades
+  // out when the break starts (or on pause/reset)
+  const ambientOn = ambient.type !== "off" && isRunning && phase === "focus" && isOwner;
+  const ambientRef = useRef(null);
+  ambientRef.current = { playAmbient, stopAmbient };
+  useEffect(() => {
+    if (ambientOn) ambientRef.current.playAmbient(ambient.type, ambient.volume);
+    else ambientRef.current.stopAmbient();
+  }, [ambientOn, ambient.type, ambient.volume]);
+
+  // Core timer loop: the interval only refreshes the clock, remaining time is
+  // always derived from the stored deadline (throttling can't stretch a phase)
+  useEffect(() => {
+    if (!isRunning) return;
+
+    const tick = () => setClock(Date.now());
+    const id = setInterval(tick, 250);
+    document.addEventListener("visibilitychange", tick);
+    return () => {
+      clearInterval(id);
+      document.removeEventListener("visibilitychange", tick);
+    };
+  }, [isRunning]);
+
+  // Finalize once the deadline has passed – also replays phases that ended
+  // while the page was closed, one per render, each with its real timestamps
+  const dueRef = useRef(null); // deadline already finalized (StrictMode runs effects twice)
   useEffect(() => {
-    if (!isRunning) {
-      setRemaining((phase === "focus" ? focusMin : breakMin) * 60);
+    if (!isOwner) return; // another tab logs it; we'll mirror the result
+    if (isTimerDue(timer, Math.max(clock, Date.now())) && dueRef.current !== timer.endAt) {
+      dueRef.current = timer.endAt;
+      // finalize using the latest function (no stale closure)
+      finalizeRef.current("completed");
     }
-  }, [focusMin, breakMin, phase, isRunning, setRemaining]);
-
-
-    // Core timer loop (ref-safe, lint-clean)
-    useEffect(() => {
-      if (!isRunning) return;
-
-      if (!sessionStartRef.current) sessionStartRef.current = Date.now();
-
-      const tick = () => {
-        setRemaining((prev) => {
-          if (prev <= 1) {
-            // finalize using the latest function (no stale closure)
-            finalizeRef.current("completed");
-            return 0;
-          }
-          return prev - 1;
-        });
-      };
-
-      const id = setInterval(tick, 1000);
-      return () => clearInterval(id);
-    }, [isRunning]); // ✅ only depends on a stable ref + state flag
-
-
-  // const handlePhaseComplete = () => {
-  //   // finalize log for this phase
-  //   const start = sessionStartRef.current || Date.now();
-  //   const end = Date.now();
-  //   const duration = (phase === "focus" ? focusMin : breakMin) * 60;
-  //   const entry = {
-  //     id: `${end}`,
-  //     phase,
-  //     task: phase === "focus" ? currentTask || "(No task)" : "—",
-  //     start,
-  //     end,
-  //     duration,
-  //   };
-  //   setLog((l) => [entry, ...l].slice(0, 200));
-  //   sessionStartRef.current = null;
-
-  //   // alert & switch phase
-  //   playBeep({ type: sound, volume });
-  //   const nextPhase = phase === "focus" ? "break" : "focus";
-  //   setPhase(nextPhase);
-  //   setRemaining((nextPhase === "focus" ? focusMin : breakMin) * 60);
-  //   // If auto-continue, start next phase automatically
-  //   setIsRunning(true);
-  // };
+  }, [timer, clock, isOwner]);
+
 
   const start = () => {
-    if (remaining <= 0) setRemaining((phase === "focus" ? focusMin : breakMin) * 60);
-    sessionStartRef.current = Date.now();
-    setIsRunning(true);
+    const fresh = isTimerIdle(timer);
+    const until = fresh && idleMode === "until" ? clockTimeToday(focusUntil) : null;
+    if (fresh && idleMode === "until" && !until) return alert(t("timer.untilPassed"));
+    catchUpRef.current = 0;
+    setPhaseAlert(null);
+    setSnoozeUntil(null);
+    setIdleAway(null);
+    setClock(Date.now());
+    if (fresh && idleMode === "flow") setTimer(startFlow());
+    else if (until) setTimer(startUntil(until));
+    else setTimer((t) => startTimer(t, getTotalSec()));
+    const key = flowing ? (timer.pausedAt ? "announce.flowResumed" : "announce.flowStarted") : timer.pausedAt ? "announce.resumed" : "announce.started";
+    setAnnouncement(t(key, { phase: phaseLabel(phase), time: fmtTime(until ? (until - Date.now()) / 1000 : shownSec) }));
   };
   const pause = () => {
-    setIsRunning(false);
-    sessionStartRef.current = null;
+    setTimer((t) => pauseTimer(t));
+    setAnnouncement(t(flowing ? "announce.flowPaused" : "announce.paused", { time: fmtTime(shownSec) }));
+  };
+  // Flow has no deadline: ending it by hand completes it
+  const finishFlow = () => finalizePhase("completed");
+
+  // ===== Idle detection =====
+  // A running focus is paused back to when we left; what becomes of the time
+  // away is asked once we're back (resolveIdle)
+  useIdleDetection({
+    enabled: idle.enabled && isOwner && phase === "focus" && (isRunning || !!idleAway),
+    minutes: idle.minutes,
+    system: idle.system,
+    input: idle.input,
+    away: !!idleAway && !idleAway.to,
+    onIdle: (from) => {
+      if (!isRunning || (timer.endAt && from >= timer.endAt)) return; // over before we left
+      const since = Math.max(from, timer.startAt, ...(timer.pauses || []).map((p) => p.to));
+      setTimer((t) => tagPause(pauseTimer(t, since), "idle"));
+      setIdleAway({ from: since });
+      setAnnouncement(t("announce.idle"));
+    },
+    onReturn: (at) => setIdleAway((a) => (a && !a.to ? { ...a, to: at } : a)),
+  });
+
+  // keep: as if we never left · discard: the time away becomes an "idle"
+  // pause and the block carries on · split: log the focus up to when we
+  // left (reason "idle") and stop there
+  const resolveIdle = (choice) => {
+    if (!idleAway) return;
+    if (choice === "split") return finalizePhase("idle", { autoSwitch: false, at: idleAway.from });
+    if (choice === "keep") setTimer((t) => (t.pauseReason === "idle" ? { ...t, pausedAt: null, pauseReason: null } : t));
+    else setTimer((t) => (t.pausedAt ? startTimer(t, getTotalSec()) : t));
+    setClock(Date.now());
+    setIdleAway(null);
+  };
+
+  const setSystemIdle = async (on) => {
+    if (on && !(await requestIdlePermission())) return alert(t("settings.idleSystemDenied"));
+    setIdle((prev) => ({ ...prev, system: on }));
+  };
+  const tagInterruption = (reason) => {
+    setTimer((t) => tagPause(t, t.pauseReason === reason ? null : reason));
   };
   const reset = () => {
-    const total = getTotalSec();
-    const shouldLog = remaining < total; // only if user actually spent time
-    setIsRunning(false);
+    const shouldLog = elapsedSec(timer) > 0; // only if user actually spent time
     if (shouldLog) finalizePhase("reset", { autoSwitch: false });
-    sessionStartRef.current = null;
-    setRemaining(total); // restart same phase fresh
+    setTimer(IDLE_TIMER); // restart same phase fresh
   };
 
   const skip = () => {
-    setIsRunning(false);
-    sessionStartRef.current = null;
-    finalizePhase("skipped", { autoSwitch: true }); // will switch & beep
+    if (isTimerIdle(timer)) {
+      // nothing to log – just move on to the next phase
+      advancePhase();
+      return;
+    }
+    finalizePhase("skipped", { autoSwitch: true }); // logs & switches (stopped)
+  };
+
+  // Snoozed phase is due again (the header clock ticks every second)
+  const alertRef = useRef(alertPhase);
+  alertRef.current = alertPhase;
+  useEffect(() => {
+    if (!isOwner) return;
+    if (snoozeUntil && now.getTime() >= snoozeUntil) {
+      setSnoozeUntil(null);
+      alertRef.current({ title: t("alert.waiting", { phase: phaseLabel(phase) }), next: phase });
+    }
+  }, [now, snoozeUntil, phase, setSnoozeUntil, isOwner, t, phaseLabel]);
+
+  // Notification actions routed back by the service worker (or via the URL
+  // when it had to open a new window for us)
+  const actionRef = useRef(null);
+  actionRef.current = (action) => {
+    if (action === "start" && !isRunning) start();
+    else if (action === "snooze") snooze();
+  };
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has("notification")) {
+      actionRef.current(params.get("notification"));
+      window.history.replaceState(null, "", window.location.pathname);
+    }
+    if (!("serviceWorker" in navigator)) return;
+    const onMessage = (e) => {
+      if (e.data && e.data.type === "notification-action") actionRef.current(e.data.action);
+    };
+    navigator.serviceWorker.addEventListener("message", onMessage);
+    return () => navigator.serviceWorker.removeEventListener("message", onMessage);
+  }, []);
+
+  // Let the service worker pre-schedule the phase-end notification, so it
+  // shows up on time even if this page gets frozen in the background
+  useEffect(() => {
+    if (notify && isRunning && timer.endAt) {
+      postToServiceWorker({
+        type: "schedule-phase-end",
+        at: timer.endAt,
+        title: t("alert.complete", { phase: phaseLabel(phase) }),
+        body: phase === "focus" ? currentTask || t("task.none") : t("notify.timeToFocus"),
+        actions: phaseActions(t, SNOOZE_MIN),
+      });
+    } else {
+      postToServiceWorker({ type: "cancel-phase-end" });
+    }
+  }, [notify, isRunning, timer.endAt, phase, currentTask, t, phaseLabel]);
+
+  // ===== Custom alert sounds (see ./audio) =====
+  const updateTone = (index, changes) =>
+    setCustomTones((prev) => prev.map((tone, i) => (i === index ? { ...tone, ...changes } : tone)));
+
+  const addTone = () =>
+    setCustomTones((prev) => (prev.length < MAX_TONES ? [...prev, { ...prev[prev.length - 1] }] : prev));
+
+  const removeTone = (index) => setCustomTones((prev) => (prev.length > 1 ? prev.filter((_, i) => i !== index) : prev));
+
+  const pickAlertFile = async (file) => {
+    if (!file) return;
+    const problem = alertFileProblem(file);
+    if (problem) return alert(t(`sound.fileProblem.${problem}`, { max: "1 MB" }));
+    try {
+      setAlertFile(await readAlertFile(file));
+    } catch (err) {
+      alert(t("sound.fileFailed", { error: err.message }));
+    }
+  };
+
+  // ===== Presets =====
+  const applyPreset = (id) => {
+    const preset = presets.find((p) => p.id === id);
+    if (!preset) return;
+    const setters = { focusMin: setFocusMin, breakMin: setBreakMin, longBreakMin: setLongBreakMin, longBreakEvery: setLongBreakEvery, sound: setSound, volume: setVolume };
+    // presets saved while they carried no volume leave it as it is
+    PRESET_FIELDS.forEach((f) => preset[f] !== undefined && setters[f](preset[f]));
+    setPresetId(id);
+  };
+
+  const savePreset = () => {
+    const name = (window.prompt(t("settings.presetPrompt"), activePreset ? t("settings.presetCopy", { name: activePreset.name }) : `${focusMin}/${breakMin}`) || "").trim();
+    if (!name) return;
+    const preset = presetFromSettings(stripBidi(name), settings);
+    setPresets((prev) => [...prev, preset]);
+    setPresetId(preset.id);
+  };
+
+  const deletePreset = (id) => {
+    if (presets.length <= 1) return;
+    setPresets((prev) => prev.filter((p) => p.id !== id));
+  };
+
+  // ===== Projects =====
+  const selectProject = (value) => {
+    if (value !== "__new") return setProjectId(value || null);
+    const name = stripBidi(window.prompt(t("project.prompt")) || "").trim();
+    if (!name) return;
+    const project = newProject(name, projects);
+    setProjects((prev) => [...prev, project]);
+    setProjectId(project.id);
+  };
+
+  const setProjectColor = (color) =>
+    setProjects((prev) => prev.map((p) => (p.id === projectId ? { ...p, color } : p)));
+
+  const deleteProject = () => {
+    if (!currentProject) return;
+    if (!window.confirm(t("project.confirmDelete", { name: currentProject.name }))) return;
+    setProjects((prev) => prev.filter((p) => p.id !== currentProject.id));
+    setProjectId(null);
+  };
+
+  const updateLogFilter = (changes) => {
+    setLogFilter((f) => ({ ...f, ...changes }));
+    setLogPage(0);
+  };
+
+  // Click a column: sort by it, click again to flip the direction
+  const sortLogBy = (key) => {
+    setLogSort((s) => (s.key === key ? { key, dir: s.dir === "asc" ? "desc" : "asc" } : { key, dir: key === "task" || key === "phase" ? "asc" : "desc" }));
+    setLogPage(0);
+  };
+
+  // Switching phase by hand (timer stopped) drops any paused progress
+  const selectPhase = (next) => {
+    setPhase(next);
+    setActiveBlockId(null);
+    setEarnedBreak(null);
+    setTimer(IDLE_TIMER);
+  };
+
+  // ===== Day plan =====
+  const addBlock = (block) => setPlans((prev) => ({ ...prev, [today]: [...(prev[today] || []), block] }));
+
+  const removeBlock = (id) => {
+    setPlans((prev) => ({ ...prev, [today]: (prev[today] || []).filter((b) => b.id !== id) }));
+    if (id === activeBlockId) setActiveBlockId(null);
+  };
+
+  // Loading a block by hand (timer stopped) drops any paused progress too
+  const loadBlockById = (id) => {
+    const block = todayBlocks.find((b) => b.id === id);
+    if (!block || isRunning) return;
+    loadBlock(block);
+    setTimer(IDLE_TIMER);
   };
 
+  const totalSec = getTotalSec();
   const pct = useMemo(() => {
-    const total = (phase === "focus" ? focusMin : breakMin) * 60;
-    if (!total) return 0;
-    return Math.round(((total - remaining) / total) * 100);
-  }, [remaining, phase, focusMin, breakMin]);
+    if (!totalSec) return 0;
+    // flow has no end: the ring fills once per focus length, then goes round again
+    if (flowing) return Math.floor(((shownSec % totalSec) / totalSec) * 100);
+    return Math.max(0, Math.min(100, Math.round(((totalSec - remaining) / totalSec) * 100)));
+  }, [remaining, totalSec, flowing, shownSec]);
+
+  // ===== In-phase alerts =====
+  // Re-planned whenever the deadline or the rules change; pausing calls off
+  // everything still pending (resuming moves the deadline and re-plans)
+  const alertPlanRef = useRef(null);
+  alertPlanRef.current = () =>
+    plannedAlerts(phaseAlerts, { phase, totalSec, endAt: timer.endAt }).map((a) =>
+      scheduleBeep(
+        { ...alertSound, type: a.sound, volume: a.soft ? volume * 0.4 : volume },
+        (a.at - Date.now()) / 1000
+      )
+    );
+  const alertPlanKey = isRunning && isOwner && timer.endAt ? JSON.stringify([timer.endAt, phase, totalSec, phaseAlerts, customTones, volume]) : null;
+  useEffect(() => {
+    if (!alertPlanKey) return;
+    const cancels = alertPlanRef.current();
+    return () => cancels.forEach((cancel) => cancel());
+  }, [alertPlanKey]);
+
+  // Edits go to the active preset when it has its own alerts
+  const updatePhaseAlerts = (changes) => {
+    if (!presetAlerts) return setGlobalPhaseAlerts((prev) => ({ ...DEFAULT_PHASE_ALERTS, ...prev, ...changes }));
+    setPresets((prev) => prev.map((p) => (p.id === activePreset.id ? { ...p, phaseAlerts: { ...phaseAlerts, ...changes } } : p)));
+  };
+
+  const updateAlertRule = (id, changes) =>
+    updatePhaseAlerts({ rules: phaseAlerts.rules.map((r) => (r.id === id ? { ...r, ...changes } : r)) });
+
+  // Preset-specific alerts start out as a copy of the global ones
+  const setPresetAlerts = (on) =>
+    setPresets((prev) =>
+      prev.map((p) => {
+        if (p.id !== activePreset.id) return p;
+        const { phaseAlerts: own, ...rest } = p;
+        return on ? { ...rest, phaseAlerts: resolvePhaseAlerts(globalPhaseAlerts) } : rest;
+      })
+    );
+
+  // ===== Announcements =====
+  const lastRemainingRef = useRef(remaining);
+  useEffect(() => {
+    const prev = lastRemainingRef.current;
+    lastRemainingRef.current = remaining;
+    if (!isRunning) return;
+    const mark = crossedMilestone(prev, remaining, totalSec);
+    if (mark) setAnnouncement(t("announce.milestone", { milestone: milestoneText(mark, t), phase: t(`announce.phase.${phase}`) }));
+  }, [remaining, isRunning, totalSec, phase, t]);
+
+  const lastPhaseRef = useRef(phase);
+  useEffect(() => {
+    const prev = lastPhaseRef.current;
+    if (prev === phase) return;
+    lastPhaseRef.current = phase;
+    setAnnouncement(t(isRunning ? "announce.phaseChangeRunning" : "announce.phaseChange", { prev: phaseLabel(prev), next: phaseLabel(phase), count: Math.round(totalSec / 60) }));
+  }, [phase, totalSec, isRunning, t, phaseLabel]);
+
+  // ===== Goal celebrations =====
+  // Once per day (and week) a goal is met – fb_goalsCheered keeps other tabs
+  // and reloads from cheering again
+  const cheerRef = useRef(null);
+  cheerRef.current = (kind) => {
+    setGoalsCheered((prev) => ({ ...prev, [kind]: kind === "day" ? today : dayKey(startOfWeek(todayStart)) }));
+    setCelebration(kind);
+    setAnnouncement(t(`goals.met.${kind}`));
+    playBeep(alertSound);
+  };
+  useEffect(() => {
+    if (!goalProgress) return;
+    if (goalProgress.today.met && goalsCheered.day !== today) cheerRef.current("day");
+    else if (goalProgress.week.met && goalsCheered.week !== dayKey(startOfWeek(todayStart))) cheerRef.current("week");
+  }, [goalProgress, goalsCheered, today, todayStart]);
+
+  const updateGoals = (changes) => setGoals((prev) => ({ ...resolveGoals(prev), ...changes }));
+
+  const setDailyGoal = (index, value) =>
+    updateGoals({ daily: goals.daily.map((v, i) => (i === index ? Math.max(0, Number(value || 0)) : v)) });
+
+  const fmtGoal = (value) =>
+    goals.metric === "blocks" ? t("goals.blocks", { count: Math.floor(value) }) : fmtHM(Math.floor(value) * 60);
 
-  const clearLog = () => setLog([]);
+  // Mon … Sun in the UI language
+  const weekdayName = (index, weekday = "short") => i18n.date(addDays(startOfWeek(todayStart), index), { weekday });
+
+  const clearLog = async () => {
+    if (!window.confirm(t("log.confirmClear", { count: logWindow.total }))) return;
+    try {
+      await clearSessions();
+      setLogPage(0);
+    } catch (err) {
+      alert(t("log.clearFailed", { error: err.message }));
+    }
+  };
+
+  // ===== Log entry editing (details modal) =====
+  const closeDetails = () => {
+    setOpenDetails(null);
+    setEditDraft(null);
+    setEditError(null);
+  };
+
+  const addManualEntry = () => {
+    setOpenDetails({ isNew: true });
+    setEditDraft(blankDraft());
+    setEditError(null);
+  };
+
+  const editEntry = () => {
+    setEditDraft(draftFromEntry(openDetails));
+    setEditError(null);
+  };
+
+  const detailsRef = useRef(null);
+  useFocusTrap(detailsRef, !!openDetails, closeDetails);
+
+  const cancelEdit = () => (openDetails.isNew ? closeDetails() : setEditDraft(null));
+
+  const saveEntry = async () => {
+    const draft = { ...editDraft, task: stripBidi(editDraft.task), notes: stripBidi(editDraft.notes) };
+    const problem = validateDraft(draft, t);
+    setEditError(problem);
+    if (problem) return;
+    const entry = entryFromDraft(draft, openDetails.isNew ? null : openDetails, projects);
+    try {
+      await putSessions([entry]);
+      setOpenDetails(entry);
+      setEditDraft(null);
+    } catch (err) {
+      alert(t("details.saveFailed", { error: err.message }));
+    }
+  };
+
+  const deleteEntry = async () => {
+    if (!window.confirm(t("details.confirmDelete"))) return;
+    try {
+      await deleteSession(openDetails.id);
+      closeDetails();
+    } catch (err) {
+      alert(t("details.deleteFailed", { error: err.message }));
+    }
+  };
+
+  // ===== Export / import =====
+  const importInputRef = useRef(null);
+
+  const exportLog = async (format) => {
+    const log = await getAllSessions();
+    if (format === "csv") downloadFile(exportFileName("csv"), logToCSV(log), "text/csv;charset=utf-8");
+    else if (format === "json") downloadFile(exportFileName("json"), logToJSON(log), "application/json");
+    else if (format === "ics") downloadFile(exportFileName("ics"), logToICS(log), "text/calendar;charset=utf-8");
+  };
+
+  const importLog = async (file) => {
+    if (!file) return;
+    try {
+      const { entries, skipped } = parseLogImport(await file.text());
+      const { added } = mergeLog(await getAllSessions(), entries);
+      await putSessions(added);
+      alert(
+        t("import.done", { count: added.length }) +
+        (entries.length - added.length ? t("import.duplicates", { count: entries.length - added.length }) : "") +
+        (skipped ? t("import.skipped", { count: skipped }) : "")
+      );
+    } catch (err) {
+      alert(t("import.failed", { error: err.code ? t(`import.problem.${err.code}`) : err.message }));
+    }
+  };
 
   // ===== Spark Trail Update Effect =====
   // ⬇️  ADD THIS **RIGHT HERE** (after the above useEffect, before `return`)
   useEffect(() => {
-    if (!isRunning) return; // Only update trail when timer is running
+    if (!isRunning || reduceMotion) return; // Only update trail when timer is running (and motion is welcome)
 
     // Calculate head position based on pct
     const angle = -90 + (pct / 100) * 360; // -90deg so it starts at top
@@ -346,23 +1164,23 @@ export default function App() {
         .slice(-SPARK.cap);
       return fresh;
     });
-  }, [pct, isRunning]);
+  }, [pct, isRunning, reduceMotion]);
 
   // ===== Browser tab live title =====
   useEffect(() => {
     const original = originalTitleRef.current; // snapshot for cleanup
-    const label = phase === "focus" ? "🔥" : "Break";
+    const label = phase === "focus" ? "🔥" : phaseLabel(phase);
 
     if (isRunning) {
-      document.title = `${fmtTime(remaining)} • ${label} Focus 🔥`;
+      document.title = t("title.running", { time: fmtTime(shownSec), label });
     } else {
-      document.title = `Paused • ${label} Focus 🔥`;
+      document.title = t("title.paused", { label });
     }
 
     return () => {
       document.title = original;
     };
-  }, [remaining, isRunning, phase]);
+  }, [shownSec, isRunning, phase, t, phaseLabel]);
 
   useEffect(() => {
     setTodos((prev) =>
@@ -375,48 +1193,231 @@ export default function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // ===== Keyboard shortcuts & command palette =====
+  const taskInputRef = useRef(null);
+  const todoInputRef = useRef(null);
+  const logRef = useRef(null);
 
+  const openLog = (view) => {
+    setLogView(view);
+    logRef.current?.scrollIntoView?.({ behavior: reduceMotion ? "auto" : "smooth", block: "start" });
+  };
 
+  const commands = [
+    { id: "toggle", group: t("cmd.timer"), label: t(isRunning ? "timer.pause" : timer.pausedAt ? "timer.resume" : "timer.start"), run: isRunning ? pause : start },
+    { id: "skip", group: t("cmd.timer"), label: t("shortcut.skip"), run: skip },
+    { id: "reset", group: t("cmd.timer"), label: t("timer.reset"), run: reset },
+    ...PHASES.map((p) => ({ id: `phase:${p}`, group: t("cmd.timer"), label: t(`shortcut.phase:${p}`), disabled: isRunning || phase === p, run: () => selectPhase(p) })),
+    { id: "snooze", group: t("cmd.timer"), label: t("alert.snooze", { min: SNOOZE_MIN }), disabled: !phaseAlert, run: snooze },
+    { id: "newTodo", group: t("cmd.todos"), label: t("shortcut.newTodo"), run: () => todoInputRef.current?.focus() },
+    { id: "editTask", group: t("cmd.todos"), label: t("shortcut.editTask"), disabled: phase !== "focus", run: () => taskInputRef.current?.select() },
+    ...presets.map((p) => ({ id: `preset:${p.id}`, group: t("cmd.preset"), label: p.name, disabled: isRunning || activePreset === p, run: () => applyPreset(p.id) })),
+    { id: "savePreset", group: t("cmd.preset"), label: t("cmd.savePreset"), run: savePreset },
+    { id: "openLog", group: t("cmd.log"), label: t("shortcut.openLog"), run: () => openLog("log") },
+    { id: "openStats", group: t("cmd.log"), label: t("cmd.openStats"), run: () => openLog("stats") },
+    { id: "addEntry", group: t("cmd.log"), label: t("cmd.addEntry"), run: addManualEntry },
+    ...[["csv", "cmd.exportCsv"], ["json", "cmd.exportJson"], ["ics", "cmd.exportIcs"]].map(([format, key]) => ({
+      id: `export:${format}`, group: t("cmd.log"), label: t(key), disabled: logWindow.total === 0, run: () => exportLog(format),
+    })),
+    { id: "import", group: t("cmd.log"), label: t("cmd.import"), run: () => importInputRef.current?.click() },
+    ...THEMES.map(([key]) => ({ id: `theme:${key}`, group: t("cmd.theme"), label: t(`theme.${key}`), disabled: theme === key, run: () => setTheme(key) })),
+    ...LANGUAGES.map(([key, name]) => ({ id: `language:${key}`, group: t("cmd.language"), label: name || t("language.auto"), disabled: language === key, run: () => setLanguage(key) })),
+    { id: "testSound", group: t("cmd.sound"), label: t("log.testSound"), run: () => playBeep(alertSound) },
+    { id: "help", group: t("cmd.help"), label: t("shortcut.help"), run: () => setHelpOpen(true) },
+  ].map((c) => ({ ...c, combo: bindings[c.id] }));
+
+  const commandsRef = useRef(commands);
+  commandsRef.current = commands;
+  const bindingsRef = useRef(bindings);
+  bindingsRef.current = bindings;
+  const overlayOpen = paletteOpen || helpOpen || !!openDetails;
+
+  useEffect(() => {
+    if (overlayOpen) return; // overlays handle their own keys
+    const onKeyDown = (e) => {
+      const combo = comboFromEvent(e);
+      const id = combo && actionForCombo(bindingsRef.current, combo);
+      if (!id || elementOwnsKey(e.target, combo)) return;
+      e.preventDefault();
+      if (id === "palette") return setPaletteOpen(true);
+      const command = commandsRef.current.find((c) => c.id === id);
+      if (command && !command.disabled && !e.repeat) command.run();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [overlayOpen]);
 
   return (
+    <I18nContext.Provider value={i18n}>
     <div className="min-h-screen w-full bg-white text-gray-900 py-8 px-4 md:px-8">
       <div className="mx-auto max-w-5xl">
+        <div role="status" aria-live="polite" aria-atomic="true" className="sr-only">{announcement}</div>
         <header className="flex items-center justify-between gap-4">
           <h1 className="text-2xl md:text-3xl font-semibold tracking-tight">FocusBlocks</h1>
           <div className="flex-row justify-end">
           <div className="text-2xl font-semibold text-gray-600">
-            {now.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" })}
+            {i18n.time(now, { hour: "2-digit", minute: "2-digit" })}
           </div>
           <div className="text-m font-semibold text-gray-500">
-            {now.toLocaleDateString(undefined, { weekday: "long", year: "numeric", month: "short", day: "numeric" })}{" "}
+            {i18n.date(now, { weekday: "long", year: "numeric", month: "short", day: "numeric" })}{" "}
           </div>
+          {goalProgress && (
+            <div className="mt-1 space-y-0.5 text-xs text-gray-500">
+              {goalProgress.today.target > 0 ? (
+                <GoalMeter label={t("goals.today")} {...goalProgress.today} format={fmtGoal} color={phaseColor(visuals, "focus")} />
+              ) : (
+                <div className="text-right">{t("goals.dayOff")}</div>
+              )}
+              {goalProgress.week.target > 0 && (
+                <GoalMeter label={t("goals.week")} {...goalProgress.week} format={fmtGoal} color={phaseColor(visuals, "focus")} />
+              )}
+              {goalProgress.streak.current > 0 && (
+                <div className="text-right" title={t("goals.longest", { count: goalProgress.streak.longest })}>
+                  {t("goals.streak", { count: goalProgress.streak.current })}
+                </div>
+              )}
+            </div>
+          )}
+          <button onClick={() => setHelpOpen(true)} className="text-xs text-gray-500 hover:text-gray-800" title={t("shortcuts.title")}>
+            {t("app.shortcuts")}{bindings.palette && t("app.shortcutsPalette", { combo: formatCombo(bindings.palette) })}
+          </button>
           </div>
         </header>
 
+        {updateReg && (
+          <div role="status" className="mt-4 flex items-center justify-between gap-3 rounded-2xl border border-gray-200 bg-gray-50 px-4 py-3 text-sm">
+            <span>{t("update.available")}</span>
+            <div className="flex items-center gap-2">
+              {/* safe mid-phase: the timer is persisted as a deadline */}
+              <button onClick={() => applyUpdate(updateReg)} className="rounded-xl px-3 py-1.5 bg-gray-900 text-white">
+                {t("update.reload")}
+              </button>
+              <button onClick={() => setUpdateReg(null)} className="text-gray-500 hover:text-gray-800" aria-label={t("update.later")}>✕</button>
+            </div>
+          </div>
+        )}
+
+        {phaseAlert && (
+          <div role="alert" className="mt-4 flex flex-wrap items-center justify-between gap-3 rounded-2xl border border-amber-300 bg-amber-50 px-4 py-3">
+            <div className="text-sm">
+              <b>{phaseAlert.title}</b>
+              <span className="ml-2 text-gray-700">{phaseAlert.body}</span>
+            </div>
+            <div className="flex items-center gap-2">
+              {!isRunning && (
+                <button onClick={start} className="rounded-xl px-3 py-1.5 bg-gray-900 text-white text-sm">{t("alert.startNow")}</button>
+              )}
+              <button onClick={snooze} className="rounded-xl px-3 py-1.5 border border-gray-300 text-sm bg-white">{t("alert.snooze", { min: SNOOZE_MIN })}</button>
+              <button onClick={() => setPhaseAlert(null)} className="text-gray-500 hover:text-gray-800" aria-label={t("common.dismiss")}>✕</button>
+            </div>
+          </div>
+        )}
+
+        {celebration && goalProgress && (
+          <div role="status" className="mt-4 flex items-center justify-between gap-3 rounded-2xl border border-gray-200 bg-gray-50 px-4 py-3 text-sm">
+            <span>
+              <span className={`mr-2 inline-block ${reduceMotion ? "" : "animate-bounce"}`} aria-hidden="true">🎉</span>
+              <b>{t(`goals.met.${celebration}`)}</b>
+              {goalProgress.streak.current > 1 && <span className="ml-2 text-gray-700">{t("goals.streak", { count: goalProgress.streak.current })}</span>}
+            </span>
+            <button onClick={() => setCelebration(null)} className="text-gray-500 hover:text-gray-800" aria-label={t("common.dismiss")}>✕</button>
+          </div>
+        )}
+
+        {idleAway?.to && (
+          <div role="alert" className="mt-4 flex flex-wrap items-center justify-between gap-3 rounded-2xl border border-amber-300 bg-amber-50 px-4 py-3">
+            <div className="text-sm">
+              <b>{t("idle.title")}</b>
+              <span className="ml-2 text-gray-700">
+                {t("idle.body", {
+                  count: Math.max(1, Math.round((idleAway.to - idleAway.from) / 60000)),
+                  from: i18n.time(idleAway.from, { hour: "2-digit", minute: "2-digit" }),
+                  to: i18n.time(idleAway.to, { hour: "2-digit", minute: "2-digit" }),
+                })}
+              </span>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              {IDLE_CHOICES.map((choice, i) => (
+                <button
+                  key={choice}
+                  onClick={() => resolveIdle(choice)}
+                  title={t(`idle.${choice}Hint`)}
+                  className={`rounded-xl px-3 py-1.5 text-sm ${i === 0 ? "bg-gray-900 text-white" : "border border-gray-300 bg-white"}`}
+                >
+                  {t(`idle.${choice}`)}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
         <main className="mt-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
           {/* Timer Card */}
           <section className="lg:col-span-2 rounded-2xl border border-gray-200 p-5 shadow-sm">
             <div className="flex items-center justify-between mb-3">
-              <span className="text-sm uppercase tracking-wide text-gray-500">Current</span>
+              <span className="text-sm uppercase tracking-wide text-gray-500">
+                {t("timer.current")}
+                {isRunning && !isOwner && (
+                  <span className="ml-2 normal-case tracking-normal text-xs text-gray-400" title={t("timer.mirroredTitle")}>
+                    {t("timer.mirrored")}
+                  </span>
+                )}
+              </span>
 
               {!isRunning ? (
-                <div className="inline-flex rounded-full border border-gray-200 overflow-hidden">
-                  <button
-                    onClick={() => { setPhase("focus"); setRemaining(focusMin * 60); }}
-                    className={`px-3 py-1 text-sm ${phase === "focus" ? "bg-gray-900 text-white" : "bg-white"}`}
-                  >
-                    Focus
-                  </button>
-                  <button
-                    onClick={() => { setPhase("break"); setRemaining(breakMin * 60); }}
-                    className={`px-3 py-1 text-sm ${phase === "break" ? "bg-gray-900 text-white" : "bg-white"}`}
+                <div className="flex flex-wrap items-center justify-end gap-2">
+                  <select
+                    value={activePreset ? activePreset.id : ""}
+                    onChange={(e) => applyPreset(e.target.value)}
+                    className="rounded-full border border-gray-200 px-3 py-1 text-sm bg-white"
+                    aria-label={t("timer.preset")}
                   >
-                    Break
-                  </button>
+                    {!activePreset && <option value="" disabled>{t("common.custom")}</option>}
+                    {presets.map((p) => (
+                      <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                  </select>
+                  {phase === "focus" && !activeBlock && isTimerIdle(timer) && (
+                    <>
+                      <select
+                        value={focusMode}
+                        onChange={(e) => setFocusMode(e.target.value)}
+                        className="rounded-full border border-gray-200 px-3 py-1 text-sm bg-white"
+                        aria-label={t("timer.focusMode")}
+                      >
+                        {FOCUS_MODES.map((m) => (
+                          <option key={m} value={m}>{t(`timer.mode.${m}`)}</option>
+                        ))}
+                      </select>
+                      {focusMode === "until" && (
+                        <input
+                          type="time"
+                          value={focusUntil}
+                          onChange={(e) => setFocusUntil(e.target.value)}
+                          className="rounded-full border border-gray-200 px-3 py-1 text-sm bg-white"
+                          aria-label={t("timer.untilTime")}
+                        />
+                      )}
+                    </>
+                  )}
+                  <div className="inline-flex rounded-full border border-gray-200 overflow-hidden">
+                    {PHASES.map((p) => (
+                      <button
+                        key={p}
+                        onClick={() => selectPhase(p)}
+                        className={`inline-flex items-center gap-1.5 px-3 py-1 text-sm ${phase === p ? "bg-gray-900 text-white" : "bg-white"}`}
+                      >
+                        <span className="h-2 w-2 rounded-full" style={{ background: phaseColor(visuals, p) }} />
+                        {phaseLabel(p)}
+                      </button>
+                    ))}
+                  </div>
                 </div>
               ) : (
-                <span className="text-sm font-medium px-2 py-1 rounded-full bg-gray-100">
-                  {phase === "focus" ? "Focus" : "Break"}
+                <span className="inline-flex items-center gap-1.5 text-sm font-medium px-2 py-1 rounded-full bg-gray-100">
+                  <span className="h-2 w-2 rounded-full" style={{ background: phaseColor(visuals, phase) }} />
+                  {phaseLabel(phase)}
+                  {activePreset && <span className="ml-1 font-normal text-gray-500">· {activePreset.name}</span>}
                 </span>
               )}
             </div>
@@ -424,7 +1425,7 @@ export default function App() {
 
             <div className="flex items-center gap-6">
               <div className="relative w-40 h-40 shrink-0">
-                <svg viewBox="0 0 120 120" className="w-full h-full">
+                <svg viewBox="0 0 120 120" className="w-full h-full" aria-hidden="true">
                   {/* ===== Soft glow for the spark dots ===== */}
                   <defs>
                     <filter id="spark-glow" x="-50%" y="-50%" width="200%" height="200%">
@@ -443,6 +1444,7 @@ export default function App() {
                   <circle
                     cx="60" cy="60" r="52"
                     className="fill-none stroke-gray-900"
+                    style={{ stroke: ringColor(visuals, phase) }}
                     strokeWidth="8"
                     strokeLinecap="round"
                     strokeDasharray={`${Math.max(0.01, (pct / 100) * 2 * Math.PI * 52)} ${2 * Math.PI * 52}`}
@@ -451,8 +1453,8 @@ export default function App() {
 
                   {/* ===== Comet spark trail ===== */}
                   <g filter="url(#spark-glow)">
-                    {/* Trail dots (fade & shrink with age) */}
-                    {trail.map((p, i) => {
+                    {/* Trail dots (fade & shrink with age) – none with reduced motion */}
+                    {!reduceMotion && trail.map((p, i) => {
                       const age = Date.now() - p.t;                      // ms since dot was created
                       const k = Math.max(0, 1 - age / SPARK.lifetime);   // 1 → 0 as it ages
                       const opacity = 0.55 * k;                          // fade out
@@ -463,8 +1465,9 @@ export default function App() {
                           cx={p.x}
                           cy={p.y}
                           r={radius}
-                          fill={sparkColor(phase)}
+                          fill={trailColor(visuals, phase)}
                           style={{ opacity }}
+                          data-testid="trail-dot"
                         />
                       );
                     })}
@@ -474,7 +1477,7 @@ export default function App() {
                       const angle = -90 + (pct / 100) * 360;
                       const x = SPARK.cx + SPARK.r * Math.cos(toRad(angle));
                       const y = SPARK.cy + SPARK.r * Math.sin(toRad(angle));
-                      const color = sparkColor(phase);
+                      const color = trailColor(visuals, phase);
                       return (
                         <>
                           <circle cx={x} cy={y} r={3} fill={color} style={{ opacity: 0.9 }} />
@@ -486,45 +1489,111 @@ export default function App() {
                 </svg>
 
                 <div className="absolute inset-0 grid place-items-center">
-                  <div className="text-3xl font-semibold tabular-nums">{fmtTime(remaining)}</div>
+                  <div className="text-center">
+                    <div
+                      className="text-3xl font-semibold tabular-nums"
+                      role="timer"
+                      aria-label={flowing ? t("timer.flowLabel", { time: fmtTime(shownSec) }) : t("timer.label", { time: fmtTime(remaining), phase: t(`announce.phase.${phase}`), pct })}
+                    >
+                      {fmtTime(shownSec)}
+                    </div>
+                    <div className="text-xs text-gray-500 tabular-nums" title={t("timer.cycleTitle")}>
+                      {Math.min(round, longBreakEvery)}/{longBreakEvery}
+                    </div>
+                  </div>
                 </div>
               </div>
 
               <div className="flex-1 space-y-4">
                 {phase === "focus" && (
                   <div>
-                    <label className="text-sm text-gray-600">Task for this focus window</label>
+                    <label className="text-sm text-gray-600">{t("task.label")}</label>
                     <input
                       {...LTR_PROPS}
                       type="text"
+                      ref={taskInputRef}
                       value={currentTask}
                       onChange={(e) => setCurrentTask(stripBidi(e.target.value))}
-                      placeholder="e.g. Build React component for navbar"
+                      placeholder={t("task.placeholder")}
                       className="mt-1 w-full rounded-xl border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-gray-900"
                     />
+                    <div className="mt-2 flex items-center gap-2 text-sm">
+                      <select
+                        value={currentProject ? currentProject.id : ""}
+                        onChange={(e) => selectProject(e.target.value)}
+                        className="rounded-xl border border-gray-300 px-3 py-1.5 bg-white"
+                        aria-label={t("project.label")}
+                      >
+                        <option value="">{t("project.none")}</option>
+                        {projects.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        <option value="__new">{t("project.new")}</option>
+                      </select>
+                      {currentProject && (
+                        <>
+                          <input
+                            type="color"
+                            value={currentProject.color}
+                            onChange={(e) => setProjectColor(e.target.value)}
+                            className="h-7 w-7 cursor-pointer rounded border border-gray-300"
+                            aria-label={t("project.color")}
+                          />
+                          <button onClick={deleteProject} className="text-xs text-gray-500 hover:text-red-600" title={t("project.delete")}>
+                            ✕
+                          </button>
+                        </>
+                      )}
+                      <span className="text-xs text-gray-500">{t("project.tagsHint")}</span>
+                    </div>
                   </div>
                 )}
 
                 <div className="flex items-center gap-2">
                   {!isRunning ? (
-                    <button onClick={start} className="rounded-xl px-4 py-2 bg-gray-900 text-white font-medium shadow">Start</button>
+                    <button onClick={start} className="rounded-xl px-4 py-2 bg-gray-900 text-white font-medium shadow">{t("timer.start")}</button>
                   ) : (
-                    <button onClick={pause} className="rounded-xl px-4 py-2 bg-gray-900 text-white font-medium shadow">Pause</button>
+                    <button onClick={pause} className="rounded-xl px-4 py-2 bg-gray-900 text-white font-medium shadow">{t("timer.pause")}</button>
+                  )}
+                  {timer.mode === "flow" && (
+                    <button onClick={finishFlow} className="rounded-xl px-4 py-2 border border-gray-300 font-medium">{t("timer.finishFlow")}</button>
                   )}
-                  <button onClick={reset} className="rounded-xl px-4 py-2 border border-gray-300 font-medium">Reset</button>
-                  <button onClick={skip} className="rounded-xl px-4 py-2 border border-gray-300 font-medium">Skip</button>
+                  <button onClick={reset} className="rounded-xl px-4 py-2 border border-gray-300 font-medium">{t("timer.reset")}</button>
+                  <button onClick={skip} className="rounded-xl px-4 py-2 border border-gray-300 font-medium">{t("timer.skip")}</button>
                 </div>
 
+                {timer.pausedAt && (
+                  <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+                    <span>{t("timer.pausedQuestion")}</span>
+                    <div className="inline-flex rounded-full border border-gray-200 overflow-hidden">
+                      {PAUSE_REASONS.map((r) => (
+                        <button
+                          key={r}
+                          onClick={() => tagInterruption(r)}
+                          className={`px-3 py-1 text-sm ${timer.pauseReason === r ? "bg-gray-900 text-white" : "bg-white"}`}
+                          aria-pressed={timer.pauseReason === r}
+                        >
+                          {t(r === "internal" ? "timer.pauseInternal" : "timer.pauseExternal")}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
-                  <span>Progress: <b>{pct}%</b></span>
-                  <span>Window: <b>{phase === "focus" ? focusMin : breakMin} min</b></span>
-                  {phase === "focus" && currentTask && (<span className="truncate max-w-[60%]">Task: <b className="text-gray-900">{currentTask}</b></span>)}
+                  <span>{rich("timer.progress", { pct: <b>{pct}%</b> })}</span>
+                  {flowing ? (
+                    <span>{rich("timer.flowBreak", { length: <b>{t("unit.min", { count: flowBreakMin(shownSec, flowRatio) })}</b> })}</span>
+                  ) : (
+                    <span>{rich("timer.window", { length: <b>{t("unit.min", { count: Math.round(totalSec / 60) })}</b> })}</span>
+                  )}
+                  {untilAt && <span>{rich("timer.until", { time: <b>{i18n.time(untilAt, { hour: "2-digit", minute: "2-digit" })}</b> })}</span>}
+                  {interruptions > 0 && <span>{rich("timer.interruptions", { count: <b>{interruptions}</b> })}</span>}
+                  {phase === "focus" && currentTask && (<span className="truncate max-w-[60%]">{rich("timer.task", { task: <b className="text-gray-900"><TaggedText text={currentTask} /></b> })}</span>)}
                 </div>
               </div>
             </div>
             {/* ===== Todo list (per current focus window) ===== */}
             <div className="mt-4 pt-4 border-t border-gray-200">
-              <label className="text-sm text-gray-600">Checklist for this window</label>
+              <label className="text-sm text-gray-600">{t("todos.label")}</label>
 
               {/* Input + Add */}
               <div className="mt-2 space-y-2">
@@ -532,28 +1601,40 @@ export default function App() {
                 <input
                   {...LTR_PROPS}
                   type="text"
+                  ref={todoInputRef}
                   value={newTodo}
                   onChange={(e) => setNewTodo(stripBidi(e.target.value))}
-                  placeholder="Add a todo and press Enter"
+                  placeholder={t("todos.placeholder")}
                   className="flex-1 rounded-xl border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-gray-900"
                   onKeyDown={(e) => {
                     if (e.key === "Enter") {
-                      addTodo(stripBidi(newTodo), stripBidi(newDesc));
-                      setNewTodo(""); setNewDesc(""); setShowDescField(false);
+                      addTodo(stripBidi(newTodo), stripBidi(newDesc), Number(newEstimate) || null);
+                      setNewTodo(""); setNewDesc(""); setNewEstimate(""); setShowDescField(false);
                     }
                   }}
                 />
+                  <select
+                    value={newEstimate}
+                    onChange={(e) => setNewEstimate(e.target.value)}
+                    className="rounded-xl border border-gray-300 px-2 py-2 text-sm bg-white"
+                    aria-label={t("todos.estimate")}
+                    title={t("todos.estimate")}
+                  >
+                    <option value="">{t("todos.estimateNone")}</option>
+                    {ESTIMATE_OPTIONS.map((n) => <option key={n} value={n}>{n} 🍅</option>)}
+                  </select>
 
                   <button
                     onClick={() => {
-                      addTodo(newTodo, newDesc);
+                      addTodo(newTodo, newDesc, Number(newEstimate) || null);
                       setNewTodo("");
                       setNewDesc("");
+                      setNewEstimate("");
                       setShowDescField(false);
                     }}
                     className="rounded-xl px-3 py-2 bg-gray-900 text-white text-sm"
                   >
-                    Add
+                    {t("common.add")}
                   </button>
                 </div>
 
@@ -562,7 +1643,7 @@ export default function App() {
                     onClick={() => setShowDescField(true)}
                     className="text-xs text-gray-600 underline underline-offset-4"
                   >
-                    + Add description (optional)
+                    {t("todos.addDescription")}
                   </button>
                 ) : (
                   <div>
@@ -571,15 +1652,15 @@ export default function App() {
                     value={newDesc}
                     onChange={(e) => {
                       const v = stripBidi(e.target.value);
-                      if (countWords(v) <= 1000) setNewDesc(v);
+                      if (countWords(v) <= WORD_LIMIT) setNewDesc(v);
                     }}
                     rows={3}
-                    placeholder="Up to 1000 words…"
+                    placeholder={t("todos.descriptionPlaceholder", { limit: WORD_LIMIT })}
                     className="mt-1 w-full rounded-xl border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-gray-900"
                   />
 
 
-                    <div className="mt-1 text-xs text-gray-500">{countWords(newDesc)}/1000 words</div>
+                    <div className="mt-1 text-xs text-gray-500">{t("todos.words", { count: countWords(newDesc), limit: WORD_LIMIT })}</div>
                   </div>
                 )}
               </div>
@@ -587,41 +1668,80 @@ export default function App() {
               {/* Numbered List */}
 <ol className="mt-3 space-y-3 list-decimal pl-6 marker:text-gray-500 marker:font-medium">
   {todos.length === 0 && (
-    <li className="list-none pl-0 text-xs text-gray-500">No todos yet. Add a few small steps.</li>
+    <li className="list-none pl-0 text-xs text-gray-500">{t("todos.empty")}</li>
   )}
 
-  {todos.map((t) => (
-    <li key={t.id} className="bg-white rounded-lg p-3 shadow-sm hover:shadow-md transition">
+  {todos.map((item) => (
+    <li key={item.id} className="bg-white rounded-lg p-3 shadow-sm hover:shadow-md transition">
       <div className="flex justify-between items-start gap-3">
       <div 
         className="flex items-start gap-3 flex-1 cursor-pointer"
-        onClick={() => toggleOpen(t.id)}
+        onClick={() => toggleOpen(item.id)}
       >
         <input
           type="checkbox"
-          checked={t.done}
-          onChange={() => toggleTodo(t.id)}
+          checked={item.done}
+          onChange={() => toggleTodo(item.id)}
           onClick={(e) => e.stopPropagation()}
           className="mt-1 h-4 w-4 rounded border-gray-300"
         />
-        <span className={`text-sm leading-5 ${t.done ? "line-through text-gray-400" : "text-gray-900"}`}>
-          {t.text}
+        <span className={`text-sm leading-5 ${item.done ? "line-through text-gray-400" : "text-gray-900"}`}>
+          <TaggedText text={item.text} />
         </span>
+        {item.sessions?.length > 0 && (
+          <span
+            className="text-xs text-gray-500 whitespace-nowrap"
+            title={item.sessions.map((x) => i18n.dateTime(x.start)).join("\n")}
+          >
+            🕑 {item.sessions.length}
+          </span>
+        )}
       </div>
 
+        {/* completed blocks (plus the running one) vs. estimate */}
+        <label
+          className={`flex items-center gap-1 text-xs whitespace-nowrap ${
+            estimateStatus(blocksSoFar(item) + runningBlock, item.estimate) === "over" ? "text-red-600" : "text-gray-500"
+          }`}
+          title={t("todos.spentTitle")}
+        >
+          🍅 {blocksSoFar(item) + runningBlock} /
+          <select
+            value={item.estimate || ""}
+            onChange={(e) => setEstimate(item.id, Number(e.target.value) || null)}
+            className="rounded border border-gray-200 bg-white px-1 py-0.5 text-xs"
+            aria-label={t("todos.estimate")}
+          >
+            <option value="">–</option>
+            {ESTIMATE_OPTIONS.map((n) => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </label>
+
         <div className="flex items-center gap-2">
           <button
-            onClick={() => toggleOpen(t.id)}
+            onClick={() => toggleOpen(item.id)}
             className="text-xs text-gray-600 hover:text-gray-900 flex items-center gap-1"
-            title={t.open ? "Hide notes" : "Show notes"}
+            title={t(item.open ? "todos.hideNotes" : "todos.showNotes")}
+            aria-expanded={!!item.open}
+            aria-controls={`notes-${item.id}`}
           >
-            {t.open ? "▾ Hide notes" : "▸ Show notes"}
+            {item.open ? `▾ ${t("todos.hideNotes")}` : `▸ ${t("todos.showNotes")}`}
           </button>
 
           <button
-            onClick={() => removeTodo(t.id)}
+            onClick={() => moveToBacklog(item.id)}
+            className="text-xs text-gray-500 hover:text-gray-900"
+            title={t("todos.toBacklog")}
+            aria-label={t("todos.toBacklogLabel", { text: item.text })}
+          >
+            ⇢
+          </button>
+
+          <button
+            onClick={() => removeTodo(item.id)}
             className="text-xs text-gray-500 hover:text-red-600"
-            title="Remove"
+            title={t("common.remove")}
+            aria-label={t("todos.removeLabel", { text: item.text })}
           >
             ✕
           </button>
@@ -630,52 +1750,51 @@ export default function App() {
 
       
       {/* Simple read-only notes with edit mode */}
-      <div className={`mt-2 ${t.open ? "block" : "hidden"}`} aria-hidden={!t.open}>
+      <div id={`notes-${item.id}`} className={`mt-2 ${item.open ? "block" : "hidden"}`} aria-hidden={!item.open}>
         <div className="relative">
-          {t.editing ? (
+          {item.editing ? (
             // Edit mode - textarea
             <div className="space-y-2">
               <textarea
                 {...LTR_PROPS}
-                value={t.tempDescription || ""}
+                value={item.tempDescription || ""}
                 onChange={(e) => {
                   const cleanValue = stripBidi(e.target.value);
                   const words = cleanValue ? cleanValue.split(/\s+/).length : 0;
                   if (words <= WORD_LIMIT) {
                     setTodos(prev => prev.map(todo => 
-                      todo.id === t.id ? { ...todo, tempDescription: cleanValue } : todo
+                      todo.id === item.id ? { ...todo, tempDescription: cleanValue } : todo
                     ));
                   }
                 }}
-                placeholder="Type your notes here..."
+                onKeyDown={(e) => {
+                  // Escape cancels, Ctrl/Cmd+Enter saves
+                  if (e.key === "Escape") closeNotes(item.id, false);
+                  else if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) closeNotes(item.id, true);
+                }}
+                placeholder={t("todos.notesPlaceholder")}
+                aria-label={t("todos.notesLabel", { text: item.text })}
                 className="w-full h-32 rounded-md border border-gray-300 p-3 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900 resize-none"
                 autoFocus
               />
               <div className="flex justify-between items-center">
                 <span className="text-xs text-gray-500">
-                  {countWords(t.tempDescription || "")}/{WORD_LIMIT} words
+                  {t("todos.words", { count: countWords(item.tempDescription || ""), limit: WORD_LIMIT })}
                 </span>
                 <div className="flex gap-2">
                   <button
-                    onClick={() => {
-                      updateDescription(t.id, t.tempDescription || "");
-                      setTodos(prev => prev.map(todo => 
-                        todo.id === t.id ? { ...todo, editing: false, tempDescription: undefined } : todo
-                      ));
-                    }}
+                    onClick={() => closeNotes(item.id, true)}
                     className="text-xs px-2 py-1 bg-gray-900 text-white rounded"
+                    title={t("todos.saveTitle")}
                   >
-                    Save
+                    {t("common.save")}
                   </button>
                   <button
-                    onClick={() => {
-                      setTodos(prev => prev.map(todo => 
-                        todo.id === t.id ? { ...todo, editing: false, tempDescription: undefined } : todo
-                      ));
-                    }}
+                    onClick={() => closeNotes(item.id, false)}
                     className="text-xs px-2 py-1 border border-gray-300 rounded"
+                    title={t("todos.cancelTitle")}
                   >
-                    Cancel
+                    {t("common.cancel")}
                   </button>
                 </div>
               </div>
@@ -683,27 +1802,29 @@ export default function App() {
           ) : (
             // Read-only mode
             <div className="relative min-h-[80px] rounded-md border border-gray-200 bg-gray-50 p-3">
-              {t.description ? (
+              {item.description ? (
                 <div className="text-sm text-gray-800 whitespace-pre-wrap">
-                  {stripHtml(t.description)}
+                  {stripHtml(item.description)}
                 </div>
               ) : (
                 <div className="text-sm text-gray-400 italic">
-                  No notes yet. Click edit to add some.
+                  {t("todos.noNotes")}
                 </div>
               )}
               <button
                 onClick={() => {
                   setTodos(prev => prev.map(todo => 
-                    todo.id === t.id ? { 
+                    todo.id === item.id ? { 
                       ...todo, 
                       editing: true, 
                       tempDescription: stripHtml(todo.description || "")
                     } : todo
                   ));
                 }}
+                ref={(el) => { editBtnRefs.current[item.id] = el; }}
                 className="absolute top-2 right-2 text-gray-400 hover:text-gray-600 p-1"
-                title="Edit notes"
+                title={t("todos.editNotes")}
+                aria-label={t("todos.editNotes")}
               >
                 ✏️
               </button>
@@ -715,9 +1836,6 @@ export default function App() {
   ))}
 </ol>
 
-
-
-
               {/* Footer actions */}
               {todos.some((t) => t.done) && (
                 <div className="mt-2">
@@ -725,19 +1843,110 @@ export default function App() {
                     onClick={clearCompleted}
                     className="text-xs text-gray-600 underline underline-offset-4"
                   >
-                    Clear completed
+                    {t("todos.clearCompleted")}
                   </button>
                 </div>
               )}
+
+              {/* ===== Backlog ===== */}
+              <div className="mt-4 pt-4 border-t border-gray-200">
+                <button
+                  onClick={() => setShowBacklog((v) => !v)}
+                  className="text-sm text-gray-600 hover:text-gray-900"
+                >
+                  {showBacklog ? "▾" : "▸"} {t("backlog.toggle", { count: backlog.length })}
+                </button>
+
+                {showBacklog && (
+                  <div className="mt-2 space-y-2">
+                    <div className="flex gap-2">
+                      <input
+                        {...LTR_PROPS}
+                        type="text"
+                        value={newBacklogItem}
+                        onChange={(e) => setNewBacklogItem(stripBidi(e.target.value))}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") { addToBacklog(newBacklogItem); setNewBacklogItem(""); }
+                        }}
+                        placeholder={t("backlog.placeholder")}
+                        className="flex-1 rounded-xl border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      />
+                      <button
+                        onClick={() => { addToBacklog(newBacklogItem); setNewBacklogItem(""); }}
+                        className="rounded-xl px-3 py-2 border border-gray-300 text-sm"
+                      >
+                        {t("backlog.park")}
+                      </button>
+                    </div>
+
+                    {backlog.length === 0 ? (
+                      <div className="text-xs text-gray-500">{t("backlog.empty")}</div>
+                    ) : (
+                      <ul className="space-y-1">
+                        {backlog.map((b) => (
+                          <li key={b.id} className="flex items-center justify-between gap-3 rounded-lg px-2 py-1 hover:bg-gray-50">
+                            <span className="text-sm text-gray-800 truncate">
+                              <TaggedText text={b.text} />
+                              {b.sessions?.length > 0 && (
+                                <span
+                                  className="ml-2 text-xs text-gray-500"
+                                  title={b.sessions.map((x) => i18n.dateTime(x.start)).join("\n")}
+                                >
+                                  🕑 {b.sessions.length}
+                                </span>
+                              )}
+                            </span>
+                            <div className="flex items-center gap-2 shrink-0">
+                              <button
+                                onClick={() => pullFromBacklog(b.id)}
+                                className="text-xs text-gray-600 hover:text-gray-900"
+                                title={t("backlog.pullTitle")}
+                              >
+                                {t("backlog.pull")}
+                              </button>
+                              <button
+                                onClick={() => removeFromBacklog(b.id)}
+                                className="text-xs text-gray-500 hover:text-red-600"
+                                title={t("common.remove")}
+                              >
+                                ✕
+                              </button>
+                            </div>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </div>
             </div>
           </section>
 
           {/* Settings */}
           <aside className="rounded-2xl border border-gray-200 p-5 shadow-sm">
-            <h2 className="text-lg font-semibold mb-4">Settings</h2>
+            <h2 className="text-lg font-semibold mb-4">{t("settings.title")}</h2>
             <div className="space-y-4">
+              <div className="flex items-center justify-between gap-2 text-sm">
+                <span className="text-gray-600">
+                  {rich("settings.preset", { name: <b className="text-gray-900">{activePreset ? activePreset.name : t("common.custom")}</b> })}
+                </span>
+                <div className="flex items-center gap-2">
+                  <button onClick={savePreset} className="text-xs text-gray-600 underline underline-offset-4">
+                    {t("settings.savePreset")}
+                  </button>
+                  {activePreset && presets.length > 1 && (
+                    <button
+                      onClick={() => deletePreset(activePreset.id)}
+                      className="text-xs text-gray-500 hover:text-red-600"
+                      title={t("settings.deletePreset")}
+                    >
+                      ✕
+                    </button>
+                  )}
+                </div>
+              </div>
               <div>
-                <label className="text-sm text-gray-600">Focus length (minutes)</label>
+                <label className="text-sm text-gray-600">{t("settings.focusMin")}</label>
                 <input
                   type="number"
                   min={1}
@@ -748,7 +1957,7 @@ export default function App() {
                 />
               </div>
               <div>
-                <label className="text-sm text-gray-600">Break length (minutes)</label>
+                <label className="text-sm text-gray-600">{t("settings.breakMin")}</label>
                 <input
                   type="number"
                   min={1}
@@ -758,22 +1967,237 @@ export default function App() {
                   className="mt-1 w-full rounded-xl border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-gray-900"
                 />
               </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="text-sm text-gray-600">{t("settings.longBreakMin")}</label>
+                  <input
+                    type="number"
+                    min={1}
+                    max={90}
+                    value={longBreakMin}
+                    onChange={(e) => setLongBreakMin(Math.max(1, Number(e.target.value || 0)))}
+                    className="mt-1 w-full rounded-xl border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  />
+                </div>
+                <div>
+                  <label className="text-sm text-gray-600">{t("settings.longBreakEvery")}</label>
+                  <input
+                    type="number"
+                    min={1}
+                    max={12}
+                    value={longBreakEvery}
+                    onChange={(e) => setLongBreakEvery(Math.max(1, Number(e.target.value || 0)))}
+                    className="mt-1 w-full rounded-xl border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="text-sm text-gray-600">{t("settings.flowRatio")}</label>
+                <input
+                  type="number"
+                  min={1}
+                  max={30}
+                  value={flowRatio}
+                  onChange={(e) => setFlowRatio(Math.max(1, Number(e.target.value || 0)))}
+                  className="mt-1 w-full rounded-xl border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                />
+              </div>
+              {round > 1 && (
+                <button
+                  onClick={() => setRound(1)}
+                  className="text-xs text-gray-600 underline underline-offset-4"
+                >
+                  {t("settings.restartCycle", { round: Math.min(round, longBreakEvery), every: longBreakEvery })}
+                </button>
+              )}
+
+              <div>
+                <label className="text-sm text-gray-600">{t("settings.carryOver")}</label>
+                <select
+                  value={carryOver}
+                  onChange={(e) => setCarryOver(e.target.value)}
+                  className="mt-1 w-full rounded-xl border border-gray-300 px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-gray-900"
+                >
+                  <option value="backlog">{t("settings.carryBacklog")}</option>
+                  <option value="next">{t("settings.carryNext")}</option>
+                </select>
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={autoStart}
+                  onChange={(e) => setAutoStart(e.target.checked)}
+                  className="h-4 w-4 rounded border-gray-300"
+                />
+                {t("settings.autoStart")}
+              </label>
+
+              <div className="space-y-2">
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={idle.enabled}
+                    onChange={(e) => setIdle((prev) => ({ ...prev, enabled: e.target.checked }))}
+                    className="h-4 w-4 rounded border-gray-300"
+                  />
+                  {t("settings.idle")}
+                </label>
+                {idle.enabled && (
+                  <>
+                    <div>
+                      <label className="text-sm text-gray-600">{t("settings.idleMinutes")}</label>
+                      <input
+                        type="number"
+                        min={1}
+                        max={60}
+                        value={idle.minutes}
+                        onChange={(e) => setIdle((prev) => ({ ...prev, minutes: Math.max(1, Number(e.target.value || 0)) }))}
+                        className="mt-1 w-full rounded-xl border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      />
+                    </div>
+                    {idleDetectorSupported() && (
+                      <label className="flex items-center gap-2 text-sm text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={idle.system}
+                          onChange={(e) => setSystemIdle(e.target.checked)}
+                          className="h-4 w-4 rounded border-gray-300"
+                        />
+                        {t("settings.idleSystem")}
+                      </label>
+                    )}
+                    {!(idle.system && idleDetectorSupported()) && (
+                      <>
+                        <p className="text-xs text-gray-500">{t("settings.idleHint")}</p>
+                        <label className="flex items-center gap-2 text-sm text-gray-600">
+                          <input
+                            type="checkbox"
+                            checked={!!idle.input}
+                            onChange={(e) => setIdle((prev) => ({ ...prev, input: e.target.checked }))}
+                            className="h-4 w-4 rounded border-gray-300"
+                          />
+                          {t("settings.idleInput")}
+                        </label>
+                      </>
+                    )}
+                  </>
+                )}
+              </div>
 
               <div>
-                <label className="text-sm text-gray-600">Alert sound</label>
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={notify && permission === "granted"}
+                    disabled={permission === "unsupported" || permission === "denied"}
+                    onChange={(e) => enableNotifications(e.target.checked)}
+                    className="h-4 w-4 rounded border-gray-300"
+                  />
+                  {t("settings.notify")}
+                </label>
+                {permission === "denied" && (
+                  <div className="mt-1 text-xs text-gray-500">
+                    {t("settings.notifyDenied")}
+                  </div>
+                )}
+                {permission === "unsupported" && (
+                  <div className="mt-1 text-xs text-gray-500">
+                    {t("settings.notifyUnsupported")}
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <label className="text-sm text-gray-600">{t("settings.sound")}</label>
                 <select
                   value={sound}
                   onChange={(e) => setSound(e.target.value)}
                   className="mt-1 w-full rounded-xl border border-gray-300 px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-gray-900"
                 >
-                  <option value="chime">Chime</option>
-                  <option value="beep">Beep</option>
-                  <option value="tick">Tick</option>
+                  {SOUND_IDS.map((s) => <option key={s} value={s}>{t(`sound.${s}`)}</option>)}
                 </select>
+
+                {/* Custom tone sequence, played back to back */}
+                {sound === "custom" && (
+                  <div className="mt-2 space-y-1.5">
+                    {customTones.map((tone, i) => (
+                      <div key={i} className="flex items-center gap-1.5 text-xs text-gray-500">
+                        <input
+                          type="number"
+                          min={40}
+                          max={4000}
+                          value={tone.freq}
+                          onChange={(e) => updateTone(i, { freq: e.target.value })}
+                          onBlur={() => updateTone(i, normalizeTone(tone))}
+                          className="w-20 rounded-lg border border-gray-300 px-2 py-1"
+                          aria-label={t("sound.toneFreq", { n: i + 1 })}
+                        />
+                        Hz
+                        <input
+                          type="number"
+                          min={20}
+                          max={2000}
+                          step={10}
+                          value={tone.dur}
+                          onChange={(e) => updateTone(i, { dur: e.target.value })}
+                          onBlur={() => updateTone(i, normalizeTone(tone))}
+                          className="w-20 rounded-lg border border-gray-300 px-2 py-1"
+                          aria-label={t("sound.toneDur", { n: i + 1 })}
+                        />
+                        ms
+                        <select
+                          value={tone.wave}
+                          onChange={(e) => updateTone(i, { wave: e.target.value })}
+                          className="rounded-lg border border-gray-300 px-1 py-1 bg-white"
+                          aria-label={t("sound.toneWave", { n: i + 1 })}
+                        >
+                          {WAVES.map((w) => <option key={w} value={w}>{t(`wave.${w}`)}</option>)}
+                        </select>
+                        <button
+                          onClick={() => removeTone(i)}
+                          disabled={customTones.length <= 1}
+                          className="hover:text-red-600 disabled:opacity-30"
+                          title={t("common.remove")}
+                          aria-label={t("sound.removeTone", { n: i + 1 })}
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                    <div className="flex items-center gap-3 text-xs">
+                      {customTones.length < MAX_TONES && (
+                        <button onClick={addTone} className="text-gray-600 underline underline-offset-4">{t("sound.addTone")}</button>
+                      )}
+                      <button onClick={() => playBeep(alertSound)} className="text-gray-600 underline underline-offset-4">{t("log.testSound")}</button>
+                    </div>
+                  </div>
+                )}
+
+                {/* Local audio file as the alert */}
+                {sound === "file" && (
+                  <div className="mt-2 flex items-center gap-2 text-xs text-gray-600">
+                    <label className="shrink-0 cursor-pointer rounded-lg border border-gray-300 px-2 py-1 hover:bg-gray-50">
+                      {t("sound.chooseFile")}
+                      <input
+                        type="file"
+                        accept="audio/*"
+                        className="sr-only"
+                        onChange={(e) => { pickAlertFile(e.target.files[0]); e.target.value = ""; }}
+                      />
+                    </label>
+                    <span className="truncate">{alertFile ? alertFile.name : t("sound.noFile")}</span>
+                    {alertFile && (
+                      <button onClick={() => setAlertFile(null)} className="text-gray-500 hover:text-red-600" title={t("common.remove")}>
+                        ✕
+                      </button>
+                    )}
+                  </div>
+                )}
               </div>
 
               <div>
-                <label className="text-sm text-gray-600">Volume: {Math.round(volume * 100)}%</label>
+                <label className="text-sm text-gray-600">{t("settings.volume", { pct: Math.round(volume * 100) })}</label>
                 <input
                   type="range"
                   min={0}
@@ -785,115 +2209,776 @@ export default function App() {
                 />
               </div>
 
+              {/* In-phase alerts (see ./phaseAlerts) */}
+              <div className="space-y-2">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <span className="text-sm text-gray-600">{t("phaseAlerts.title")}</span>
+                  {activePreset && (
+                    <label className="flex items-center gap-1.5 text-xs text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={presetAlerts}
+                        onChange={(e) => setPresetAlerts(e.target.checked)}
+                        className="h-3.5 w-3.5 rounded border-gray-300"
+                      />
+                      {t("phaseAlerts.perPreset", { name: activePreset.name })}
+                    </label>
+                  )}
+                </div>
+                {phaseAlerts.rules.map((rule) => (
+                  <div key={rule.id} className="flex flex-wrap items-center gap-1.5 text-xs text-gray-600">
+                    {rule.type === "halfway" ? (
+                      <span className="w-24">{t("phaseAlerts.halfway")}</span>
+                    ) : (
+                      <span className="flex w-24 items-center gap-1">
+                        <input
+                          type="number"
+                          min={1}
+                          max={60}
+                          value={rule.minutes}
+                          onChange={(e) => updateAlertRule(rule.id, { minutes: Math.max(1, Number(e.target.value || 0)) })}
+                          className="w-12 rounded-lg border border-gray-300 px-1.5 py-1"
+                          aria-label={t("phaseAlerts.minutesLabel")}
+                        />
+                        {t("phaseAlerts.minutesLeft")}
+                      </span>
+                    )}
+                    <select
+                      value={rule.scope}
+                      onChange={(e) => updateAlertRule(rule.id, { scope: e.target.value })}
+                      className="rounded-lg border border-gray-300 px-1 py-1 bg-white"
+                      aria-label={t("phaseAlerts.scopeLabel")}
+                    >
+                      {ALERT_SCOPES.map((scope) => <option key={scope} value={scope}>{t(`phaseAlerts.scope.${scope}`)}</option>)}
+                    </select>
+                    <select
+                      value={rule.sound}
+                      onChange={(e) => updateAlertRule(rule.id, { sound: e.target.value })}
+                      className="rounded-lg border border-gray-300 px-1 py-1 bg-white"
+                      aria-label={t("phaseAlerts.soundLabel")}
+                    >
+                      {SOUND_IDS.map((id) => <option key={id} value={id}>{t(`sound.${id}`)}</option>)}
+                    </select>
+                    <button
+                      onClick={() => updatePhaseAlerts({ rules: phaseAlerts.rules.filter((r) => r.id !== rule.id) })}
+                      className="text-gray-500 hover:text-red-600"
+                      title={t("common.remove")}
+                      aria-label={t("phaseAlerts.remove")}
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+                {phaseAlerts.rules.length < MAX_ALERT_RULES && (
+                  <div className="flex items-center gap-3 text-xs">
+                    {["left", "halfway"].map((type) => (
+                      <button
+                        key={type}
+                        onClick={() => updatePhaseAlerts({ rules: [...phaseAlerts.rules, newAlertRule(type)] })}
+                        className="text-gray-600 underline underline-offset-4"
+                      >
+                        {t(`phaseAlerts.add.${type}`)}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                  <label className="flex items-center gap-1.5">
+                    <input
+                      type="checkbox"
+                      checked={phaseAlerts.finalTick}
+                      onChange={(e) => updatePhaseAlerts({ finalTick: e.target.checked })}
+                      className="h-3.5 w-3.5 rounded border-gray-300"
+                    />
+                    {t("phaseAlerts.finalTick")}
+                  </label>
+                  {phaseAlerts.finalTick && (
+                    <select
+                      value={phaseAlerts.tickSound}
+                      onChange={(e) => updatePhaseAlerts({ tickSound: e.target.value })}
+                      className="rounded-lg border border-gray-300 px-1 py-1 bg-white"
+                      aria-label={t("phaseAlerts.tickSoundLabel")}
+                    >
+                      {SOUND_IDS.filter((id) => id !== "file").map((id) => <option key={id} value={id}>{t(`sound.${id}`)}</option>)}
+                    </select>
+                  )}
+                </div>
+              </div>
+
+              <div>
+                <label className="text-sm text-gray-600">{t("settings.ambient")}</label>
+                <select
+                  value={ambient.type}
+                  onChange={(e) => setAmbient({ ...ambient, type: e.target.value })}
+                  className="mt-1 w-full rounded-xl border border-gray-300 px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-gray-900"
+                >
+                  {AMBIENT_TYPES.map((a) => <option key={a} value={a}>{t(`ambient.${a}`)}</option>)}
+                </select>
+                {ambient.type !== "off" && (
+                  <>
+                    <label className="mt-2 block text-xs text-gray-600">
+                      {t("settings.ambientVolume", { pct: Math.round(ambient.volume * 100) })}
+                      <input
+                        type="range"
+                        min={0}
+                        max={1}
+                        step={0.01}
+                        value={ambient.volume}
+                        onChange={(e) => setAmbient({ ...ambient, volume: Number(e.target.value) })}
+                        className="mt-1 w-full"
+                      />
+                    </label>
+                    <div className="text-xs text-gray-500">{t("settings.ambientHint")}</div>
+                  </>
+                )}
+              </div>
+
+              {/* Goals (see ./goals) */}
+              <div className="space-y-3 pt-2 border-t border-gray-200">
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={goals.enabled}
+                    onChange={(e) => updateGoals({ enabled: e.target.checked })}
+                    className="h-4 w-4 rounded border-gray-300"
+                  />
+                  {t("goals.enable")}
+                </label>
+                {goals.enabled && (
+                  <>
+                    <div className="flex items-center justify-between gap-2 text-sm">
+                      <label htmlFor="goal-metric" className="text-gray-600">{t("goals.metric")}</label>
+                      <select
+                        id="goal-metric"
+                        value={goals.metric}
+                        onChange={(e) => setGoals((prev) => convertGoals(resolveGoals(prev), e.target.value, focusMin))}
+                        className="rounded-xl border border-gray-300 px-2 py-1 bg-white"
+                      >
+                        {GOAL_METRICS.map((m) => <option key={m} value={m}>{t(`goals.metric.${m}`)}</option>)}
+                      </select>
+                    </div>
+                    <div>
+                      <span className="text-sm text-gray-600">{t(`goals.perDay.${goals.metric}`)}</span>
+                      <div className="mt-1 grid grid-cols-7 gap-1">
+                        {goals.daily.map((target, i) => (
+                          <label key={i} className="text-center text-xs text-gray-500">
+                            {weekdayName(i)}
+                            <input
+                              type="number"
+                              min={0}
+                              value={target}
+                              onChange={(e) => setDailyGoal(i, e.target.value)}
+                              className="mt-0.5 w-full rounded-lg border border-gray-300 px-1 py-1 text-center text-sm"
+                              aria-label={t("goals.dayTarget", { day: weekdayName(i, "long") })}
+                            />
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                    <div>
+                      <label className="text-sm text-gray-600">{t(`goals.weekly.${goals.metric}`)}</label>
+                      <input
+                        type="number"
+                        min={0}
+                        value={goals.weekly}
+                        onChange={(e) => updateGoals({ weekly: Math.max(0, Number(e.target.value || 0)) })}
+                        className="mt-1 w-full rounded-xl border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      />
+                    </div>
+                  </>
+                )}
+              </div>
+
+              {/* Appearance */}
+              <div className="space-y-3 pt-2 border-t border-gray-200">
+                <div className="flex items-center justify-between gap-2 text-sm">
+                  <label htmlFor="language" className="text-gray-600">{t("settings.language")}</label>
+                  <select
+                    id="language"
+                    value={language}
+                    onChange={(e) => setLanguage(e.target.value)}
+                    className="rounded-xl border border-gray-300 px-2 py-1 bg-white"
+                  >
+                    {LANGUAGES.map(([key, name]) => <option key={key} value={key}>{name || t("language.auto")}</option>)}
+                  </select>
+                </div>
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-sm text-gray-600">{t("settings.theme")}</span>
+                  <div className="inline-flex rounded-full border border-gray-200 overflow-hidden">
+                    {THEMES.map(([key]) => (
+                      <button
+                        key={key}
+                        onClick={() => setTheme(key)}
+                        className={`px-3 py-1 text-sm ${theme === key ? "bg-gray-900 text-white" : "bg-white"}`}
+                        aria-pressed={theme === key}
+                      >
+                        {t(`theme.${key}`)}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <label className="text-sm text-gray-600">{t("settings.colors")}</label>
+                  <select
+                    value={paletteId(visuals)}
+                    onChange={(e) => {
+                      const palette = PALETTES.find((p) => p.id === e.target.value);
+                      if (palette) setVisuals({ ...visuals, phases: palette.phases });
+                    }}
+                    className="mt-1 w-full rounded-xl border border-gray-300 px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  >
+                    {PALETTES.map((p) => <option key={p.id} value={p.id}>{t(`palette.${p.id}`)}</option>)}
+                    {paletteId(visuals) === "custom" && <option value="custom" disabled>{t("common.custom")}</option>}
+                  </select>
+                  <div className="mt-2 flex items-center gap-3 text-xs text-gray-600">
+                    {PHASES.map((p) => (
+                      <label key={p} className="flex items-center gap-1">
+                        <input
+                          type="color"
+                          value={visuals.phases[p]}
+                          onChange={(e) => setVisuals({ ...visuals, phases: { ...visuals.phases, [p]: e.target.value } })}
+                          className="h-6 w-6 cursor-pointer rounded border border-gray-300"
+                        />
+                        {phaseLabel(p)}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                {[["ring", t("settings.ring"), [["neutral", t("settings.visualNeutral")], ["phase", t("settings.visualPhase")]]], ["trail", t("settings.trail"), [["phase", t("settings.visualPhase")]]]].map(([key, label, options]) => {
+                  const custom = visuals[key].startsWith("#");
+                  return (
+                    <div key={key} className="flex items-center justify-between gap-2 text-sm">
+                      <span className="text-gray-600">{label}</span>
+                      <div className="flex items-center gap-2">
+                        <select
+                          value={custom ? "custom" : visuals[key]}
+                          onChange={(e) => setVisuals({ ...visuals, [key]: e.target.value === "custom" ? phaseColor(visuals, "focus") : e.target.value })}
+                          className="rounded-xl border border-gray-300 px-2 py-1 bg-white"
+                          aria-label={label}
+                        >
+                          {options.map(([value, name]) => <option key={value} value={value}>{name}</option>)}
+                          <option value="custom">{t("common.custom")}</option>
+                        </select>
+                        {custom && (
+                          <input
+                            type="color"
+                            value={visuals[key]}
+                            onChange={(e) => setVisuals({ ...visuals, [key]: e.target.value })}
+                            className="h-6 w-6 cursor-pointer rounded border border-gray-300"
+                            aria-label={t("settings.colorOf", { label })}
+                          />
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+                <label className="flex items-center justify-between gap-2 text-sm text-gray-600">
+                  {t("settings.reduceMotion")}
+                  <select
+                    value={reduceMotionSetting === null ? "system" : reduceMotionSetting ? "on" : "off"}
+                    onChange={(e) => setReduceMotion(e.target.value === "system" ? null : e.target.value === "on")}
+                    className="rounded-xl border border-gray-300 px-2 py-1 bg-white"
+                  >
+                    <option value="system">{t("settings.motionSystem")}</option>
+                    <option value="on">{t("settings.motionAlways")}</option>
+                    <option value="off">{t("settings.motionNever")}</option>
+                  </select>
+                </label>
+              </div>
+
               <div className="rounded-xl bg-gray-50 border border-gray-200 p-3 text-xs text-gray-600">
-                Tip: When the timer switches phase, your current focus task is saved with timestamps so you can review later.
+                {t("settings.tip")}
               </div>
             </div>
           </aside>
 
-          {/* Log */}
+          {/* Day plan */}
           <section className="lg:col-span-3 rounded-2xl border border-gray-200 p-5 shadow-sm">
+            <h2 className="text-lg font-semibold mb-3">{t("plan.title")}</h2>
+            <DayPlanner
+              day={today}
+              blocks={todayBlocks}
+              sessions={todaySessions}
+              activeBlockId={activeBlockId}
+              activeStart={timer.startAt}
+              now={now.getTime()}
+              phases={PHASES}
+              phaseLabel={phaseLabel}
+              phaseColors={visuals.phases}
+              followPlan={followPlan}
+              onFollowPlan={setFollowPlan}
+              onAdd={addBlock}
+              onRemove={removeBlock}
+              onLoad={loadBlockById}
+              canLoad={!isRunning}
+            />
+          </section>
+
+          {/* Log */}
+          <section ref={logRef} className="lg:col-span-3 scroll-mt-4 rounded-2xl border border-gray-200 p-5 shadow-sm">
             <div className="flex items-center justify-between mb-3">
-              <h2 className="text-lg font-semibold">Session Log</h2>
+              <div className="flex items-center gap-3">
+                <h2 className="text-lg font-semibold">{t("log.title")}</h2>
+                <div className="inline-flex rounded-full border border-gray-200 overflow-hidden">
+                  {[["log", t("log.entries")], ["stats", t("log.stats")]].map(([key, label]) => (
+                    <button
+                      key={key}
+                      onClick={() => setLogView(key)}
+                      className={`px-3 py-1 text-sm ${logView === key ? "bg-gray-900 text-white" : "bg-white"}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
               <div className="flex items-center gap-2">
-                <button onClick={() => playBeep({ type: sound, volume })} className="rounded-xl px-3 py-1.5 border border-gray-300 text-sm">Test sound</button>
-                <button onClick={clearLog} className="rounded-xl px-3 py-1.5 border border-gray-300 text-sm">Clear</button>
+                <button onClick={() => playBeep(alertSound)} className="rounded-xl px-3 py-1.5 border border-gray-300 text-sm">{t("log.testSound")}</button>
+                <select
+                  value=""
+                  onChange={(e) => exportLog(e.target.value)}
+                  disabled={logWindow.total === 0}
+                  className="rounded-xl px-3 py-1.5 border border-gray-300 text-sm bg-white disabled:opacity-50"
+                  aria-label={t("log.exportLabel")}
+                >
+                  <option value="" disabled>{t("log.export")}</option>
+                  <option value="csv">{t("log.exportCsv")}</option>
+                  <option value="json">{t("log.exportJson")}</option>
+                  <option value="ics">{t("log.exportIcs")}</option>
+                </select>
+                <button onClick={addManualEntry} className="rounded-xl px-3 py-1.5 border border-gray-300 text-sm">{t("log.addEntry")}</button>
+                <button onClick={() => importInputRef.current?.click()} className="rounded-xl px-3 py-1.5 border border-gray-300 text-sm">{t("log.import")}</button>
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept="application/json,.json"
+                  className="hidden"
+                  onChange={(e) => { importLog(e.target.files[0]); e.target.value = ""; }}
+                />
+                <button
+                  onClick={clearLog}
+                  disabled={logWindow.total === 0}
+                  className="rounded-xl px-3 py-1.5 border border-gray-300 text-sm disabled:opacity-50"
+                >
+                  {t("log.clear")}
+                </button>
               </div>
             </div>
 
-            {log.length === 0 ? (
-              <div className="text-sm text-gray-500">No sessions yet. Start a focus window to see entries here.</div>
+            {logView === "stats" ? (
+              <StatsPanel log={allSessions || []} />
+            ) : logWindow.total === 0 ? (
+              <div className="text-sm text-gray-500">{t("log.empty")}</div>
             ) : (
               <div className="overflow-x-auto">
+                <div className="mb-3 flex flex-wrap items-center gap-2 text-sm">
+                  <input
+                    type="search"
+                    {...LTR_PROPS}
+                    value={logFilter.text}
+                    onChange={(e) => updateLogFilter({ text: stripBidi(e.target.value) })}
+                    placeholder={t("log.search")}
+                    className="flex-1 min-w-[16ch] rounded-xl border border-gray-300 px-3 py-1.5"
+                    aria-label={t("log.searchLabel")}
+                  />
+                  <select
+                    value={logFilter.phase}
+                    onChange={(e) => updateLogFilter({ phase: e.target.value })}
+                    className="rounded-xl border border-gray-300 px-3 py-1.5 bg-white"
+                    aria-label={t("log.filterPhase")}
+                  >
+                    <option value="">{t("log.allPhases")}</option>
+                    {PHASES.map((p) => <option key={p} value={p}>{phaseLabel(p)}</option>)}
+                  </select>
+                  <select
+                    value={logFilter.reason}
+                    onChange={(e) => updateLogFilter({ reason: e.target.value })}
+                    className="rounded-xl border border-gray-300 px-3 py-1.5 bg-white"
+                    aria-label={t("log.filterOutcome")}
+                  >
+                    <option value="">{t("log.anyOutcome")}</option>
+                    {["completed", "reset", "skipped", "idle"].map((r) => <option key={r} value={r}>{t(`reason.${r}`)}</option>)}
+                  </select>
+                  <select
+                    value={logFilter.projectId}
+                    onChange={(e) => updateLogFilter({ projectId: e.target.value })}
+                    className="rounded-xl border border-gray-300 px-3 py-1.5 bg-white"
+                    aria-label={t("log.filterProject")}
+                  >
+                    <option value="">{t("log.allProjects")}</option>
+                    <option value={NO_PROJECT}>{t("project.none")}</option>
+                    {projects.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+                  </select>
+                  <input
+                    type="text"
+                    {...LTR_PROPS}
+                    value={logFilter.tag ? `#${logFilter.tag}` : ""}
+                    onChange={(e) => updateLogFilter({ tag: e.target.value.replace(/^#/, "").trim().toLowerCase() })}
+                    placeholder="#tag"
+                    className="w-28 rounded-xl border border-gray-300 px-3 py-1.5"
+                    aria-label={t("log.filterTag")}
+                  />
+                </div>
+                <div className="mb-3 flex flex-wrap items-center gap-2 text-sm text-gray-600">
+                  <label className="flex items-center gap-1">
+                    {t("log.from")}
+                    <input
+                      type="date"
+                      value={logFilter.from}
+                      max={logFilter.to || undefined}
+                      onChange={(e) => updateLogFilter({ from: e.target.value })}
+                      className="rounded-xl border border-gray-300 px-2 py-1"
+                    />
+                  </label>
+                  <label className="flex items-center gap-1">
+                    {t("log.to")}
+                    <input
+                      type="date"
+                      value={logFilter.to}
+                      min={logFilter.from || undefined}
+                      onChange={(e) => updateLogFilter({ to: e.target.value })}
+                      className="rounded-xl border border-gray-300 px-2 py-1"
+                    />
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={groupDays}
+                      onChange={(e) => { setGroupDays(e.target.checked); setLogPage(0); }}
+                      className="h-4 w-4 rounded border-gray-300"
+                    />
+                    {t("log.groupByDay")}
+                  </label>
+                  {filtering && queriedLog && (
+                    <>
+                      <span>
+                        {rich("log.filtered", {
+                          shown: shownLog.total,
+                          count: logWindow.total,
+                          focus: <b>{fmtHM(queriedLog.filter((e) => e.phase === "focus").reduce((sum, e) => sum + e.duration, 0))}</b>,
+                        })}
+                      </span>
+                      <button onClick={() => updateLogFilter(EMPTY_FILTER)} className="text-xs text-gray-500 hover:text-gray-900">
+                        {t("log.clearFilters")}
+                      </button>
+                    </>
+                  )}
+                </div>
+                {logLoading ? (
+                  <div className="text-sm text-gray-500" role="status">{t("log.loading")}</div>
+                ) : (
+                  shownLog.total === 0 && <div className="text-sm text-gray-500">{t("log.noMatch")}</div>
+                )}
                 <table className="min-w-full text-sm">
                   <thead>
                     <tr className="text-left text-gray-600">
-                      <th className="py-2 pr-4">Phase</th>
-                      <th className="py-2 pr-4">Task</th>
-                      <th className="py-2 pr-4">Start</th>
-                      <th className="py-2 pr-4">End</th>
-                      <th className="py-2 pr-4">Duration</th>
-                      <th className="py-2 pr-4">Details</th>
+                      {[["phase", t("log.colPhase")], ["task", t("log.colTask")], ["start", t("log.colStart")], ["end", t("log.colEnd")], ["duration", t("log.colDuration")]].map(([key, label]) => (
+                        <th
+                          key={key}
+                          className="py-2 pr-4"
+                          aria-sort={logSort.key === key ? (logSort.dir === "asc" ? "ascending" : "descending") : "none"}
+                        >
+                          <button onClick={() => sortLogBy(key)} className="font-semibold hover:text-gray-900">
+                            {label}
+                            <span className="ml-1 text-xs">{logSort.key === key ? (logSort.dir === "asc" ? "▲" : "▼") : ""}</span>
+                          </button>
+                        </th>
+                      ))}
+                      <th className="py-2 pr-4">{t("log.colDetails")}</th>
                     </tr>
                   </thead>
                   <tbody>
-                    {log.map((e) => (
-                      <tr key={e.id} className="border-t border-gray-100">
-                        <td className="py-2 pr-4 font-medium">{e.phase === "focus" ? "Focus" : "Break"}</td>
-                        <td className="py-2 pr-4 max-w-[28ch] truncate">{e.task}</td>
-                        <td className="py-2 pr-4 text-gray-600">{new Date(e.start).toLocaleString()}</td>
-                        <td className="py-2 pr-4 text-gray-600">{new Date(e.end).toLocaleString()}</td>
-                        <td className="py-2 pr-4 text-gray-600">{fmtTime(e.duration)}</td>
-                        <td className="py-2 pr-4">
-                          <button onClick={() => setOpenDetails(e)}
-                            className="inline-flex items-center justify-center rounded-lg border border-gray-300 px-2 py-1 text-xs hover:bg-gray-50"
-                            title="View session todos" aria-label="View session todos"> 🗒️
-                          </button>
-                        </td>
-                      </tr>
+                    {(groupDays ? groupByDay(shownLog.rows, queriedLog || shownLog.rows) : [{ day: null, rows: shownLog.rows }]).map((g) => (
+                      <React.Fragment key={g.day || "all"}>
+                        {g.day && (
+                          <tr className="border-t border-gray-200 bg-gray-50 text-gray-700">
+                            <td colSpan={6} className="py-1.5 px-2">
+                              <b>{i18n.date(g.date, { weekday: "short", year: "numeric", month: "short", day: "numeric" })}</b>
+                              <span className="ml-3 text-xs text-gray-500">
+                                {t("log.daySummary", { count: g.sessions, focus: fmtHM(g.focusSec) })}
+                              </span>
+                            </td>
+                          </tr>
+                        )}
+                        {g.rows.map((e) => (
+                          <tr key={e.id} className="border-t border-gray-100">
+                            <td className="py-2 pr-4 font-medium">{phaseLabel(e.phase)}</td>
+                            <td className="py-2 pr-4 max-w-[28ch] truncate">
+                              {e.project && (
+                                <span className="mr-1.5 inline-block h-2.5 w-2.5 rounded-full" style={{ background: e.project.color }} title={e.project.name} />
+                              )}
+                              <TaggedText text={e.task} />
+                              {e.manual && <span className="ml-1 text-xs text-gray-400">{t("log.manual")}</span>}
+                              {e.notes && <span className="ml-1" title={e.notes}>📝</span>}
+                            </td>
+                            <td className="py-2 pr-4 text-gray-600">{i18n.dateTime(e.start)}</td>
+                            <td className="py-2 pr-4 text-gray-600">{i18n.dateTime(e.end)}</td>
+                            <td className="py-2 pr-4 text-gray-600">{fmtTime(e.duration)}</td>
+                            <td className="py-2 pr-4">
+                              <button onClick={() => setOpenDetails(e)}
+                                className="inline-flex items-center justify-center rounded-lg border border-gray-300 px-2 py-1 text-xs hover:bg-gray-50"
+                                title={t("log.detailsTitle")} aria-label={t("details.view")}> 🗒️
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </React.Fragment>
                     ))}
                   </tbody>
                 </table>
+                {pageCount > 1 && (
+                  <div className="mt-3 flex items-center justify-between text-sm text-gray-600">
+                    <span>{t("log.sessions", { count: shownLog.total })}</span>
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => setLogPage((p) => Math.max(0, p - 1))}
+                        disabled={logPage === 0}
+                        className="rounded-lg border border-gray-300 px-2 py-1 disabled:opacity-40"
+                      >
+                        {t("log.previous")}
+                      </button>
+                      <span className="tabular-nums">{logPage + 1} / {pageCount}</span>
+                      <button
+                        onClick={() => setLogPage((p) => Math.min(pageCount - 1, p + 1))}
+                        disabled={logPage >= pageCount - 1}
+                        className="rounded-lg border border-gray-300 px-2 py-1 disabled:opacity-40"
+                      >
+                        {t("log.next")}
+                      </button>
+                    </div>
+                  </div>
+                )}
               </div>
             )}
           </section>
+          {paletteOpen && <CommandPalette commands={commands} onClose={() => setPaletteOpen(false)} />}
+          {helpOpen && (
+            <ShortcutHelp
+              bindings={bindings}
+              onRebind={(id, combo) => setShortcutOverrides((prev) => rebind(prev, id, combo))}
+              onResetAll={() => setShortcutOverrides({})}
+              onClose={() => setHelpOpen(false)}
+            />
+          )}
+
           {/* ===== Details Modal ===== */}
           {openDetails && (
               <div
                 className="fixed inset-0 z-50 grid place-items-center bg-black/30"
-                onClick={() => setOpenDetails(null)}
+                onClick={closeDetails}
               >
                 <div
+                  ref={detailsRef}
                   className="w-[min(92vw,560px)] max-h-[80vh] overflow-auto rounded-2xl bg-white p-5 shadow-xl"
                   onClick={(e) => e.stopPropagation()}
                   role="dialog"
                   aria-modal="true"
+                  aria-labelledby="details-title"
+                  tabIndex={-1}
                 >
                   <div className="flex items-start justify-between">
-                    <h3 className="text-lg font-semibold">Session details</h3>
+                    <h3 id="details-title" className="text-lg font-semibold">
+                      {t(openDetails.isNew ? "details.add" : editDraft ? "details.edit" : "details.view")}
+                    </h3>
                     <button
-                      onClick={() => setOpenDetails(null)}
+                      onClick={closeDetails}
                       className="text-gray-500 hover:text-gray-800"
-                      aria-label="Close"
+                      aria-label={t("common.close")}
                     >
                       ✕
                     </button>
                   </div>
 
-                  <div className="mt-2 text-sm text-gray-600 space-y-1">
-                    <div><b>Phase:</b> {openDetails.phase === "focus" ? "Focus" : "Break"}</div>
-                    <div><b>Task:</b> {openDetails.task}</div>
-                    <div><b>Start:</b> {new Date(openDetails.start).toLocaleString()}</div>
-                    <div><b>End:</b> {new Date(openDetails.end).toLocaleString()}</div>
-                    <div><b>Duration:</b> {fmtTime(openDetails.duration)}</div>
-                  </div>
+                  {editDraft ? (
+                    <div className="mt-3 grid grid-cols-2 gap-3 text-sm">
+                      <label className="flex flex-col gap-1">
+                        <span className="text-gray-600">{t("details.phase")}</span>
+                        <select
+                          value={editDraft.phase}
+                          onChange={(e) => setEditDraft((d) => ({ ...d, phase: e.target.value }))}
+                          className="rounded-xl border border-gray-300 px-3 py-2 bg-white"
+                        >
+                          {PHASES.map((p) => <option key={p} value={p}>{phaseLabel(p)}</option>)}
+                        </select>
+                      </label>
+                      <label className="flex flex-col gap-1">
+                        <span className="text-gray-600">{t("details.task")}</span>
+                        <input
+                          type="text"
+                          {...LTR_PROPS}
+                          value={editDraft.task}
+                          onChange={(e) => setEditDraft((d) => ({ ...d, task: e.target.value }))}
+                          placeholder={editDraft.phase === "focus" ? t("task.none") : "—"}
+                          className="rounded-xl border border-gray-300 px-3 py-2"
+                        />
+                      </label>
+                      {editDraft.phase === "focus" && (
+                        <label className="col-span-2 flex flex-col gap-1">
+                          <span className="text-gray-600">{t("details.project")}</span>
+                          <select
+                            value={editDraft.projectId}
+                            onChange={(e) => setEditDraft((d) => ({ ...d, projectId: e.target.value }))}
+                            className="rounded-xl border border-gray-300 px-3 py-2 bg-white"
+                          >
+                            <option value="">{t("project.none")}</option>
+                            {openDetails.project && !projects.some((p) => p.id === openDetails.project.id) && (
+                              <option value={openDetails.project.id}>{t("details.deletedProject", { name: openDetails.project.name })}</option>
+                            )}
+                            {projects.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+                          </select>
+                        </label>
+                      )}
+                      <label className="flex flex-col gap-1">
+                        <span className="text-gray-600">{t("details.start")}</span>
+                        <input
+                          type="datetime-local"
+                          step={1}
+                          value={editDraft.start}
+                          onChange={(e) => setEditDraft((d) => updateDraftTimes(d, { start: e.target.value }))}
+                          className="rounded-xl border border-gray-300 px-3 py-2"
+                        />
+                      </label>
+                      <label className="flex flex-col gap-1">
+                        <span className="text-gray-600">{t("details.end")}</span>
+                        <input
+                          type="datetime-local"
+                          step={1}
+                          value={editDraft.end}
+                          onChange={(e) => setEditDraft((d) => updateDraftTimes(d, { end: e.target.value }))}
+                          className="rounded-xl border border-gray-300 px-3 py-2"
+                        />
+                      </label>
+                      <label className="flex flex-col gap-1">
+                        <span className="text-gray-600">{t("details.activeMin")}</span>
+                        <input
+                          type="number"
+                          min={0}
+                          step={0.1}
+                          value={editDraft.durationMin}
+                          onChange={(e) => setEditDraft((d) => ({ ...d, durationMin: e.target.value }))}
+                          className="rounded-xl border border-gray-300 px-3 py-2"
+                        />
+                      </label>
+                      <div className="self-end pb-2 text-xs text-gray-500">
+                        {t("details.pausedHint")}
+                      </div>
+                      <label className="col-span-2 flex flex-col gap-1">
+                        <span className="text-gray-600">{t("details.notes")}</span>
+                        <textarea
+                          {...LTR_PROPS}
+                          rows={3}
+                          value={editDraft.notes}
+                          onChange={(e) => setEditDraft((d) => ({ ...d, notes: e.target.value }))}
+                          placeholder={t("details.notesPlaceholder")}
+                          className="rounded-xl border border-gray-300 px-3 py-2"
+                        />
+                      </label>
+                      {editError && <div className="col-span-2 text-xs text-red-600">{editError}</div>}
+                    </div>
+                  ) : (
+                    <>
+                      <div className="mt-2 text-sm text-gray-600 space-y-1">
+                        <div><b>{t("details.phase")}:</b> {phaseLabel(openDetails.phase)}</div>
+                        <div><b>{t("details.task")}:</b> <TaggedText text={openDetails.task} /></div>
+                        {openDetails.project && (
+                          <div className="flex items-center gap-2">
+                            <b>{t("details.project")}:</b>
+                            <span className="h-2.5 w-2.5 rounded-full" style={{ background: openDetails.project.color }} />
+                            {openDetails.project.name}
+                          </div>
+                        )}
+                        {openDetails.tags?.length > 0 && (
+                          <div><b>{t("details.tags")}:</b> <span className="text-indigo-700">{openDetails.tags.map((tag) => `#${tag}`).join(" ")}</span></div>
+                        )}
+                        <div><b>{t("details.start")}:</b> {i18n.dateTime(openDetails.start)}</div>
+                        <div><b>{t("details.end")}:</b> {i18n.dateTime(openDetails.end)}</div>
+                        <div><b>{t("details.duration")}:</b> {fmtTime(openDetails.duration)}</div>
+                        {Array.isArray(openDetails.pauses) && (
+                          <div>
+                            <b>{t("details.interruptions")}:</b> {openDetails.pauses.length}
+                            {openDetails.pauses.length > 0 && (
+                              <>{t("details.quality", { pct: Math.round(sessionQuality(openDetails) * 100) })}</>
+                            )}
+                            {openDetails.pauses.length > 0 && (
+                              <ul className="mt-1 ml-4 list-disc text-xs text-gray-500">
+                                {openDetails.pauses.map((p) => (
+                                  <li key={p.from}>
+                                    {t("details.paused", { from: i18n.time(p.from), to: i18n.time(p.to), duration: fmtTime((p.to - p.from) / 1000) })}
+                                    {p.reason && ` · ${t(`pause.${p.reason}`)}`}
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                          </div>
+                        )}
+                        {openDetails.manual && <div className="text-xs text-gray-500">{t("details.manual")}</div>}
+                        {openDetails.edited && (
+                          <div className="text-xs text-gray-500">{t("details.edited", { date: i18n.dateTime(openDetails.edited) })}</div>
+                        )}
+                      </div>
+
+                      {openDetails.notes && (
+                        <div className="mt-4">
+                          <div className="text-sm font-medium mb-1">{t("details.notes")}</div>
+                          <p className="text-sm text-gray-800 whitespace-pre-wrap">{openDetails.notes}</p>
+                        </div>
+                      )}
+
+                      <div className="mt-4">
+                        <div className="text-sm font-medium mb-2">{t("details.todos")}</div>
+                        {(!openDetails.todos || openDetails.todos.length === 0) ? (
+                          <div className="text-sm text-gray-500">{t("details.noTodos")}</div>
+                        ) : (
+                          <ul className="space-y-2">
+                            {openDetails.todos.map((todo) => (
+                              <li key={todo.id} className="flex items-center gap-3">
+                                <input type="checkbox" checked={!!todo.done} readOnly className="h-4 w-4 rounded" />
+                                <span className={`text-sm ${todo.done ? "line-through text-gray-400" : "text-gray-800"}`}>
+                                  <TaggedText text={todo.text} />
+                                </span>
+                                {(todo.blocks || todo.estimate) && (
+                                  <span
+                                    className={`ml-auto text-xs whitespace-nowrap ${
+                                      estimateStatus(todo.blocks, todo.estimate) === "over" ? "text-red-600" : "text-gray-500"
+                                    }`}
+                                    title={t("details.blocksTitle")}
+                                  >
+                                    🍅 {todo.blocks ?? "?"}{todo.estimate ? ` / ${todo.estimate}` : ""}
+                                  </span>
+                                )}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
+                    </>
+                  )}
 
-                  <div className="mt-4">
-                    <div className="text-sm font-medium mb-2">Todos snapshot</div>
-                    {(!openDetails.todos || openDetails.todos.length === 0) ? (
-                      <div className="text-sm text-gray-500">No todos were attached to this session.</div>
+                  <div className="mt-5 flex items-center justify-between gap-2">
+                    {editDraft ? (
+                      <>
+                        <button onClick={cancelEdit} className="rounded-xl px-4 py-2 border border-gray-300 text-sm">
+                          {t("common.cancel")}
+                        </button>
+                        <button onClick={saveEntry} className="rounded-xl px-4 py-2 bg-gray-900 text-white text-sm">
+                          {t(openDetails.isNew ? "details.addToLog" : "common.save")}
+                        </button>
+                      </>
                     ) : (
-                      <ul className="space-y-2">
-                        {openDetails.todos.map((t) => (
-                          <li key={t.id} className="flex items-center gap-3">
-                            <input type="checkbox" checked={!!t.done} readOnly className="h-4 w-4 rounded" />
-                            <span className={`text-sm ${t.done ? "line-through text-gray-400" : "text-gray-800"}`}>
-                              {t.text}
-                            </span>
-                          </li>
-                        ))}
-                      </ul>
+                      <>
+                        <button onClick={deleteEntry} className="rounded-xl px-4 py-2 text-sm text-red-600 hover:bg-red-50">
+                          {t("common.delete")}
+                        </button>
+                        <div className="flex items-center gap-2">
+                          <button onClick={editEntry} className="rounded-xl px-4 py-2 border border-gray-300 text-sm">
+                            {t("details.editNotes")}
+                          </button>
+                          <button onClick={closeDetails} className="rounded-xl px-4 py-2 border border-gray-300 text-sm">
+                            {t("common.close")}
+                          </button>
+                        </div>
+                      </>
                     )}
                   </div>
-
-                  <div className="mt-5 text-right">
-                    <button
-                      onClick={() => setOpenDetails(null)}
-                      className="rounded-xl px-4 py-2 border border-gray-300 text-sm"
-                    >
-                      Close
-                    </button>
-                  </div>
                 </div>
               </div>
             )}
@@ -901,10 +2986,11 @@ export default function App() {
         </main>
 
         <footer className="mt-8 text-xs text-gray-500">
-          Your settings & logs are stored locally in your browser.
+          {t("app.footer")}
         </footer>
       </div>
     </div>
+    </I18nContext.Provider>
   );
 }
 
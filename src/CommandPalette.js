@@ -0,0 +1,82 @@
+import React, { useRef, useState } from "react";
+import { useFocusTrap } from "./a11y";
+import { useI18n } from "./i18n";
+import { formatCombo, matchesQuery } from "./shortcuts";
+
+// ===== Command palette (Ctrl+K) =====
+// Type to filter, ↑/↓ to pick, Enter to run, Escape to close.
+// `commands`: { id, label, group, combo?, disabled?, run }
+
+export default function CommandPalette({ commands, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const ref = useRef(null);
+  const { t } = useI18n();
+  useFocusTrap(ref, true, onClose);
+
+  const shown = commands.filter((c) => !c.disabled && matchesQuery(`${c.group} ${c.label}`, query));
+  const current = Math.min(active, shown.length - 1);
+
+  const run = (command) => {
+    onClose();
+    command.run();
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((current + step + shown.length) % Math.max(1, shown.length));
+    } else if (e.key === "Enter" && shown[current]) {
+      e.preventDefault();
+      run(shown[current]);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-center bg-black/30 pt-[15vh]" onClick={onClose}>
+      <div
+        ref={ref}
+        className="h-fit w-[min(92vw,520px)] overflow-hidden rounded-2xl bg-white shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-label={t("palette.label")}
+      >
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => { setQuery(e.target.value); setActive(0); }}
+          onKeyDown={onKeyDown}
+          placeholder={t("palette.placeholder")}
+          className="w-full border-b border-gray-200 bg-white px-4 py-3 focus:outline-none"
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="palette-list"
+          aria-activedescendant={shown[current] ? `palette-${shown[current].id}` : undefined}
+          aria-label={t("palette.input")}
+        />
+        <ul id="palette-list" role="listbox" className="max-h-[50vh] overflow-auto py-1">
+          {shown.length === 0 && <li className="px-4 py-2 text-sm text-gray-500">{t("palette.empty")}</li>}
+          {shown.map((c, i) => (
+            <li
+              key={c.id}
+              id={`palette-${c.id}`}
+              role="option"
+              aria-selected={i === current}
+              onMouseEnter={() => setActive(i)}
+              onClick={() => run(c)}
+              className={`flex cursor-pointer items-center justify-between gap-3 px-4 py-2 text-sm ${i === current ? "bg-gray-100" : ""}`}
+            >
+              <span>
+                <span className="text-gray-500">{c.group}: </span>
+                {c.label}
+              </span>
+              {c.combo && <kbd className="rounded border border-gray-300 px-1.5 text-xs text-gray-600">{formatCombo(c.combo)}</kbd>}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
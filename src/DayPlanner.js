@@ -0,0 +1,205 @@
+import React, { useState } from "react";
+import { addMinutes, blockMinutes, blockTimes, driftMinutes, sortBlocks, validateBlock, workedBlocks } from "./planner";
+import { useI18n } from "./i18n";
+import { LTR_PROPS, stripBidi } from "./bidi";
+
+// ===== Day plan view =====
+// Lay out focus/break blocks against clock times, and see planned vs. actual
+// (from the session log) on one timeline.
+
+const CLOCK = { hour: "2-digit", minute: "2-digit" };
+
+const driftText = (t, min) =>
+  Math.abs(min) < 2 ? t("plan.onSchedule") : min > 0 ? t("plan.behind", { count: min }) : t("plan.ahead", { count: -min });
+
+const Lane = ({ label, items, from, span, colors, fmtClock }) => (
+  <div className="flex items-center gap-2">
+    <div className="w-14 shrink-0 text-xs text-gray-500">{label}</div>
+    <div className="relative h-5 flex-1 rounded bg-gray-50">
+      {items.map((it) => (
+        <div
+          key={it.key}
+          className={`absolute top-0 h-5 rounded bg-gray-300 ${it.faded ? "opacity-50" : ""}`}
+          style={{
+            background: colors[it.phase],
+            left: `${Math.max(0, ((it.start - from) / span) * 100)}%`,
+            width: `${Math.max(0.4, ((it.end - it.start) / span) * 100)}%`,
+          }}
+          title={`${fmtClock(it.start)}–${fmtClock(it.end)} ${it.title}`}
+        />
+      ))}
+    </div>
+  </div>
+);
+
+export default function DayPlanner({
+  day,
+  blocks,
+  sessions,
+  activeBlockId,
+  activeStart,
+  now,
+  phases,
+  phaseLabel,
+  phaseColors,
+  followPlan,
+  onFollowPlan,
+  onAdd,
+  onRemove,
+  onLoad,
+  canLoad,
+}) {
+  const [draft, setDraft] = useState({ start: "09:00", end: "09:50", phase: "focus", task: "" });
+  const [error, setError] = useState(null);
+  const { t, rich, time } = useI18n();
+  const fmtClock = (ms) => time(ms, CLOCK);
+
+  const sorted = sortBlocks(blocks);
+  const worked = workedBlocks(sessions);
+
+  // Drift: the running block vs. its slot, otherwise how late the next one is
+  const active = sorted.find((b) => b.id === activeBlockId);
+  const upcoming = sorted.find((b) => !worked.has(b.id) && b.id !== activeBlockId);
+  const drift = active && activeStart
+    ? driftMinutes(day, active, activeStart)
+    : upcoming && now > blockTimes(day, upcoming).start
+      ? driftMinutes(day, upcoming, now)
+      : null;
+
+  // Timeline spans the working day, stretched to whatever was planned/logged
+  const planned = sorted.map((b) => ({ key: b.id, phase: b.phase, title: b.task || phaseLabel(b.phase), ...blockTimes(day, b) }));
+  const actual = sessions.map((e) => ({ key: e.id, phase: e.phase, title: e.task, start: e.start, end: e.end, faded: e.reason !== "completed" }));
+  const dayStart = blockTimes(day, { start: "00:00", end: "00:00" }).start;
+  const hour = 60 * 60 * 1000;
+  const from = Math.min(dayStart + 8 * hour, ...[...planned, ...actual].map((x) => x.start));
+  const to = Math.max(dayStart + 18 * hour, ...[...planned, ...actual].map((x) => x.end));
+  const span = to - from;
+
+  const add = () => {
+    const block = { ...draft, id: `b${Date.now().toString(36)}`, task: draft.task.trim() };
+    const problem = validateBlock(block, blocks, t);
+    setError(problem);
+    if (problem) return;
+    onAdd(block);
+    // next draft picks up where this block ends, with the same length
+    setDraft((d) => ({ ...d, start: d.end, end: addMinutes(d.end, blockMinutes(d)), task: "" }));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3 text-sm">
+        <span className="text-gray-600">
+          {drift === null ? t("plan.nothingDue") : rich("plan.drift", { drift: <b className="text-gray-900">{driftText(t, drift)}</b> })}
+        </span>
+        <label className="flex items-center gap-2 text-gray-600">
+          <input
+            type="checkbox"
+            checked={followPlan}
+            onChange={(e) => onFollowPlan(e.target.checked)}
+            className="h-4 w-4 rounded border-gray-300"
+          />
+          {t("plan.follow")}
+        </label>
+      </div>
+
+      {/* Planned vs. actual */}
+      <div className="space-y-1">
+        <Lane label={t("plan.lanePlan")} items={planned} from={from} span={span} colors={phaseColors} fmtClock={fmtClock} />
+        <Lane label={t("plan.laneActual")} items={actual} from={from} span={span} colors={phaseColors} fmtClock={fmtClock} />
+        <div className="relative ml-16 h-4 text-[10px] text-gray-400">
+          {Array.from({ length: Math.floor(span / hour) + 1 }, (_, i) => from + i * hour)
+            .filter((at, i) => i % 2 === 0)
+            .map((at) => (
+              <span key={at} className="absolute -translate-x-1/2" style={{ left: `${((at - from) / span) * 100}%` }}>
+                {fmtClock(at)}
+              </span>
+            ))}
+          {now >= from && now <= to && (
+            <span className="absolute -top-11 h-10 w-px bg-red-500" style={{ left: `${((now - from) / span) * 100}%` }} />
+          )}
+        </div>
+      </div>
+
+      {/* Blocks */}
+      {sorted.length === 0 ? (
+        <div className="text-sm text-gray-500">{t("plan.empty")}</div>
+      ) : (
+        <ul className="space-y-1">
+          {sorted.map((b) => {
+            const done = worked.get(b.id);
+            return (
+              <li
+                key={b.id}
+                className={`flex items-center justify-between gap-3 rounded-lg px-2 py-1 ${b.id === activeBlockId ? "bg-amber-50" : "hover:bg-gray-50"}`}
+              >
+                <span className="text-sm">
+                  <span className="tabular-nums text-gray-600">{b.start}–{b.end}</span>
+                  <span className="ml-2 font-medium">{phaseLabel(b.phase)}</span>
+                  {b.task && <span className="ml-2 text-gray-800">{b.task}</span>}
+                  {done && (
+                    <span className="ml-2 text-xs text-gray-500">
+                      {t("plan.started", { time: fmtClock(done.start), drift: driftText(t, driftMinutes(day, b, done.start)) })}
+                    </span>
+                  )}
+                </span>
+                <span className="flex items-center gap-2 shrink-0">
+                  {b.id === activeBlockId ? (
+                    <span className="text-xs text-amber-700">{t("plan.current")}</span>
+                  ) : (
+                    canLoad && !done && (
+                      <button onClick={() => onLoad(b.id)} className="text-xs text-gray-600 hover:text-gray-900">
+                        {t("plan.load")}
+                      </button>
+                    )
+                  )}
+                  <button onClick={() => onRemove(b.id)} className="text-xs text-gray-500 hover:text-red-600" title={t("common.remove")}>
+                    ✕
+                  </button>
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {/* Add a block */}
+      <div className="flex flex-wrap items-end gap-2">
+        <input
+          type="time"
+          value={draft.start}
+          onChange={(e) => setDraft((d) => ({ ...d, start: e.target.value }))}
+          className="rounded-xl border border-gray-300 px-2 py-1.5 text-sm"
+          aria-label={t("plan.blockStart")}
+        />
+        <span className="pb-1.5 text-gray-400">–</span>
+        <input
+          type="time"
+          value={draft.end}
+          onChange={(e) => setDraft((d) => ({ ...d, end: e.target.value }))}
+          className="rounded-xl border border-gray-300 px-2 py-1.5 text-sm"
+          aria-label={t("plan.blockEnd")}
+        />
+        <select
+          value={draft.phase}
+          onChange={(e) => setDraft((d) => ({ ...d, phase: e.target.value }))}
+          className="rounded-xl border border-gray-300 px-2 py-1.5 text-sm bg-white"
+          aria-label={t("plan.blockPhase")}
+        >
+          {phases.map((p) => <option key={p} value={p}>{phaseLabel(p)}</option>)}
+        </select>
+        <input
+          type="text"
+          {...LTR_PROPS}
+          value={draft.task}
+          onChange={(e) => setDraft((d) => ({ ...d, task: stripBidi(e.target.value) }))}
+          onKeyDown={(e) => e.key === "Enter" && add()}
+          placeholder={t("plan.taskPlaceholder")}
+          className="flex-1 min-w-[12ch] rounded-xl border border-gray-300 px-3 py-1.5 text-sm"
+          aria-label={t("plan.blockTask")}
+        />
+        <button onClick={add} className="rounded-xl px-3 py-1.5 bg-gray-900 text-white text-sm">{t("plan.addBlock")}</button>
+      </div>
+      {error && <div className="text-xs text-red-600">{error}</div>}
+    </div>
+  );
+}
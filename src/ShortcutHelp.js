@@ -0,0 +1,80 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useFocusTrap } from "./a11y";
+import { useI18n } from "./i18n";
+import { SHORTCUT_ACTIONS, comboFromEvent, formatCombo } from "./shortcuts";
+
+// ===== Keyboard shortcuts overlay (?) =====
+// Lists every binding; "Change" records the next key combo pressed
+// (Escape cancels, Backspace unbinds).
+
+export default function ShortcutHelp({ bindings, onRebind, onResetAll, onClose }) {
+  const [recording, setRecording] = useState(null);
+  const ref = useRef(null);
+  const { t } = useI18n();
+  useFocusTrap(ref, true, onClose);
+
+  // Capture phase on window, so the key neither reaches the focus trap
+  // (Escape) nor any global shortcut while recording
+  useEffect(() => {
+    if (!recording) return;
+    const onKeyDown = (e) => {
+      const combo = comboFromEvent(e);
+      if (!combo) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (combo !== "Escape") onRebind(recording, combo === "Backspace" ? null : combo);
+      setRecording(null);
+    };
+    window.addEventListener("keydown", onKeyDown, true);
+    return () => window.removeEventListener("keydown", onKeyDown, true);
+  }, [recording, onRebind]);
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center bg-black/30" onClick={onClose}>
+      <div
+        ref={ref}
+        className="w-[min(92vw,480px)] max-h-[80vh] overflow-auto rounded-2xl bg-white p-5 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcuts-title"
+      >
+        <div className="flex items-start justify-between">
+          <h3 id="shortcuts-title" className="text-lg font-semibold">{t("shortcuts.title")}</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800" aria-label={t("common.close")}>✕</button>
+        </div>
+
+        <table className="mt-3 w-full text-sm">
+          <tbody>
+            {SHORTCUT_ACTIONS.map((a) => (
+              <tr key={a.id} className="border-t border-gray-100">
+                <td className="py-1.5 pr-2">{t(`shortcut.${a.id}`)}</td>
+                <td className="py-1.5 pr-2 text-right">
+                  {recording === a.id ? (
+                    <span className="text-xs text-gray-500">{t("shortcuts.recording")}</span>
+                  ) : (
+                    <kbd className="rounded border border-gray-300 px-1.5 text-xs text-gray-600">{formatCombo(bindings[a.id])}</kbd>
+                  )}
+                </td>
+                <td className="py-1.5 text-right">
+                  <button
+                    onClick={() => setRecording(recording === a.id ? null : a.id)}
+                    className="text-xs text-gray-600 underline underline-offset-4"
+                    aria-label={t("shortcuts.changeLabel", { action: t(`shortcut.${a.id}`) })}
+                  >
+                    {t("shortcuts.change")}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="mt-4 flex items-center justify-between text-xs text-gray-500">
+          <span>{t("shortcuts.hint")}</span>
+          <button onClick={onResetAll} className="text-gray-600 underline underline-offset-4">{t("shortcuts.reset")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,224 @@
+import React, { useMemo } from "react";
+import { computeStats, fmtHM, heatmapWeeks } from "./stats";
+import { estimateReport } from "./estimates";
+import { useI18n } from "./i18n";
+
+// ===== Stats view =====
+// Pure client-side: everything is derived from the session log on render.
+
+// Heatmap buckets (focus minutes per day)
+const heatClass = (min) =>
+  min <= 0 ? "bg-gray-100"
+    : min < 30 ? "bg-amber-200"
+    : min < 90 ? "bg-amber-300"
+    : min < 180 ? "bg-amber-400"
+    : "bg-amber-600";
+
+const Stat = ({ label, value, hint }) => (
+  <div className="rounded-xl border border-gray-200 p-3">
+    <div className="text-xs uppercase tracking-wide text-gray-500">{label}</div>
+    <div className="mt-1 text-xl font-semibold tabular-nums">{value}</div>
+    {hint && <div className="text-xs text-gray-500">{hint}</div>}
+  </div>
+);
+
+// Focus time per project / per tag, with each row's share of the total
+const Totals = ({ title, rows, total, label, note }) => (
+  <div>
+    <div className="text-sm font-medium mb-2">
+      {title}
+      {note && <span className="ml-2 text-xs font-normal text-gray-500">{note}</span>}
+    </div>
+    <table className="min-w-full text-sm">
+      <tbody>
+        {rows.map((r) => (
+          <tr key={r.key} className="border-t border-gray-100">
+            <td className="py-1 pr-4 font-medium">{label(r)}</td>
+            <td className="py-1 pr-4 tabular-nums">{r.sessions}</td>
+            <td className="py-1 pr-4 tabular-nums">{fmtHM(r.seconds)}</td>
+            <td className="py-1 pr-4 w-1/3">
+              <div className="h-2 rounded bg-gray-100">
+                <div className="h-2 rounded bg-gray-400" style={{ width: `${total ? (r.seconds / total) * 100 : 0}%`, background: r.color || undefined }} />
+              </div>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default function StatsPanel({ log }) {
+  const { t, rich, date } = useI18n();
+  const stats = useMemo(() => computeStats(log), [log]);
+  const weeks = useMemo(() => heatmapWeeks(stats.byDay), [stats]);
+  const estimates = useMemo(() => estimateReport(log), [log]);
+
+  const { completed, reset, skipped, idle = 0 } = stats.counts;
+  const finished = completed + reset + skipped + idle;
+
+  if (stats.sessions === 0) {
+    return <div className="text-sm text-gray-500">{t("stats.empty")}</div>;
+  }
+
+  return (
+    <div className="space-y-5">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <Stat label={t("stats.today")} value={fmtHM(stats.today)} />
+        <Stat label={t("stats.week")} value={fmtHM(stats.week)} hint={t("stats.weekHint")} />
+        <Stat label={t("stats.month")} value={fmtHM(stats.month)} />
+        <Stat label={t("stats.average")} value={fmtHM(stats.average)} hint={t("stats.focusSessions", { count: stats.sessions })} />
+        <Stat
+          label={t("stats.completed")}
+          value={completed}
+          hint={finished ? t("stats.completedShare", { pct: Math.round((completed / finished) * 100) }) : null}
+        />
+        <Stat label={t("stats.resetSkipped")} value={`${reset} / ${skipped}`} />
+        <Stat label={t("stats.longestStreak")} value={t("stats.days", { count: stats.streak.longest })} hint={t("stats.streakHint")} />
+        <Stat label={t("stats.currentStreak")} value={t("stats.days", { count: stats.streak.current })} />
+      </div>
+
+      {stats.quality && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <Stat
+            label={t("stats.quality")}
+            value={`${Math.round(stats.quality.score * 100)}%`}
+            hint={t("stats.qualityHint")}
+          />
+          <Stat
+            label={t("stats.interruptions")}
+            value={t("stats.perHour", { count: stats.quality.perHour.toFixed(1) })}
+            hint={t("stats.interruptionsHint", { total: stats.quality.interruptions, internal: stats.quality.internal, external: stats.quality.external })}
+          />
+          <Stat
+            label={t("stats.uninterrupted")}
+            value={`${Math.round(stats.quality.uninterrupted * 100)}%`}
+            hint={t("stats.uninterruptedHint", { count: stats.quality.sessions })}
+          />
+        </div>
+      )}
+
+      {stats.byPreset.length > 1 && (
+        <div>
+          <div className="text-sm font-medium mb-2">{t("stats.byPreset")}</div>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-1 pr-4">{t("stats.preset")}</th>
+                <th className="py-1 pr-4">{t("stats.sessions")}</th>
+                <th className="py-1 pr-4">{t("stats.completed")}</th>
+                <th className="py-1 pr-4">{t("stats.focusTime")}</th>
+                <th className="py-1 pr-4">{t("stats.average")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.byPreset.map((p) => (
+                <tr key={p.name ?? ""} className="border-t border-gray-100">
+                  <td className="py-1 pr-4 font-medium">{p.name ?? t("stats.customPreset")}</td>
+                  <td className="py-1 pr-4 tabular-nums">{p.sessions}</td>
+                  <td className="py-1 pr-4 tabular-nums">{Math.round((p.completed / p.sessions) * 100)}%</td>
+                  <td className="py-1 pr-4 tabular-nums">{fmtHM(p.seconds)}</td>
+                  <td className="py-1 pr-4 tabular-nums">{fmtHM(p.seconds / p.sessions)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {stats.byProject.some((p) => p.id) && (
+        <Totals
+          title={t("stats.byProject")}
+          rows={stats.byProject.map((p) => ({ ...p, key: p.id || "none" }))}
+          total={stats.total}
+          label={(p) => (
+            <span className="inline-flex items-center gap-2">
+              <span className="h-2.5 w-2.5 rounded-full" style={{ background: p.color || "#d1d5db" }} />
+              {p.id ? p.name : t("stats.noProject")}
+            </span>
+          )}
+        />
+      )}
+
+      {stats.byTag.some((tag) => tag.tag) && (
+        <Totals
+          title={t("stats.byTag")}
+          note={t("stats.byTagNote")}
+          rows={stats.byTag.map((tag) => ({ ...tag, key: tag.tag || "untagged" }))}
+          total={stats.total}
+          label={(tag) => (tag.tag ? <span className="text-indigo-700">#{tag.tag}</span> : <span className="text-gray-500">{t("stats.untagged")}</span>)}
+        />
+      )}
+
+      {estimates && (
+        <div>
+          <div className="text-sm font-medium mb-1">{t("stats.estimates")}</div>
+          <p className="text-sm text-gray-600 mb-2">
+            {rich("stats.estimatesSummary", {
+              ratio: <b className="text-gray-900">{estimates.ratio.toFixed(1)}×</b>,
+              over: estimates.over,
+              on: estimates.on,
+              under: estimates.under,
+            })}
+          </p>
+          {/* weekly bias: bar height = actual/estimate, the line marks 1× */}
+          <div className="relative flex h-20 items-end gap-1 border-b border-gray-200">
+            <div className="absolute inset-x-0 border-t border-dashed border-gray-300" style={{ bottom: "40%" }} />
+            {estimates.weeks.map((w) => (
+              <div
+                key={w.week}
+                className={`w-4 rounded-t ${w.ratio > 1 ? "bg-red-300" : "bg-emerald-300"}`}
+                style={{ height: `${Math.min(100, w.ratio * 40)}%` }}
+                title={t("stats.estimatesWeek", { date: date(w.week), actual: w.actual, estimate: w.estimate, items: w.items })}
+              />
+            ))}
+          </div>
+          <table className="mt-3 min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-1 pr-4">{t("stats.todo")}</th>
+                <th className="py-1 pr-4">{t("stats.estimate")}</th>
+                <th className="py-1 pr-4">{t("stats.actual")}</th>
+                <th className="py-1 pr-4">{t("stats.done")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {estimates.items.slice(0, 10).map((item) => (
+                <tr key={`${item.id}-${item.doneAt}`} className="border-t border-gray-100">
+                  <td className="py-1 pr-4 max-w-[32ch] truncate">{item.text}</td>
+                  <td className="py-1 pr-4 tabular-nums">{item.estimate}</td>
+                  <td className={`py-1 pr-4 tabular-nums ${item.actual > item.estimate ? "text-red-600" : ""}`}>{item.actual}</td>
+                  <td className="py-1 pr-4 text-gray-600">{date(item.doneAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div>
+        <div className="text-sm font-medium mb-2">{t("stats.heatmap")}</div>
+        <div className="flex gap-1 overflow-x-auto pb-1">
+          {weeks.map((week) => (
+            <div key={week[0].key} className="flex flex-col gap-1">
+              {week.map((d) => (
+                <div
+                  key={d.key}
+                  className={`h-3 w-3 rounded-sm ${d.future ? "bg-transparent" : heatClass(d.seconds / 60)}`}
+                  title={d.future ? "" : `${date(d.date)}: ${fmtHM(d.seconds)}`}
+                />
+              ))}
+            </div>
+          ))}
+        </div>
+        <div className="mt-2 flex items-center gap-1 text-xs text-gray-500">
+          <span>{t("stats.less")}</span>
+          {[0, 15, 60, 120, 240].map((m) => (
+            <span key={m} className={`h-3 w-3 rounded-sm ${heatClass(m)}`} />
+          ))}
+          <span>{t("stats.more")}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
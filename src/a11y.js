@@ -0,0 +1,80 @@
+import { useEffect, useRef, useState } from "react";
+import { enT } from "./i18n";
+
+// =====================
+// Accessibility helpers
+// - spoken milestones for the countdown (the SVG ring itself is silent)
+// - prefers-reduced-motion, overridable in settings
+// - focus trap for modal dialogs (Tab cycles inside, Escape closes,
+//   focus goes back to whatever opened it)
+// =====================
+
+// Announced when the countdown crosses these marks (seconds left), as long
+// as the phase is longer than the mark itself
+export const MILESTONES = [5 * 60, 60];
+
+export const milestoneText = (sec, t = enT) =>
+  sec >= 60 ? t("milestone.minutes", { count: sec / 60 }) : t("milestone.seconds", { count: sec });
+
+// The milestone crossed between two readings of the remaining time, if any
+export const crossedMilestone = (prevSec, sec, totalSec) =>
+  MILESTONES.find((m) => m < totalSec && prevSec > m && sec <= m && sec > 0) ?? null;
+
+const motionQuery = () => (window.matchMedia ? window.matchMedia("(prefers-reduced-motion: reduce)") : null);
+
+// `override`: null follows the system, true/false is the user's choice
+export const useReducedMotion = (override = null) => {
+  const [system, setSystem] = useState(() => !!motionQuery()?.matches);
+
+  useEffect(() => {
+    const query = motionQuery();
+    if (!query) return;
+    const onChange = (e) => setSystem(e.matches);
+    query.addEventListener("change", onChange);
+    return () => query.removeEventListener("change", onChange);
+  }, []);
+
+  return override ?? system;
+};
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+export const useFocusTrap = (ref, active, onClose) => {
+  const closeRef = useRef(onClose);
+  closeRef.current = onClose;
+
+  useEffect(() => {
+    if (!active || !ref.current) return;
+    const node = ref.current;
+    const opener = document.activeElement;
+    const focusables = () => [...node.querySelectorAll(FOCUSABLE)];
+
+    if (!node.contains(document.activeElement)) (focusables()[0] || node).focus();
+
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") {
+        e.stopPropagation();
+        closeRef.current();
+        return;
+      }
+      if (e.key !== "Tab") return;
+      const items = focusables();
+      if (!items.length) return e.preventDefault();
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    node.addEventListener("keydown", onKeyDown);
+    return () => {
+      node.removeEventListener("keydown", onKeyDown);
+      if (opener && opener.isConnected) opener.focus();
+    };
+  }, [ref, active]);
+};
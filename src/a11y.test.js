@@ -0,0 +1,166 @@
+import { useRef, useState } from 'react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import App from './App';
+import { crossedMilestone, milestoneText, useFocusTrap, useReducedMotion } from './a11y';
+import { setStoredValue } from './sessionStore';
+
+const mockMatchMedia = (matches) => {
+  window.matchMedia = (query) => ({
+    matches: matches(query),
+    media: query,
+    addEventListener: () => {},
+    removeEventListener: () => {},
+  });
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  delete window.matchMedia;
+});
+
+test('milestones are announced once, when the countdown crosses them', () => {
+  expect(crossedMilestone(301, 300, 1500)).toBe(300);
+  expect(crossedMilestone(300, 299, 1500)).toBeNull();
+  expect(crossedMilestone(61, 59, 1500)).toBe(60);
+  // a 5 minute break starts at the mark, so only "1 minute left" applies
+  expect(crossedMilestone(300, 299, 300)).toBeNull();
+  expect(crossedMilestone(61, 60, 300)).toBe(60);
+  expect(milestoneText(300)).toBe('5 minutes left');
+  expect(milestoneText(60)).toBe('1 minute left');
+});
+
+test('reduced motion follows the system unless overridden', () => {
+  mockMatchMedia((q) => q.includes('reduced-motion'));
+  const Probe = ({ override }) => <span>{String(useReducedMotion(override))}</span>;
+  const { rerender } = render(<Probe override={null} />);
+  expect(screen.getByText('true')).toBeInTheDocument();
+  rerender(<Probe override={false} />);
+  expect(screen.getByText('false')).toBeInTheDocument();
+});
+
+test('the focus trap cycles Tab, closes on Escape and returns focus', () => {
+  const Dialog = () => {
+    const [open, setOpen] = useState(false);
+    const ref = useRef(null);
+    useFocusTrap(ref, open, () => setOpen(false));
+    return (
+      <>
+        <button onClick={() => setOpen(true)}>Open</button>
+        {open && (
+          <div ref={ref} role="dialog">
+            <button>First</button>
+            <button>Last</button>
+          </div>
+        )}
+      </>
+    );
+  };
+  render(<Dialog />);
+  const opener = screen.getByText('Open');
+  opener.focus();
+  fireEvent.click(opener);
+
+  const dialog = screen.getByRole('dialog');
+  expect(screen.getByText('First')).toHaveFocus();
+  screen.getByText('Last').focus();
+  fireEvent.keyDown(dialog, { key: 'Tab' });
+  expect(screen.getByText('First')).toHaveFocus();
+  fireEvent.keyDown(dialog, { key: 'Tab', shiftKey: true });
+  expect(screen.getByText('Last')).toHaveFocus();
+
+  fireEvent.keyDown(dialog, { key: 'Escape' });
+  expect(screen.queryByRole('dialog')).toBeNull();
+  expect(opener).toHaveFocus();
+});
+
+// A focus block that's been running since `startAt`
+const runningTimer = (startAt, endAt) =>
+  localStorage.setItem('fb_timer', JSON.stringify({ startAt, endAt, pausedAt: null, pausedMs: 0, pauses: [], pauseReason: null }));
+
+const trailDots = () => screen.queryAllByTestId('trail-dot').length;
+
+test('phase changes and countdown milestones reach the live region', async () => {
+  const now = Date.now();
+  runningTimer(now - 1199000, now + 301000);
+  jest.useFakeTimers({ now });
+  try {
+    render(<App />);
+    await screen.findByText('Skip');
+    const live = screen.getByText('', { selector: '[aria-live="polite"]' });
+    await act(async () => {
+      jest.advanceTimersByTime(2000);
+    });
+    expect(live).toHaveTextContent('5 minutes left in this focus');
+
+    window.confirm = () => true;
+    fireEvent.click(screen.getByText('Skip'));
+    await waitFor(() => expect(live).toHaveTextContent(/Focus over\. Break/));
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test('reduced motion hides the spark trail', async () => {
+  const now = Date.now();
+  runningTimer(now, now + 1500000);
+  jest.useFakeTimers({ now });
+  try {
+    render(<App />);
+    await act(async () => {
+      jest.advanceTimersByTime(60000);
+    });
+    expect(trailDots()).toBeGreaterThan(0);
+
+    const setting = screen.getByLabelText(/Reduce motion/);
+    expect(setting).toHaveValue('system');
+    fireEvent.change(setting, { target: { value: 'on' } });
+    expect(trailDots()).toBe(0);
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test('the system preference alone is enough, once the setting goes back to it', async () => {
+  mockMatchMedia((q) => q.includes('reduced-motion'));
+  localStorage.setItem('fb_reduceMotion', 'false');
+  const now = Date.now();
+  runningTimer(now, now + 1500000);
+  jest.useFakeTimers({ now });
+  try {
+    render(<App />);
+    await act(async () => {
+      jest.advanceTimersByTime(60000);
+    });
+    expect(trailDots()).toBeGreaterThan(0);
+
+    const setting = screen.getByLabelText(/Reduce motion/);
+    expect(setting).toHaveValue('off');
+    fireEvent.change(setting, { target: { value: 'system' } });
+    expect(trailDots()).toBe(0);
+    expect(JSON.parse(localStorage.getItem('fb_reduceMotion'))).toBeNull();
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test('todo notes open and edit from the keyboard', async () => {
+  await setStoredValue('todos_current', [{ id: 't1', text: 'Write report', done: false, description: '' }]);
+  render(<App />);
+  const toggle = await screen.findByRole('button', { name: /Show notes/ });
+  expect(toggle).toHaveAttribute('aria-expanded', 'false');
+  fireEvent.click(toggle);
+  expect(toggle).toHaveAttribute('aria-expanded', 'true');
+
+  fireEvent.click(screen.getByLabelText('Edit notes'));
+  let box = screen.getByLabelText('Notes for "Write report"');
+  fireEvent.change(box, { target: { value: 'draft' } });
+  fireEvent.keyDown(box, { key: 'Escape' });
+  expect(screen.getByText(/No notes yet/)).toBeInTheDocument();
+  await waitFor(() => expect(screen.getByLabelText('Edit notes')).toHaveFocus());
+
+  fireEvent.click(screen.getByLabelText('Edit notes'));
+  box = screen.getByLabelText('Notes for "Write report"');
+  fireEvent.change(box, { target: { value: 'outline first' } });
+  fireEvent.keyDown(box, { key: 'Enter', ctrlKey: true });
+  expect(screen.getByText('outline first')).toBeInTheDocument();
+});
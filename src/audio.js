@@ -0,0 +1,270 @@
+import { useEffect, useRef } from "react";
+
+// =====================
+// Sound – everything is synthesized with Web Audio, except a user-chosen
+// local file used as the alert
+// - alert sounds are tone sequences: the built-ins below, or the user's own
+//   (fb_customTones: [{ freq (Hz), dur (ms), wave }])
+// - the alert file lives in the session store's kv table (ALERT_FILE_KEY) as
+//   { name, dataUrl }, so it survives reloads without a server
+// - ambient noise loops a generated buffer through its own gain node, so it
+//   has its own volume and can fade out on its own
+// =====================
+
+export const WAVES = ["sine", "square", "triangle", "sawtooth"];
+
+export const BUILTIN_SOUNDS = {
+  chime: [{ freq: 660, dur: 180, wave: "sine" }, { freq: 990, dur: 220, wave: "sine" }],
+  beep: [{ freq: 880, dur: 250, wave: "sine" }],
+  tick: [{ freq: 440, dur: 80, wave: "sine" }],
+};
+
+// "custom" plays fb_customTones, "file" the stored alert file
+export const SOUND_IDS = [...Object.keys(BUILTIN_SOUNDS), "custom", "file"];
+
+export const DEFAULT_CUSTOM_TONES = [
+  { freq: 523, dur: 150, wave: "sine" },
+  { freq: 659, dur: 150, wave: "sine" },
+  { freq: 784, dur: 300, wave: "triangle" },
+];
+
+export const MAX_TONES = 8;
+export const ALERT_FILE_KEY = "alert_file";
+export const MAX_ALERT_FILE_BYTES = 1024 * 1024; // kept as a data URL – stay small
+
+const clamp = (n, min, max, fallback) => (Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback);
+
+// Keeps a tone audible and short enough to be an alert
+export const normalizeTone = (tone = {}) => ({
+  freq: Math.round(clamp(Number(tone.freq), 40, 4000, 440)),
+  dur: Math.round(clamp(Number(tone.dur), 20, 2000, 150)),
+  wave: WAVES.includes(tone.wave) ? tone.wave : "sine",
+});
+
+// Start offset (seconds) and length of each tone, played back to back
+export const toneSchedule = (tones) => {
+  let at = 0;
+  return tones.map((tone) => {
+    const { freq, dur, wave } = normalizeTone(tone);
+    const step = { freq, wave, at, dur: dur / 1000 };
+    at += dur / 1000;
+    return step;
+  });
+};
+
+// ===== Ambient noise =====
+export const AMBIENT_TYPES = ["off", "white", "pink", "brown", "rain"];
+export const DEFAULT_AMBIENT = { type: "off", volume: 0.3 };
+export const AMBIENT_FADE_SEC = 3;
+
+// One loopable channel of noise in [-1, 1]
+export const noiseSamples = (type, length, random = Math.random) => {
+  const out = new Float32Array(length);
+  let b0 = 0, b1 = 0, b2 = 0, brown = 0, drop = 0;
+  for (let i = 0; i < length; i++) {
+    const white = random() * 2 - 1;
+    // pink: Paul Kellet's economy filter
+    b0 = 0.99765 * b0 + white * 0.099046;
+    b1 = 0.963 * b1 + white * 0.2965164;
+    b2 = 0.57 * b2 + white * 1.0526913;
+    const pink = (b0 + b1 + b2 + white * 0.1848) * 0.2;
+    // brown: leaky integration of white noise
+    brown = (brown + 0.02 * white) / 1.02;
+    let v;
+    if (type === "pink") v = pink;
+    else if (type === "brown") v = brown * 3.5;
+    else if (type === "rain") {
+      // a soft pink bed with sparse, quickly decaying droplets on top
+      if (random() < 0.0008) drop = 0.6 + random() * 0.4;
+      drop *= 0.992;
+      v = pink * 0.55 + white * drop * 0.5;
+    } else v = white;
+    out[i] = Math.max(-1, Math.min(1, v));
+  }
+  return out;
+};
+
+const stopNode = (node) => {
+  try { node.stop(); } catch { }
+};
+
+export function useAudio() {
+  const ctxRef = useRef(null);
+  const ambientRef = useRef(null); // { type, source, gain }
+
+  const ensureCtx = () => {
+    if (!ctxRef.current) ctxRef.current = new (window.AudioContext || window.webkitAudioContext)();
+    if (ctxRef.current.state === "suspended") ctxRef.current.resume();
+    return ctxRef.current;
+  };
+
+  // Returns the oscillators, so a sequence scheduled ahead can be called off
+  const playTones = (tones, volume, delaySec = 0) => {
+    const ctx = ensureCtx();
+    const now = ctx.currentTime + delaySec;
+    const gain = ctx.createGain();
+    gain.gain.value = Math.max(0, Math.min(volume, 1));
+    gain.connect(ctx.destination);
+
+    return toneSchedule(tones).map(({ freq, wave, at, dur }) => {
+      const osc = ctx.createOscillator();
+      osc.type = wave;
+      osc.frequency.value = freq;
+      osc.connect(gain);
+      osc.start(now + at);
+      osc.stop(now + at + dur);
+      return osc;
+    });
+  };
+
+  const tonesFor = ({ type, tones = [] }) =>
+    type === "custom" && tones.length ? tones : BUILTIN_SOUNDS[type] || BUILTIN_SOUNDS.beep;
+
+  // `type`: a SOUND_IDS entry; "custom" needs `tones`, "file" needs `file`.
+  // Never rejects: a file that won't play (autoplay policy, unsupported
+  // format) falls back to the built-in beep.
+  const playBeep = async ({ type = "beep", volume = 0.5, tones = [], file = null } = {}) => {
+    try {
+      if (type === "file" && file) {
+        const audio = new Audio(file.dataUrl);
+        audio.volume = Math.max(0, Math.min(volume, 1));
+        await audio.play();
+        return;
+      }
+      playTones(tonesFor({ type, tones }), volume);
+    } catch {
+      try {
+        playTones(BUILTIN_SOUNDS.beep, volume);
+      } catch { }
+    }
+  };
+
+  // The alert file as an AudioBuffer, decoded once per file
+  const decodedRef = useRef(null); // { dataUrl, buffer: Promise<AudioBuffer> }
+  const fileBuffer = (file) => {
+    if (decodedRef.current?.dataUrl !== file.dataUrl) {
+      const bytes = Uint8Array.from(atob(file.dataUrl.split(",")[1] || ""), (c) => c.charCodeAt(0));
+      decodedRef.current = { dataUrl: file.dataUrl, buffer: ensureCtx().decodeAudioData(bytes.buffer) };
+    }
+    return decodedRef.current.buffer;
+  };
+
+  // Starts the alert file `delaySec` from now on the audio clock (the beep if
+  // it can't be decoded); returns a function that calls it off
+  const playFile = (file, volume, delaySec) => {
+    const ctx = ensureCtx();
+    const at = ctx.currentTime + delaySec;
+    const nodes = [];
+    let cancelled = false;
+    fileBuffer(file)
+      .then((buffer) => {
+        if (cancelled) return;
+        const source = ctx.createBufferSource();
+        const gain = ctx.createGain();
+        source.buffer = buffer;
+        gain.gain.value = Math.max(0, Math.min(volume, 1));
+        source.connect(gain);
+        gain.connect(ctx.destination);
+        source.start(Math.max(at, ctx.currentTime));
+        nodes.push(source);
+      })
+      .catch(() => {
+        if (!cancelled) nodes.push(...playTones(BUILTIN_SOUNDS.beep, volume, Math.max(0, at - ctx.currentTime)));
+      });
+    return () => {
+      cancelled = true;
+      nodes.forEach(stopNode);
+    };
+  };
+
+  // Plays `sound` (playBeep's options) `delaySec` from now, timed by the
+  // audio clock rather than a timer that a background tab may throttle.
+  // That clock stands still while the context is suspended (created outside a
+  // user gesture, e.g. after a reload), so the plan waits until it runs.
+  // Returns a function that calls it off.
+  const scheduleBeep = (sound, delaySec) => {
+    const ctx = ensureCtx();
+    const due = Date.now() + delaySec * 1000;
+    const volume = sound.volume ?? 0.5;
+    let stop = () => { };
+
+    const plan = () => {
+      if (due < Date.now() - 1000) return; // its moment passed while we waited
+      const delay = Math.max(0, (due - Date.now()) / 1000);
+      if (sound.type === "file" && sound.file) {
+        stop = playFile(sound.file, volume, delay);
+      } else {
+        const oscillators = playTones(tonesFor(sound), volume, delay);
+        stop = () => oscillators.forEach(stopNode);
+      }
+    };
+    const onStateChange = () => {
+      if (ctx.state !== "running") return;
+      ctx.removeEventListener("statechange", onStateChange);
+      plan();
+    };
+
+    const waiting = ctx.state === "suspended";
+    if (waiting) ctx.addEventListener("statechange", onStateChange);
+    else plan();
+
+    return () => {
+      if (waiting) ctx.removeEventListener("statechange", onStateChange);
+      stop();
+    };
+  };
+
+  const stopAmbient = (fadeSec = AMBIENT_FADE_SEC) => {
+    const current = ambientRef.current;
+    if (!current) return;
+    ambientRef.current = null;
+    const ctx = ctxRef.current;
+    const end = ctx.currentTime + fadeSec;
+    current.gain.gain.setValueAtTime(current.gain.gain.value, ctx.currentTime);
+    current.gain.gain.linearRampToValueAtTime(0, end);
+    current.source.stop(end);
+  };
+
+  // Starts (or switches) the loop, fading in; just adjusts the volume when
+  // the same noise is already playing
+  const playAmbient = (type, volume) => {
+    const level = Math.max(0, Math.min(volume, 1));
+    const current = ambientRef.current;
+    if (current && current.type === type) {
+      current.gain.gain.setTargetAtTime(level, ctxRef.current.currentTime, 0.1);
+      return;
+    }
+    stopAmbient(0.5);
+    const ctx = ensureCtx();
+    const length = ctx.sampleRate * 4;
+    const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+    buffer.getChannelData(0).set(noiseSamples(type, length));
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0, ctx.currentTime);
+    gain.gain.linearRampToValueAtTime(level, ctx.currentTime + 1);
+    source.connect(gain);
+    gain.connect(ctx.destination);
+    source.start();
+    ambientRef.current = { type, source, gain };
+  };
+
+  useEffect(() => () => ambientRef.current?.source.stop(), []);
+
+  return { playBeep, scheduleBeep, playAmbient, stopAmbient };
+}
+
+// Why a picked file can't be the alert: "type" | "size" | null
+export const alertFileProblem = (file) =>
+  !file.type.startsWith("audio/") ? "type" : file.size > MAX_ALERT_FILE_BYTES ? "size" : null;
+
+// Reads a picked file into what we store under ALERT_FILE_KEY
+export const readAlertFile = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve({ name: file.name, dataUrl: reader.result });
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
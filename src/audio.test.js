@@ -0,0 +1,154 @@
+import { fireEvent, render, renderHook, screen, waitFor } from '@testing-library/react';
+import App from './App';
+import { ALERT_FILE_KEY, alertFileProblem, noiseSamples, normalizeTone, toneSchedule, useAudio } from './audio';
+import { setStoredValue } from './sessionStore';
+
+// Records every oscillator started (see setupTests)
+const FakeAudioContext = window.AudioContext;
+const { played, startedAt } = FakeAudioContext;
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+// Deterministic "random" numbers for the noise generators
+const seeded = (seed = 1) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+
+const roughness = (samples) => samples.slice(1).reduce((sum, v, i) => sum + Math.abs(v - samples[i]), 0) / samples.length;
+
+test('noise stays in range, and brown noise is smoother than white', () => {
+  const white = noiseSamples('white', 4000, seeded());
+  const brown = noiseSamples('brown', 4000, seeded());
+  for (const type of ['white', 'pink', 'brown', 'rain']) {
+    const samples = noiseSamples(type, 4000, seeded());
+    expect(samples.every((v) => v >= -1 && v <= 1)).toBe(true);
+  }
+  expect(roughness(brown)).toBeLessThan(roughness(white) / 10);
+});
+
+test('tones are clamped to something audible and scheduled back to back', () => {
+  expect(normalizeTone({ freq: '5', dur: 'x', wave: 'organ' })).toEqual({ freq: 40, dur: 150, wave: 'sine' });
+  expect(toneSchedule([{ freq: 440, dur: 100, wave: 'square' }, { freq: 880, dur: 250 }])).toEqual([
+    { freq: 440, wave: 'square', at: 0, dur: 0.1 },
+    { freq: 880, wave: 'sine', at: 0.1, dur: 0.25 },
+  ]);
+});
+
+test('only small audio files can be the alert', () => {
+  expect(alertFileProblem({ type: 'audio/mpeg', size: 20_000 })).toBeNull();
+  expect(alertFileProblem({ type: 'image/png', size: 20_000 })).toBe('type');
+  expect(alertFileProblem({ type: 'audio/wav', size: 5 * 1024 * 1024 })).toBe('size');
+});
+
+test('a custom tone sequence is stored and played by Test sound', async () => {
+  render(<App />);
+  fireEvent.change(await screen.findByDisplayValue('Chime'), { target: { value: 'custom' } });
+  fireEvent.change(screen.getByLabelText('Tone 1 frequency'), { target: { value: '300' } });
+  fireEvent.change(screen.getByLabelText('Tone 2 waveform'), { target: { value: 'square' } });
+  fireEvent.click(screen.getByText('+ Add tone'));
+
+  const saved = JSON.parse(localStorage.getItem('fb_customTones'));
+  expect(saved).toHaveLength(4);
+  expect(saved[0].freq).toBe('300');
+
+  fireEvent.click(screen.getAllByText('Test sound')[0]);
+  expect(played).toEqual([
+    { type: 'sine', freq: 300 },
+    { type: 'square', freq: 659 },
+    { type: 'triangle', freq: 784 },
+    { type: 'triangle', freq: 784 },
+  ]);
+});
+
+test('an alert file that refuses to play falls back to the built-in beep', async () => {
+  const Audio = window.Audio;
+  const tried = [];
+  window.Audio = class {
+    constructor(src) {
+      tried.push(src);
+    }
+    play = () => Promise.reject(new DOMException('blocked', 'NotAllowedError'));
+  };
+  try {
+    localStorage.setItem('fb_sound', JSON.stringify('file'));
+    await setStoredValue(ALERT_FILE_KEY, { name: 'gong.mp3', dataUrl: 'data:audio/mpeg;base64,AAAA' });
+    render(<App />);
+    fireEvent.click((await screen.findAllByText('Test sound'))[0]);
+    await waitFor(() => expect(played).toEqual([{ type: 'sine', freq: 880 }]));
+    expect(tried).toEqual(['data:audio/mpeg;base64,AAAA']);
+  } finally {
+    window.Audio = Audio;
+  }
+});
+
+describe('scheduled alerts', () => {
+  let ctx;
+  const audio = () => renderHook(() => useAudio()).result.current;
+
+  // Like one created without a user gesture: its clock stands still
+  class SuspendedAudioContext extends FakeAudioContext {
+    state = 'suspended';
+    listeners = new Set();
+    constructor() {
+      super();
+      ctx = this;
+    }
+    resume() {}
+    addEventListener(type, fn) {
+      this.listeners.add(fn);
+    }
+    removeEventListener(type, fn) {
+      this.listeners.delete(fn);
+    }
+    run() {
+      this.state = 'running';
+      this.listeners.forEach((fn) => fn());
+    }
+  }
+
+  let sources;
+  class FileAudioContext extends FakeAudioContext {
+    decodeAudioData = (data) => (data.byteLength ? Promise.resolve({ bytes: data.byteLength }) : Promise.reject(new Error('empty')));
+    createBufferSource() {
+      const source = { connect() {}, start: (at) => sources.push({ buffer: source.buffer, at }), stop() {} };
+      return source;
+    }
+  }
+
+  beforeEach(() => {
+    sources = [];
+  });
+
+  test('wait for a suspended context to run, then keep their time', () => {
+    jest.useFakeTimers({ now: Date.now() });
+    window.AudioContext = SuspendedAudioContext;
+    try {
+      const { scheduleBeep } = audio();
+      scheduleBeep({ type: 'beep' }, 10);
+      const cancel = scheduleBeep({ type: 'chime' }, 10);
+      expect(played).toEqual([]);
+
+      cancel();
+      jest.advanceTimersByTime(4000);
+      ctx.run();
+      expect(played).toEqual([{ type: 'sine', freq: 880 }]);
+      expect(startedAt).toEqual([6]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('play the alert file on the audio clock, or the beep if it cannot be decoded', async () => {
+    window.AudioContext = FileAudioContext;
+    const { scheduleBeep } = audio();
+    scheduleBeep({ type: 'file', file: { dataUrl: 'data:audio/mpeg;base64,AAAA' } }, 30);
+    await waitFor(() => expect(sources).toEqual([{ buffer: { bytes: 3 }, at: 30 }]));
+
+    scheduleBeep({ type: 'file', file: { dataUrl: 'data:audio/mpeg;base64,' } }, 20);
+    await waitFor(() => expect(startedAt).toEqual([20]));
+    expect(played).toEqual([{ type: 'sine', freq: 880 }]);
+  });
+});
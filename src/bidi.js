@@ -0,0 +1,16 @@
+// =====================
+// Text input hygiene – keeps typed or pasted text in logical order
+// Tasks, todos and notes are left-to-right; BiDi control characters would
+// reorder them on screen (and in exports) in confusing ways.
+// =====================
+
+// Remove Unicode BiDi controls (RLM/LRM/RLE/LRE/RLO/LRO/PDF/FSI/LSI/RSI)
+const BIDI_REGEX = /[\u200E\u200F\u202A-\u202E\u2066-\u2069]/g;
+
+export const stripBidi = (s = "") => s.replace(BIDI_REGEX, "");
+
+// Force LTR rendering/caret order even if BiDi chars sneak in
+export const LTR_PROPS = {
+  dir: "ltr",
+  style: { direction: "ltr", unicodeBidi: "bidi-override", textAlign: "left" },
+};
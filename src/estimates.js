@@ -0,0 +1,65 @@
+import { startOfWeek } from "./stats";
+
+// =====================
+// Estimates vs. actuals per todo
+// - A todo may carry `estimate`: how many focus blocks it should take
+// - "Actual" is the number of completed focus sessions it sat on the
+//   checklist for, counted from the log snapshots (so it survives
+//   carry-over/backlog trips). Reset, skipped or idle-split sessions were cut
+//   short, so they don't count as a block spent.
+// - The report only looks at estimated todos that were finished, and tracks
+//   the actual/estimate ratio week by week to show systematic bias
+// =====================
+
+export const ESTIMATE_OPTIONS = [1, 2, 3, 4, 5, 6, 8];
+
+const completed = (e) => (e.reason || "completed") === "completed";
+
+// Blocks a todo still on the checklist has had so far (the running one excluded)
+export const blocksSoFar = (todo) => (todo.sessions ? todo.sessions.filter(completed).length : 0);
+
+// "over" / "under" / "on" for an actual against its estimate
+export const estimateStatus = (actual, estimate) =>
+  !estimate ? null : actual > estimate ? "over" : actual < estimate ? "under" : "on";
+
+export const estimateReport = (log) => {
+  const focus = log.filter((e) => e.phase === "focus").sort((a, b) => a.end - b.end);
+
+  // walk the log oldest → newest, counting blocks per todo until it's done
+  const blocks = new Map();
+  const finished = [];
+  focus.forEach((e) => {
+    (e.todos || []).forEach((t) => {
+      const n = (blocks.get(t.id) || 0) + (completed(e) ? 1 : 0);
+      blocks.set(t.id, n);
+      if (t.done && t.estimate) {
+        finished.push({ id: t.id, text: t.text, estimate: t.estimate, actual: n, doneAt: e.end, ratio: n / t.estimate });
+      }
+    });
+  });
+
+  if (!finished.length) return null;
+
+  const byWeek = new Map();
+  finished.forEach((f) => {
+    const week = startOfWeek(f.doneAt);
+    const row = byWeek.get(week) || { week, items: 0, estimate: 0, actual: 0 };
+    row.items += 1;
+    row.estimate += f.estimate;
+    row.actual += f.actual;
+    byWeek.set(week, row);
+  });
+
+  const estimate = finished.reduce((s, f) => s + f.estimate, 0);
+  const actual = finished.reduce((s, f) => s + f.actual, 0);
+  const count = (status) => finished.filter((f) => estimateStatus(f.actual, f.estimate) === status).length;
+
+  return {
+    items: finished.reverse(), // newest first
+    ratio: actual / estimate, // > 1: things take longer than we think
+    over: count("over"),
+    under: count("under"),
+    on: count("on"),
+    weeks: [...byWeek.values()].map((w) => ({ ...w, ratio: w.actual / w.estimate })),
+  };
+};
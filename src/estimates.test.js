@@ -0,0 +1,34 @@
+import { blocksSoFar, estimateReport } from './estimates';
+
+const at = (d, h) => new Date(2025, 2, d, h).getTime(); // March 2025
+const session = (end, todos, phase = 'focus') => ({ id: `${end}`, phase, task: 't', start: end - 1500e3, end, duration: 1500, reason: 'completed', todos });
+
+test('counts the blocks each estimated todo was on the checklist until done', () => {
+  const log = [
+    session(at(3, 9), [{ id: 1, text: 'spec', estimate: 1 }, { id: 2, text: 'docs', estimate: 3 }]),
+    session(at(3, 10), [{ id: 1, text: 'spec', estimate: 1 }], 'break'), // breaks don't count
+    session(at(3, 11), [{ id: 1, text: 'spec', estimate: 1, done: true }, { id: 2, text: 'docs', estimate: 3, done: true }]),
+    session(at(10, 9), [{ id: 3, text: 'no estimate', done: true }, { id: 4, text: 'fix', estimate: 2, done: true }]),
+  ];
+  const report = estimateReport(log);
+  expect(report.items.map((t) => [t.text, t.estimate, t.actual])).toEqual([['fix', 2, 1], ['docs', 3, 2], ['spec', 1, 2]]);
+  expect(report).toMatchObject({ over: 1, under: 2, on: 0 });
+  expect(report.ratio).toBeCloseTo(5 / 6);
+  expect(report.weeks.map((w) => w.ratio)).toEqual([1, 0.5]);
+});
+
+test('no report without finished, estimated todos', () => {
+  expect(estimateReport([session(at(3, 9), [{ id: 1, text: 'x', done: true }])])).toBeNull();
+});
+
+test('sessions cut short are not blocks spent', () => {
+  const log = [
+    session(at(3, 9), [{ id: 1, text: 'spec', estimate: 2 }]),
+    { ...session(at(3, 10), [{ id: 1, text: 'spec', estimate: 2 }]), reason: 'reset' },
+    { ...session(at(3, 11), [{ id: 1, text: 'spec', estimate: 2 }]), reason: 'skipped' },
+    session(at(3, 12), [{ id: 1, text: 'spec', estimate: 2, done: true }]),
+  ];
+  expect(estimateReport(log).items[0]).toMatchObject({ actual: 2, estimate: 2 });
+  // stamps from before reasons were recorded count as completed
+  expect(blocksSoFar({ sessions: [{ id: 'a' }, { id: 'b', reason: 'completed' }, { id: 'c', reason: 'idle' }] })).toBe(2);
+});
@@ -0,0 +1,98 @@
+import { addDays, dayKey, startOfDay, startOfWeek } from "./stats";
+
+// =====================
+// Focus goals – a target per weekday, an optional weekly one, and streaks
+// of days the goal was met
+// Settings (fb_goals): { enabled, metric: "minutes" | "blocks",
+//   daily: [Mon … Sun] targets (0 = day off), weekly: target (0 = none) }
+// Only completed focus sessions count, each on the local day it ended.
+// Past days are judged against the current targets; days off neither
+// extend nor break a streak. Weeks start on Monday, like ./stats.
+// =====================
+
+export const GOAL_METRICS = ["minutes", "blocks"];
+
+// 4 hours of focus on weekdays
+export const DEFAULT_GOALS = { enabled: false, metric: "minutes", daily: [240, 240, 240, 240, 240, 0, 0], weekly: 0 };
+
+// Stored settings over the defaults; partial or older objects (no per-day
+// targets, an unknown unit) read as the defaults for what's missing
+export const resolveGoals = (saved) => {
+  const goals = { ...DEFAULT_GOALS, ...saved };
+  return {
+    ...goals,
+    metric: GOAL_METRICS.includes(goals.metric) ? goals.metric : DEFAULT_GOALS.metric,
+    daily: Array.isArray(goals.daily) && goals.daily.length === 7 ? goals.daily : DEFAULT_GOALS.daily,
+  };
+};
+
+// 0 = Monday … 6 = Sunday
+export const weekdayIndex = (ms) => (new Date(ms).getDay() + 6) % 7;
+
+export const dailyTarget = (goals, ms) => Math.max(0, Number(goals.daily?.[weekdayIndex(ms)]) || 0);
+
+// Targets carried over to the other unit, using the current focus length
+export const convertGoals = (goals, metric, focusMin) => {
+  if (metric === goals.metric) return goals;
+  const convert = (v) => (metric === "blocks" ? Math.round(v / focusMin) : v * focusMin);
+  return { ...goals, metric, daily: goals.daily.map(convert), weekly: convert(goals.weekly) };
+};
+
+// The local day a session counts towards, or null if it doesn't count
+export const focusDay = (e) =>
+  e && e.phase === "focus" && (e.reason || "completed") === "completed" && e.end != null ? dayKey(e.end) : null;
+
+// Completed focus per local day: [{ day: "YYYY-MM-DD", seconds, blocks }].
+// The session store keeps the same totals as sessions are written, so goals
+// never need the whole log (see ./sessionStore)
+export const focusDays = (log) => {
+  const byDay = new Map();
+  log.forEach((e) => {
+    const day = focusDay(e);
+    if (!day) return;
+    const totals = byDay.get(day) || { day, seconds: 0, blocks: 0 };
+    totals.seconds += Number(e.duration) || 0;
+    totals.blocks += 1;
+    byDay.set(day, totals);
+  });
+  return [...byDay.values()];
+};
+
+// Per-day totals in the goal's unit (minutes or blocks)
+export const goalTotals = (days, metric) =>
+  new Map(days.map((d) => [d.day, metric === "blocks" ? d.blocks : d.seconds / 60]));
+
+// Days in a row with the goal met; today only counts once it's met, and an
+// unfinished today doesn't break the streak yet
+export const goalStreak = (goals, byDay, now = Date.now()) => {
+  const first = [...byDay.keys()].sort()[0];
+  if (!first) return { current: 0, longest: 0 };
+  const [y, m, d] = first.split("-").map(Number);
+  const today = startOfDay(now);
+  let run = 0;
+  let longest = 0;
+  for (let t = new Date(y, m - 1, d).getTime(); t <= today; t = addDays(t, 1)) {
+    const target = dailyTarget(goals, t);
+    if (!target) continue;
+    if ((byDay.get(dayKey(t)) || 0) >= target) run += 1;
+    else if (t < today) run = 0;
+    longest = Math.max(longest, run);
+  }
+  return { current: run, longest };
+};
+
+// Progress for the header: { today, week: { done, target, met }, streak },
+// from the per-day totals
+export const goalStatus = (goals, days, now = Date.now()) => {
+  const byDay = goalTotals(days, goals.metric);
+  const progress = (done, target) => ({ done, target, met: target > 0 && done >= target });
+
+  let week = 0;
+  for (let t = startOfWeek(now); t <= now; t = addDays(t, 1)) week += byDay.get(dayKey(t)) || 0;
+
+  return {
+    today: progress(byDay.get(dayKey(now)) || 0, dailyTarget(goals, now)),
+    week: progress(week, Math.max(0, Number(goals.weekly) || 0)),
+    streak: goalStreak(goals, byDay, now),
+  };
+};
@@ -0,0 +1,78 @@
+import { render, screen } from '@testing-library/react';
+import App from './App';
+import { DEFAULT_GOALS, convertGoals, focusDays, goalStatus, goalStreak, goalTotals, resolveGoals } from './goals';
+import { putSessions } from './sessionStore';
+
+// Wednesday, 8 May 2024, 18:00 local time
+const NOW = new Date(2024, 4, 8, 18).getTime();
+const at = (day, hour = 12) => new Date(2024, 4, day, hour).getTime();
+const focus = (day, minutes, extra = {}) => ({
+  id: `${day}-${minutes}-${extra.reason || ''}`,
+  phase: 'focus',
+  start: at(day) - minutes * 60 * 1000,
+  end: at(day),
+  duration: minutes * 60,
+  reason: 'completed',
+  ...extra,
+});
+
+const weekdays = (target) => ({ enabled: true, metric: 'minutes', daily: [target, target, target, target, target, 0, 0], weekly: 0 });
+
+test('only completed focus sessions count, against the target for that weekday', () => {
+  const log = [
+    focus(8, 120),
+    focus(8, 60, { reason: 'skipped' }),
+    focus(8, 90, { phase: 'break' }),
+    focus(6, 240),
+  ];
+  const status = goalStatus({ ...weekdays(180), weekly: 600 }, focusDays(log), NOW);
+  expect(status.today).toEqual({ done: 120, target: 180, met: false });
+  expect(status.week).toEqual({ done: 360, target: 600, met: false });
+  expect(goalTotals(focusDays(log), 'blocks').get('2024-05-08')).toBe(1);
+});
+
+test('streaks skip days off, and today only counts once the goal is met', () => {
+  const goals = weekdays(60);
+  // Thu 2 → Tue 7 met (Sat/Sun are days off), Wed 1 missed
+  const byDay = goalTotals(focusDays([1, 2, 3, 6, 7].map((d) => focus(d, d === 1 ? 30 : 60))), 'minutes');
+  expect(goalStreak(goals, byDay, NOW)).toEqual({ current: 4, longest: 4 });
+  byDay.set('2024-05-08', 75);
+  expect(goalStreak(goals, byDay, NOW)).toEqual({ current: 5, longest: 5 });
+  expect(goalStreak(goals, byDay, at(10))).toEqual({ current: 0, longest: 5 }); // Thursday 9 was missed
+});
+
+test('switching the unit converts the targets with the focus length', () => {
+  expect(convertGoals({ ...weekdays(240), weekly: 1000 }, 'blocks', 25)).toMatchObject({
+    metric: 'blocks',
+    daily: [10, 10, 10, 10, 10, 0, 0],
+    weekly: 40,
+  });
+  expect(convertGoals({ metric: 'blocks', daily: [8, 8, 8, 8, 8, 2, 0], weekly: 0 }, 'minutes', 25).daily[5]).toBe(50);
+});
+
+test('stored goals missing the per-day targets read as the defaults', async () => {
+  expect(resolveGoals({ enabled: true, weekly: 300 })).toEqual({ ...DEFAULT_GOALS, enabled: true, weekly: 300 });
+  expect(resolveGoals({ daily: [1, 2], metric: 'hours' })).toEqual(DEFAULT_GOALS);
+
+  localStorage.clear();
+  localStorage.setItem('fb_goals', JSON.stringify({ enabled: true }));
+  render(<App />);
+  expect(await screen.findByLabelText('Goal for Monday')).toHaveValue(240);
+  expect(screen.getByLabelText('Goal for Sunday')).toHaveValue(0);
+});
+
+test('the header shows progress and cheers once the goal is met', async () => {
+  localStorage.clear();
+  const now = Date.now();
+  localStorage.setItem('fb_goals', JSON.stringify({ enabled: true, metric: 'blocks', daily: [2, 2, 2, 2, 2, 2, 2], weekly: 0 }));
+  await putSessions([
+    { id: 'a', phase: 'focus', task: 'A', start: now - 60_000, end: now - 30_000, duration: 30, reason: 'completed', todos: [] },
+    { id: 'b', phase: 'focus', task: 'B', start: now - 30_000, end: now - 1000, duration: 29, reason: 'completed', todos: [] },
+  ]);
+
+  render(<App />);
+  expect(await screen.findByText('Daily goal reached!', { selector: 'b' })).toBeInTheDocument();
+  expect(screen.getByRole('progressbar', { name: 'Today' })).toHaveAttribute('aria-valuetext', '2 blocks / 2 blocks');
+  expect(screen.getByText('🔥 Goal met 1 day in a row')).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('fb_goalsCheered')).day).toBeTruthy();
+});
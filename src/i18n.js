@@ -0,0 +1,57 @@
+import { Fragment, createContext, createElement, useContext } from "react";
+import { MESSAGES } from "./messages";
+
+// =====================
+// Localization
+// - messages live in ./messages, one flat catalog per language; keys missing
+//   from a translation fall back to English, then to the key itself
+// - "{name}" placeholders; plural messages are { one, other, … } objects
+//   picked with Intl.PluralRules from the `count` variable
+// - fb_language: "auto" follows the browser (UI in the first supported
+//   language, dates/numbers in the browser's own regional format)
+// =====================
+
+export const LANGUAGES = [["auto", null], ["en", "English"], ["de", "Deutsch"]];
+
+const browserLanguages = () =>
+  typeof navigator === "undefined" ? [] : navigator.languages?.length ? navigator.languages : [navigator.language].filter(Boolean);
+
+// Setting → { lang (catalog), locale (Intl formatting) }
+export const resolveLanguage = (setting, preferred = browserLanguages()) => {
+  if (setting && setting !== "auto" && MESSAGES[setting]) return { lang: setting, locale: setting };
+  const lang = preferred.map((l) => l.toLowerCase().split("-")[0]).find((l) => MESSAGES[l]) || "en";
+  return { lang, locale: preferred[0] || lang };
+};
+
+const lookup = (lang, key) => MESSAGES[lang]?.[key] ?? MESSAGES.en[key] ?? key;
+
+const pickPlural = (lang, message, count) =>
+  typeof message === "string" ? message : message[new Intl.PluralRules(lang).select(count)] ?? message.other;
+
+export const translate = (lang, key, vars = {}) =>
+  pickPlural(lang, lookup(lang, key), vars.count ?? 0).replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+
+// Like translate, but placeholders may be React elements (e.g. <b>…</b>)
+const translateRich = (lang, key, vars = {}) =>
+  pickPlural(lang, lookup(lang, key), vars.count ?? 0)
+    .split(/\{(\w+)\}/)
+    .map((part, i) => createElement(Fragment, { key: i }, i % 2 ? vars[part] ?? `{${part}}` : part));
+
+export const makeI18n = (setting) => {
+  const { lang, locale } = resolveLanguage(setting);
+  return {
+    lang,
+    locale,
+    t: (key, vars) => translate(lang, key, vars),
+    rich: (key, vars) => translateRich(lang, key, vars),
+    date: (ms, opts) => new Date(ms).toLocaleDateString(locale, opts),
+    time: (ms, opts) => new Date(ms).toLocaleTimeString(locale, opts),
+    dateTime: (ms, opts) => new Date(ms).toLocaleString(locale, opts),
+  };
+};
+
+// English messages for code that runs outside the component tree (and tests)
+export const enT = (key, vars) => translate("en", key, vars);
+
+export const I18nContext = createContext(makeI18n("en"));
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,70 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import App from './App';
+import { MESSAGES } from './messages';
+import { resolveLanguage, translate } from './i18n';
+import { milestoneText } from './a11y';
+import { ACTIONS, SNOOZE_MIN, phaseActions } from './notifications';
+import { putSessions } from './sessionStore';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('placeholders are filled and plurals follow the language rules', () => {
+  expect(translate('en', 'log.sessions', { count: 1 })).toBe('1 session');
+  expect(translate('en', 'log.sessions', { count: 3 })).toBe('3 sessions');
+  expect(translate('de', 'log.sessions', { count: 1 })).toBe('1 Sitzung');
+  expect(translate('de', 'alert.complete', { phase: 'Fokus' })).toBe('Fokus beendet');
+  expect(milestoneText(60, (key, vars) => translate('de', key, vars))).toBe('noch 1 Minute');
+});
+
+test('missing messages fall back to English, then to the key', () => {
+  const saved = MESSAGES.de['common.save'];
+  delete MESSAGES.de['common.save'];
+  try {
+    expect(translate('de', 'common.save')).toBe('Save');
+  } finally {
+    MESSAGES.de['common.save'] = saved;
+  }
+  expect(translate('de', 'no.such.key')).toBe('no.such.key');
+});
+
+test('notification actions come from the catalog, with the snooze length', () => {
+  expect(ACTIONS.map((a) => a.title)).toEqual(['Start now', `Snooze ${SNOOZE_MIN} min`]);
+  expect(phaseActions((key, vars) => translate('de', key, vars))[1]).toEqual({ action: 'snooze', title: `${SNOOZE_MIN} Min. schlummern` });
+});
+
+test('every German message has an English original', () => {
+  expect(Object.keys(MESSAGES.de).filter((key) => !(key in MESSAGES.en))).toEqual([]);
+});
+
+test('"auto" picks the first supported browser language, with its regional format', () => {
+  expect(resolveLanguage('auto', ['de-AT', 'en-US'])).toEqual({ lang: 'de', locale: 'de-AT' });
+  expect(resolveLanguage('auto', ['fr-FR', 'de-DE'])).toEqual({ lang: 'de', locale: 'fr-FR' });
+  expect(resolveLanguage('auto', [])).toEqual({ lang: 'en', locale: 'en' });
+  expect(resolveLanguage('de', ['en-US'])).toEqual({ lang: 'de', locale: 'de' });
+});
+
+test('switching the language translates the UI and sets the document language', async () => {
+  render(<App />);
+  await screen.findByText('Start');
+  fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'de' } });
+  expect(await screen.findByText('Einstellungen')).toBeInTheDocument();
+  expect(screen.getByText('Zurücksetzen')).toBeInTheDocument();
+  expect(screen.getByLabelText('Sprache')).toHaveValue('de');
+  expect(document.documentElement).toHaveAttribute('lang', 'de');
+  expect(JSON.parse(localStorage.getItem('fb_language'))).toBe('de');
+});
+
+test('the stats name sessions without a preset or project in the UI language', async () => {
+  localStorage.setItem('fb_language', JSON.stringify('de'));
+  const session = (id, extra) => ({ id, phase: 'focus', task: 'T', start: Date.now() - 60_000, end: Date.now(), duration: 60, reason: 'completed', todos: [], ...extra });
+  await putSessions([
+    session('a', { preset: { id: 'classic', name: 'Classic 25/5' }, project: { id: 'p1', name: 'Website', color: '#f00' } }),
+    session('b'),
+  ]);
+  render(<App />);
+  fireEvent.click(await screen.findByText('Statistik'));
+  expect(await screen.findByText('Eigene', { selector: 'td' })).toBeInTheDocument();
+  expect(screen.getByText('Ohne Projekt')).toBeInTheDocument();
+});
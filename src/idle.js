@@ -0,0 +1,116 @@
+import { useEffect, useRef, useState } from "react";
+
+// =====================
+// Idle detection – notices when we've walked away from a running focus
+// Signals, best first:
+// - the Idle Detection API: system-wide, needs permission (Chromium only)
+// - otherwise: the page hidden for longer than the threshold (Page
+//   Visibility). Sitting still in front of a visible page is reading or
+//   thinking as often as it's being away, so no input on the page only
+//   counts when opted in (`input`).
+// Reports when the idle stretch began, so the timer can be paused
+// retroactively, and when we came back. What happens to the time in between
+// is the user's call (IDLE_CHOICES, see App).
+// Settings (fb_idle): { enabled, minutes, system, input }
+// =====================
+
+export const DEFAULT_IDLE = { enabled: false, minutes: 5, system: false, input: false };
+
+// keep: it was focus after all · discard: leave it out, carry on ·
+// split: log what came before, stop there
+export const IDLE_CHOICES = ["keep", "discard", "split"];
+
+const ACTIVITY_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart"];
+const CHECK_MS = 5000;
+const MIN_SYSTEM_THRESHOLD_MS = 60 * 1000; // the API refuses anything shorter
+
+export const idleDetectorSupported = () => typeof window !== "undefined" && "IdleDetector" in window;
+
+// Must be called from a user gesture; resolves to whether we may use it
+export const requestIdlePermission = async () => {
+  try {
+    return (await window.IdleDetector.requestPermission()) === "granted";
+  } catch {
+    return false;
+  }
+};
+
+// Start of the idle stretch, or null if we're not idle yet: a hidden page
+// counts from when it was hidden, a visible one from the last input (only
+// with `input`)
+export const idleSince = ({ lastInput, hiddenAt = null, input = false, now = Date.now(), thresholdMs }) => {
+  const from = hiddenAt ?? (input ? lastInput : null);
+  return from !== null && now - from >= thresholdMs ? from : null;
+};
+
+// `away`: whether we already reported idle and are waiting for the return.
+// Calls onIdle(from) once idle, then onReturn(at) on the first sign of life.
+export function useIdleDetection({ enabled, minutes, system, input = false, away, onIdle, onReturn }) {
+  const thresholdMs = Math.max(1, Number(minutes) || DEFAULT_IDLE.minutes) * 60 * 1000;
+  const [systemFailed, setSystemFailed] = useState(false);
+  const useSystem = system && idleDetectorSupported() && !systemFailed;
+
+  const handlers = useRef(null);
+  handlers.current = { away, onIdle, onReturn };
+  const lastInputRef = useRef(Date.now());
+
+  // Page heuristics: visibility (+ input activity, if opted in); input always
+  // tells us we're back
+  useEffect(() => {
+    if (!enabled || useSystem) return;
+    let hiddenAt = document.hidden ? Date.now() : null;
+    lastInputRef.current = Date.now();
+
+    // true when it just reported us idle
+    const check = () => {
+      const { away, onIdle } = handlers.current;
+      if (away) return false;
+      const from = idleSince({ lastInput: lastInputRef.current, hiddenAt, input, thresholdMs });
+      if (from !== null) onIdle(from);
+      return from !== null;
+    };
+    const back = (justIdle = false) => {
+      if (justIdle || handlers.current.away) handlers.current.onReturn(Date.now());
+    };
+    const onActivity = () => {
+      lastInputRef.current = Date.now();
+      back();
+    };
+    const onVisibility = () => {
+      if (document.hidden) {
+        hiddenAt = Date.now();
+        return;
+      }
+      // a long absence may only be noticed now, if timers were frozen
+      const justIdle = check();
+      hiddenAt = null;
+      lastInputRef.current = Date.now();
+      back(justIdle);
+    };
+
+    const id = setInterval(check, CHECK_MS);
+    ACTIVITY_EVENTS.forEach((type) => window.addEventListener(type, onActivity, { passive: true }));
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => {
+      clearInterval(id);
+      ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, onActivity));
+      document.removeEventListener("visibilitychange", onVisibility);
+    };
+  }, [enabled, useSystem, input, thresholdMs]);
+
+  // Idle Detection API: the system knows about input outside this page too
+  useEffect(() => {
+    if (!enabled || !useSystem) return;
+    const threshold = Math.max(MIN_SYSTEM_THRESHOLD_MS, thresholdMs);
+    const controller = new AbortController();
+    const detector = new window.IdleDetector();
+    detector.addEventListener("change", () => {
+      const { away, onIdle, onReturn } = handlers.current;
+      const idle = detector.userState === "idle";
+      if (idle && !away) onIdle(Date.now() - threshold);
+      else if (!idle && away) onReturn(Date.now());
+    });
+    detector.start({ threshold, signal: controller.signal }).catch(() => setSystemFailed(true));
+    return () => controller.abort();
+  }, [enabled, useSystem, thresholdMs]);
+}
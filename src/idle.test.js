@@ -0,0 +1,99 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import App from './App';
+import { idleSince } from './idle';
+import { getAllSessions } from './sessionStore';
+
+const MIN = 60 * 1000;
+
+test('idle counts from when the page was hidden, or from the last input if asked to', () => {
+  const now = 1_700_000_000_000;
+  // sitting in front of the page isn't being away
+  expect(idleSince({ lastInput: now - 60 * MIN, now, thresholdMs: 5 * MIN })).toBeNull();
+  expect(idleSince({ lastInput: now - 9 * MIN, hiddenAt: now - 2 * MIN, now, thresholdMs: 5 * MIN })).toBeNull();
+  expect(idleSince({ lastInput: now - 9 * MIN, hiddenAt: now - 7 * MIN, now, thresholdMs: 5 * MIN })).toBe(now - 7 * MIN);
+
+  expect(idleSince({ lastInput: now - 4 * MIN, input: true, now, thresholdMs: 5 * MIN })).toBeNull();
+  expect(idleSince({ lastInput: now - 6 * MIN, input: true, now, thresholdMs: 5 * MIN })).toBe(now - 6 * MIN);
+  expect(idleSince({ lastInput: now - 9 * MIN, hiddenAt: now - 7 * MIN, input: true, now, thresholdMs: 5 * MIN })).toBe(now - 7 * MIN);
+});
+
+describe('in the app', () => {
+  let now;
+
+  beforeEach(() => {
+    localStorage.clear();
+    now = Date.now();
+    localStorage.setItem('fb_idle', JSON.stringify({ enabled: true, minutes: 5, system: false, input: true }));
+    // 10 minutes into a 25-minute focus block
+    localStorage.setItem('fb_timer', JSON.stringify({ startAt: now - 10 * MIN, endAt: now + 15 * MIN, pausedAt: null, pausedMs: 0, pauses: [], pauseReason: null }));
+    jest.useFakeTimers({ now });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete document.hidden;
+  });
+
+  // Sits still for 8 minutes, then moves the mouse
+  const walkAwayAndBack = async () => {
+    render(<App />);
+    await screen.findByText('Skip');
+    await act(async () => {
+      jest.advanceTimersByTime(8 * MIN);
+    });
+    expect(screen.getByText('Start')).toBeInTheDocument();
+    fireEvent.wheel(window);
+    expect(await screen.findByText('Welcome back!')).toBeInTheDocument();
+  };
+
+  test('discarding the time away picks the block up where we left it', async () => {
+    await walkAwayAndBack();
+    expect(screen.getByRole('alert')).toHaveTextContent('You were away for 8 minutes');
+
+    fireEvent.click(screen.getByText('Discard it'));
+    expect(screen.queryByText('Welcome back!')).toBeNull();
+    expect(screen.getByRole('timer')).toHaveTextContent('15:00');
+    const timer = JSON.parse(localStorage.getItem('fb_timer'));
+    expect(timer.pauses).toHaveLength(1);
+    const [pause] = timer.pauses;
+    expect(pause.reason).toBe('idle');
+    expect(pause.to - pause.from).toBe(8 * MIN);
+    expect(timer.endAt).toBe(now + 23 * MIN);
+  });
+
+  test('keeping it counts the time away as focus', async () => {
+    await walkAwayAndBack();
+    fireEvent.click(screen.getByText('Keep it'));
+    expect(screen.getByText('Pause')).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('fb_timer'))).toMatchObject({ endAt: now + 15 * MIN, pausedAt: null, pauses: [] });
+  });
+
+  test('without the opt-in only a hidden page counts as away', async () => {
+    localStorage.setItem('fb_idle', JSON.stringify({ enabled: true, minutes: 5, system: false }));
+    render(<App />);
+    await screen.findByText('Skip');
+    await act(async () => {
+      jest.advanceTimersByTime(8 * MIN);
+    });
+    expect(screen.getByText('Pause')).toBeInTheDocument();
+
+    const hiddenAt = Date.now();
+    await act(async () => {
+      Object.defineProperty(document, 'hidden', { configurable: true, get: () => true });
+      document.dispatchEvent(new Event('visibilitychange'));
+      jest.advanceTimersByTime(6 * MIN);
+    });
+    expect(screen.getByText('Start')).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('fb_timer'))).toMatchObject({ pausedAt: hiddenAt, pauseReason: 'idle' });
+  });
+
+  test('splitting it off logs the focus up to when we left', async () => {
+    await walkAwayAndBack();
+    fireEvent.click(screen.getByText('Split it off'));
+    expect(await screen.findByRole('timer')).toHaveTextContent('25:00');
+
+    const [entry] = await getAllSessions();
+    expect(entry).toMatchObject({ reason: 'idle', duration: 10 * 60, pauses: [] });
+    expect(entry.end - now).toBeLessThan(1000); // when we stopped touching the page
+  });
+});
@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -11,6 +12,12 @@ root.render(
   </React.StrictMode>
 );
 
+// Offline support + installable PWA. When a new version is waiting, the app
+// shows an "update available" prompt (see the focusblocks:update listener).
+serviceWorkerRegistration.register({
+  onUpdate: (reg) => window.dispatchEvent(new CustomEvent('focusblocks:update', { detail: reg })),
+});
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
@@ -0,0 +1,96 @@
+import { enT } from "./i18n";
+import { entryTags, projectSnapshot } from "./projects";
+
+// =====================
+// Session log editing – the details modal works on a draft with form-friendly
+// fields (datetime-local strings to the second, duration in minutes) and
+// turns it back into a log entry only once it validates.
+// - fields left as they were keep the entry's exact values, so saving a note
+//   doesn't round the times or the duration
+// - duration is active time, so it may be shorter than end − start (pauses)
+//   but never longer
+// - manual entries (work done away from the app) get their own id space so
+//   they can't collide with timer entries, whose id is the end timestamp
+// =====================
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// ms → "YYYY-MM-DDTHH:MM:SS" in local time (what <input type="datetime-local"
+// step="1"> wants)
+export const toLocalInput = (ms) => {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+};
+
+export const fromLocalInput = (value) => (value ? new Date(value).getTime() : NaN);
+
+const spanMin = (draft) => (fromLocalInput(draft.end) - fromLocalInput(draft.start)) / 60000;
+
+export const draftFromEntry = (entry) => ({
+  phase: entry.phase,
+  task: entry.task,
+  projectId: entry.project ? entry.project.id : "",
+  start: toLocalInput(entry.start),
+  end: toLocalInput(entry.end),
+  durationMin: String(Math.round(entry.duration / 6) / 10), // one decimal
+  notes: entry.notes || "",
+});
+
+// A manual focus entry for the last 25 minutes
+export const blankDraft = (now = Date.now()) => {
+  const end = Math.floor(now / 60000) * 60000;
+  return { phase: "focus", task: "", projectId: "", start: toLocalInput(end - 25 * 60000), end: toLocalInput(end), durationMin: "25", notes: "" };
+};
+
+// Moving start/end keeps the duration in step when it used to span the whole
+// entry (no pauses); otherwise it's left for the user to adjust
+export const updateDraftTimes = (draft, changes) => {
+  const next = { ...draft, ...changes };
+  const span = spanMin(next);
+  if (Math.abs(Number(draft.durationMin) - spanMin(draft)) < 0.1 && span > 0) {
+    next.durationMin = String(Math.round(span * 10) / 10);
+  }
+  return next;
+};
+
+// Returns an error message (via `t`), or null if the draft can be saved
+export const validateDraft = (draft, t = enT) => {
+  const start = fromLocalInput(draft.start);
+  const end = fromLocalInput(draft.end);
+  const duration = Number(draft.durationMin);
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return t("details.errorTimes");
+  if (end <= start) return t("details.errorOrder");
+  if (end > Date.now() + 60000) return t("details.errorFuture");
+  if (draft.durationMin === "" || !Number.isFinite(duration) || duration <= 0) return t("details.errorDuration");
+  // the duration has one decimal, so it may round up past the span a little
+  if (Math.round(duration * 10) > Math.ceil(spanMin(draft) * 10)) {
+    return t("details.errorTooLong", { count: Math.round(spanMin(draft)) });
+  }
+  return null;
+};
+
+// Applies a valid draft to an existing entry, or builds a new manual one.
+// An unchanged project keeps its snapshot, even if it was deleted since, and
+// unchanged times keep their milliseconds.
+export const entryFromDraft = (draft, entry = null, projects = []) => {
+  const base = entry || { id: `manual-${Date.now().toString(36)}`, reason: "completed", preset: null, todos: [], manual: true };
+  const original = entry ? draftFromEntry(entry) : {};
+  const changed = (field) => draft[field] !== original[field];
+  const task = draft.task.trim();
+  const project = (draft.projectId || "") === (base.project ? base.project.id : "")
+    ? base.project || null
+    : projectSnapshot(projects.find((p) => p.id === draft.projectId));
+  const focus = draft.phase === "focus";
+  return {
+    ...base,
+    phase: draft.phase,
+    task: task || (focus ? "(No task)" : "—"),
+    project: focus ? project : null,
+    tags: focus ? entryTags(task, base.todos) : [],
+    start: changed("start") ? fromLocalInput(draft.start) : base.start,
+    end: changed("end") ? fromLocalInput(draft.end) : base.end,
+    duration: changed("durationMin") ? Math.round(Number(draft.durationMin) * 60) : base.duration,
+    notes: draft.notes.trim(),
+    ...(entry ? { edited: Date.now() } : {}),
+  };
+};
@@ -0,0 +1,57 @@
+import { draftFromEntry, entryFromDraft, updateDraftTimes, validateDraft } from './logEdit';
+
+const at = (h, m = 0) => new Date(2025, 2, 4, h, m).getTime();
+const entry = {
+  id: `${at(9, 25)}`, phase: 'focus', task: 'Write tests', start: at(9), end: at(9, 25), duration: 20 * 60, reason: 'completed', todos: [],
+};
+
+test('duration may be shorter than the span (pauses) but never longer', () => {
+  const draft = draftFromEntry(entry);
+  expect(validateDraft(draft)).toBeNull();
+  expect(validateDraft({ ...draft, durationMin: '30' })).toMatch(/longer than the time between/);
+  expect(validateDraft({ ...draft, durationMin: '0' })).toMatch(/more than 0/);
+  expect(validateDraft({ ...draft, end: draft.start })).toMatch(/after the start/);
+});
+
+test('moving the end keeps an unpaused duration in step, a paused one as is', () => {
+  const unpaused = { ...draftFromEntry(entry), durationMin: '25' };
+  expect(updateDraftTimes(unpaused, { end: '2025-03-04T09:40' }).durationMin).toBe('40');
+  expect(updateDraftTimes(draftFromEntry(entry), { end: '2025-03-04T09:40' }).durationMin).toBe('20');
+});
+
+test('edits keep the entry id; manual entries get their own', () => {
+  const edited = entryFromDraft({ ...draftFromEntry(entry), task: ' Review ', notes: 'went well' }, entry);
+  expect(edited).toMatchObject({ id: entry.id, task: 'Review', notes: 'went well', duration: 20 * 60, start: at(9) });
+  const manual = entryFromDraft({ ...draftFromEntry(entry), task: '' });
+  expect(manual.id).toMatch(/^manual-/);
+  expect(manual).toMatchObject({ manual: true, task: '(No task)', reason: 'completed' });
+});
+
+test('edits re-derive tags and keep a deleted project unless it is changed', () => {
+  const tagged = { ...entry, project: { id: 'gone', name: 'Old client', color: '#000' }, todos: [{ id: '1', text: 'fix #bug', done: true }] };
+  const kept = entryFromDraft({ ...draftFromEntry(tagged), task: 'Write #Docs' }, tagged, []);
+  expect(kept.project).toEqual(tagged.project);
+  expect(kept.tags).toEqual(['bug', 'docs']);
+  const moved = entryFromDraft({ ...draftFromEntry(tagged), projectId: 'p1' }, tagged, [{ id: 'p1', name: 'New', color: '#fff' }]);
+  expect(moved.project).toEqual({ id: 'p1', name: 'New', color: '#fff' });
+});
+
+test('short entries keep their seconds and validate', () => {
+  const sec = (s) => at(9) + s * 1000;
+  const blip = { ...entry, start: sec(10), end: sec(50), duration: 40 };
+  expect(draftFromEntry(blip)).toMatchObject({ start: '2025-03-04T09:00:10', end: '2025-03-04T09:00:50' });
+  expect(validateDraft(draftFromEntry(blip))).toBeNull();
+  // 640 s shows as 10.7 min against a span of 10 min 40 s
+  const odd = { ...entry, start: sec(10), end: sec(650), duration: 640 };
+  expect(validateDraft(draftFromEntry(odd))).toBeNull();
+  expect(validateDraft({ ...draftFromEntry(odd), durationMin: '10.8' })).toMatch(/longer than the time between/);
+});
+
+test('saving only a note leaves the times and duration exactly as they were', () => {
+  const precise = { ...entry, start: at(9) + 10_123, end: at(9, 10) + 50_456, duration: 640 };
+  const saved = entryFromDraft({ ...draftFromEntry(precise), notes: 'just a note' }, precise);
+  expect(saved).toMatchObject({ start: precise.start, end: precise.end, duration: 640, notes: 'just a note' });
+
+  const moved = entryFromDraft({ ...draftFromEntry(precise), end: '2025-03-04T09:12:00' }, precise);
+  expect(moved).toMatchObject({ start: precise.start, end: at(9, 12), duration: 640 });
+});
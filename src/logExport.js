@@ -0,0 +1,190 @@
+import { PHASES } from "./timer";
+
+// =====================
+// Session log export / import
+// - CSV & JSON for timesheets (with todo snapshot, reason + notes)
+// - iCalendar (.ics) so focus blocks can be overlaid on a calendar
+// - JSON import: validate, dedupe by id, merge
+// =====================
+
+const REASONS = ["completed", "reset", "skipped", "idle"];
+
+const isoDate = (ms) => new Date(ms).toISOString();
+const todayStamp = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+// ===== CSV =====
+// Text that starts like a formula (=, +, -, @, tab, CR) would run as one in
+// Excel or Sheets, so it gets a leading ' to stay text
+const csvCell = (v) => {
+  let s = v == null ? "" : String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const todosText = (todos = []) =>
+  todos.map((t) => `[${t.done ? "x" : " "}] ${t.text}`).join(" | ");
+
+export const logToCSV = (log) => {
+  const header = ["id", "phase", "task", "project", "tags", "start", "end", "duration_sec", "interruptions", "reason", "preset", "todos", "notes"];
+  const rows = log.map((e) => [
+    e.id,
+    e.phase,
+    e.task,
+    e.project ? e.project.name : "",
+    (e.tags || []).map((t) => `#${t}`).join(" "),
+    isoDate(e.start),
+    isoDate(e.end),
+    e.duration,
+    Array.isArray(e.pauses) ? e.pauses.length : "",
+    e.reason || "completed",
+    e.preset ? e.preset.name : "",
+    todosText(e.todos),
+    e.notes || "",
+  ]);
+  return [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\r\n");
+};
+
+// ===== JSON =====
+export const logToJSON = (log) =>
+  JSON.stringify({ app: "FocusBlocks", version: 1, exportedAt: isoDate(Date.now()), entries: log }, null, 2);
+
+// ===== iCalendar =====
+const icsStamp = (ms) => isoDate(ms).replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+const icsText = (s = "") =>
+  String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// RFC 5545: lines longer than 75 octets (UTF-8) are folded with CRLF +
+// space, which counts towards the next line. Never inside a character.
+const utf8Length = (ch) => {
+  const c = ch.codePointAt(0);
+  return c < 0x80 ? 1 : c < 0x800 ? 2 : c < 0x10000 ? 3 : 4;
+};
+
+const icsFold = (line) => {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const ch of line) {
+    const size = utf8Length(ch);
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+export const logToICS = (log) => {
+  const events = log
+    .filter((e) => e.phase === "focus")
+    .flatMap((e) => [
+      "BEGIN:VEVENT",
+      `UID:${e.id}@focusblocks`,
+      `DTSTAMP:${icsStamp(e.end)}`,
+      `DTSTART:${icsStamp(e.start)}`,
+      `DTEND:${icsStamp(e.end)}`,
+      `SUMMARY:${icsText(`🔥 ${e.task}`)}`,
+      `DESCRIPTION:${icsText(
+        [
+          `Reason: ${e.reason || "completed"}`,
+          ...(e.todos || []).map((t) => `[${t.done ? "x" : " "}] ${t.text}`),
+          ...(e.notes ? ["", e.notes] : []),
+        ].join("\n")
+      )}`,
+      "END:VEVENT",
+    ]);
+
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//FocusBlocks//Session Log//EN",
+    "CALSCALE:GREGORIAN",
+    ...events,
+    "END:VCALENDAR",
+  ].map(icsFold).join("\r\n");
+};
+
+// ===== Import =====
+// Returns a cleaned entry, or null if it can't be trusted
+const validEntry = (e) => {
+  if (!e || typeof e !== "object") return null;
+  const id = typeof e.id === "number" ? String(e.id) : e.id;
+  const start = Number(e.start);
+  const end = Number(e.end);
+  const duration = Number(e.duration);
+  if (typeof id !== "string" || !id) return null;
+  if (!PHASES.includes(e.phase)) return null;
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) return null;
+  if (!Number.isFinite(duration) || duration < 0) return null;
+
+  return {
+    ...e,
+    id,
+    start,
+    end,
+    duration,
+    task: typeof e.task === "string" ? e.task : e.phase === "focus" ? "(No task)" : "—",
+    reason: REASONS.includes(e.reason) ? e.reason : "completed",
+    project: e.project && typeof e.project.id === "string" && typeof e.project.name === "string" ? e.project : null,
+    tags: Array.isArray(e.tags) ? e.tags.filter((t) => typeof t === "string") : [],
+    ...(Array.isArray(e.pauses)
+      ? { pauses: e.pauses.filter((p) => p && Number.isFinite(p.from) && Number.isFinite(p.to) && p.to >= p.from) }
+      : {}),
+    todos: Array.isArray(e.todos)
+      ? e.todos
+        .filter((t) => t && typeof t.text === "string")
+        .map((t) => ({ ...t, done: !!t.done }))
+      : [],
+  };
+};
+
+const importError = (code) => Object.assign(new Error(`Log import failed: ${code}`), { code });
+
+// Accepts our own export format or a bare array of entries.
+// Throws on unreadable files, with `code` "json" (not JSON) or "empty" (no
+// entries list) for the page to translate; individual bad entries are
+// counted as skipped.
+export const parseLogImport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw importError("json");
+  }
+  const list = Array.isArray(data) ? data : data && data.entries;
+  if (!Array.isArray(list)) throw importError("empty");
+
+  const entries = list.map(validEntry).filter(Boolean);
+  return { entries, skipped: list.length - entries.length };
+};
+
+// Existing entries win on id clashes; `added` is what the store still needs
+export const mergeLog = (existing, incoming) => {
+  const ids = new Set(existing.map((e) => e.id));
+  const added = incoming.filter((e) => !ids.has(e.id) && ids.add(e.id));
+  return {
+    log: [...existing, ...added].sort((a, b) => b.end - a.end),
+    added,
+  };
+};
+
+// ===== Download helper =====
+export const downloadFile = (name, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const exportFileName = (ext) => `focusblocks-log-${todayStamp()}.${ext}`;
@@ -0,0 +1,100 @@
+import { logToCSV, logToICS, mergeLog, parseLogImport } from './logExport';
+
+const T0 = Date.UTC(2025, 2, 3, 9); // 3 March 2025, 09:00 UTC
+const entry = (id, extra = {}) => ({
+  id, phase: 'focus', task: 'Write spec', start: T0, end: T0 + 25 * 60e3, duration: 25 * 60, reason: 'completed', todos: [], ...extra,
+});
+const octets = (s) => Buffer.byteLength(s, 'utf8');
+
+test('import rejects unreadable files and skips entries it cannot trust', () => {
+  const problem = (text) => {
+    try {
+      parseLogImport(text);
+    } catch (err) {
+      return err.code;
+    }
+  };
+  expect(problem('{nope')).toBe('json');
+  expect(problem('{"entries": 3}')).toBe('empty');
+
+  const { entries, skipped } = parseLogImport(JSON.stringify({
+    entries: [
+      entry(42, { reason: 'bogus', tags: ['a', 7], todos: [{ text: 'x', done: 1 }, { done: true }] }),
+      entry('late', { end: T0 - 1 }),
+      entry('nophase', { phase: 'nap' }),
+      entry('', {}),
+      null,
+    ],
+  }));
+  expect(skipped).toBe(4);
+  expect(entries).toHaveLength(1);
+  expect(entries[0]).toMatchObject({ id: '42', reason: 'completed', tags: ['a'], project: null, todos: [{ text: 'x', done: true }] });
+
+  // a bare array works too, and a missing task gets a placeholder
+  expect(parseLogImport(JSON.stringify([entry('b', { task: undefined })])).entries[0].task).toBe('(No task)');
+});
+
+test('merging keeps existing entries on id clashes and dedupes the import', () => {
+  const existing = [entry('a', { task: 'mine' })];
+  const { log, added } = mergeLog(existing, [
+    entry('a', { task: 'theirs' }),
+    entry('b', { end: T0 + 60 * 60e3 }),
+    entry('b', { task: 'again' }),
+  ]);
+  expect(added.map((e) => e.id)).toEqual(['b']);
+  expect(log.map((e) => e.id)).toEqual(['b', 'a']);
+  expect(log[1].task).toBe('mine');
+});
+
+test('CSV quotes cells with quotes, commas or line breaks', () => {
+  const [header, row] = logToCSV([entry('a', { task: 'Say "hi", then go', notes: 'line 1\nline 2', tags: ['x', 'y'] })]).split('\r\n');
+  expect(header.split(',')[2]).toBe('task');
+  expect(row).toBe(
+    'a,focus,"Say ""hi"", then go",,#x #y,2025-03-03T09:00:00.000Z,2025-03-03T09:25:00.000Z,1500,,completed,,,"line 1\nline 2"'
+  );
+});
+
+test('CSV keeps text that looks like a formula from running as one', () => {
+  const [, row] = logToCSV([
+    entry('a', { task: '=HYPERLINK("http://x.test")', notes: '@SUM(A1)', project: { id: 'p', name: '+1 client' }, todos: [{ text: '-2', done: false }] }),
+  ]).split('\r\n');
+  const cells = row.split(',');
+  expect(cells[2]).toBe(`"'=HYPERLINK(""http://x.test"")"`);
+  expect(cells[3]).toBe("'+1 client");
+  expect(cells[11]).toBe('[ ] -2'); // not at the start of the cell
+  expect(cells[12]).toBe("'@SUM(A1)");
+  expect(logToCSV([entry('b', { task: '\tcmd', duration: -5 })]).split('\r\n')[1].split(',').slice(2, 8)).toEqual([
+    "'\tcmd", '', '', '2025-03-03T09:00:00.000Z', '2025-03-03T09:25:00.000Z', '-5',
+  ]);
+});
+
+test('iCalendar has one escaped event per focus block', () => {
+  const ics = logToICS([
+    entry('a', { task: 'Plan; review, ship', notes: 'done\\ok', todos: [{ text: 'API', done: true }] }),
+    entry('b', { phase: 'break' }),
+  ]);
+  const lines = ics.split('\r\n');
+  expect(lines[0]).toBe('BEGIN:VCALENDAR');
+  expect(lines.filter((l) => l === 'BEGIN:VEVENT')).toHaveLength(1);
+  expect(lines).toContain('UID:a@focusblocks');
+  expect(lines).toContain('DTSTART:20250303T090000Z');
+  expect(lines).toContain('DTEND:20250303T092500Z');
+  expect(lines).toContain('SUMMARY:🔥 Plan\\; review\\, ship');
+  expect(lines).toContain('DESCRIPTION:Reason: completed\\n[x] API\\n\\ndone\\\\ok');
+});
+
+test('iCalendar folds long lines at 75 octets without splitting a character', () => {
+  const task = `${'é'.repeat(40)}${'🔥'.repeat(30)}`;
+  const ics = logToICS([entry('a', { task })]);
+  const lines = ics.split('\r\n');
+  const start = lines.findIndex((l) => l.startsWith('SUMMARY:'));
+  const folded = [lines[start]];
+  while (lines[start + folded.length].startsWith(' ')) folded.push(lines[start + folded.length]);
+
+  expect(folded.length).toBeGreaterThan(2);
+  folded.forEach((l) => {
+    expect(octets(l)).toBeLessThanOrEqual(75);
+    expect(l).not.toMatch(/[\uD800-\uDBFF]$|^ ?[\uDC00-\uDFFF]/); // no lone surrogate halves
+  });
+  expect(folded.map((l, i) => (i ? l.slice(1) : l)).join('')).toBe(`SUMMARY:🔥 ${task}`);
+});
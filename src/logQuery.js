@@ -0,0 +1,110 @@
+import { matchesFilter } from "./projects";
+import { addDays, dayKey } from "./stats";
+
+// =====================
+// Session log search / filter / sort / group-by-day
+// Runs in memory over the whole log (one IndexedDB read, re-run on changes).
+// Thousands of entries are fine: each entry's search text is built once and
+// cached per object (a read's entries stay the same objects until the store
+// changes), and the filters are plain array passes.
+// =====================
+
+export const EMPTY_FILTER = { text: "", phase: "", reason: "", from: "", to: "", projectId: "", tag: "" };
+export const DEFAULT_SORT = { key: "start", dir: "desc" };
+
+export const isFiltered = (f) => Object.keys(EMPTY_FILTER).some((k) => f[k]);
+
+// Lower-cased task + todo snapshot + notes + project/tags
+const haystacks = new WeakMap();
+const searchText = (e) => {
+  let text = haystacks.get(e);
+  if (text === undefined) {
+    text = [e.task, e.notes, e.project && e.project.name, ...(e.tags || []).map((t) => `#${t}`), ...(e.todos || []).map((t) => t.text)]
+      .filter(Boolean)
+      .join("\n")
+      .toLowerCase();
+    haystacks.set(e, text);
+  }
+  return text;
+};
+
+const matchesWords = (e, words) => {
+  if (!words.length) return true;
+  const text = searchText(e);
+  return words.every((w) => text.includes(w));
+};
+
+// "YYYY-MM-DD" (date input) → local midnight ms
+const dayStart = (value) => {
+  const [y, m, d] = value.split("-").map(Number);
+  return new Date(y, m - 1, d).getTime();
+};
+
+export const filterLog = (entries, f) => {
+  const words = f.text.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const from = f.from ? dayStart(f.from) : -Infinity;
+  const to = f.to ? addDays(dayStart(f.to), 1) : Infinity; // the "to" day is included
+  return entries.filter((e) =>
+    (!f.phase || e.phase === f.phase) &&
+    (!f.reason || (e.reason || "completed") === f.reason) &&
+    e.start >= from && e.start < to &&
+    matchesFilter(e, f) &&
+    matchesWords(e, words)
+  );
+};
+
+const SORT_VALUE = {
+  phase: (e) => e.phase,
+  task: (e) => e.task || "",
+  start: (e) => e.start,
+  end: (e) => e.end,
+  duration: (e) => e.duration,
+};
+
+export const sortLog = (entries, { key, dir }) => {
+  const value = SORT_VALUE[key] || SORT_VALUE.start;
+  const sign = dir === "asc" ? 1 : -1;
+  return [...entries].sort((a, b) => {
+    const x = value(a);
+    const y = value(b);
+    if (x !== y) return (typeof x === "string" ? x.localeCompare(y) : x < y ? -1 : 1) * sign;
+    return b.start - a.start; // ties: newest first either way
+  });
+};
+
+// Splits already-sorted rows into consecutive day groups. Subtotals come from
+// `all` (the whole filtered set), so a day cut in two by paging still shows
+// its full total.
+export const groupByDay = (rows, all = rows) => {
+  const totals = new Map();
+  all.forEach((e) => {
+    const key = dayKey(e.start);
+    const t = totals.get(key) || { sessions: 0, focusSec: 0 };
+    t.sessions += 1;
+    if (e.phase === "focus") t.focusSec += e.duration;
+    totals.set(key, t);
+  });
+
+  const groups = [];
+  rows.forEach((e) => {
+    const key = dayKey(e.start);
+    const last = groups[groups.length - 1];
+    if (last && last.day === key) last.rows.push(e);
+    else groups.push({ day: key, date: e.start, rows: [e], ...totals.get(key) });
+  });
+  return groups;
+};
+
+// Sort within days, days newest (or oldest) first
+export const sortForGrouping = (entries, sort) => {
+  const dayDir = sort.key === "start" || sort.key === "end" ? sort.dir : "desc";
+  const byDay = new Map();
+  sortLog(entries, sort).forEach((e) => {
+    const key = dayKey(e.start);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(e);
+  });
+  return [...byDay.keys()]
+    .sort((a, b) => (a < b ? -1 : 1) * (dayDir === "asc" ? 1 : -1))
+    .flatMap((key) => byDay.get(key));
+};
@@ -0,0 +1,51 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import App from './App';
+import { EMPTY_FILTER, filterLog, groupByDay, sortForGrouping, sortLog } from './logQuery';
+import { putSessions } from './sessionStore';
+
+const at = (d, h, m = 0) => new Date(2025, 2, d, h, m).getTime(); // March 2025
+const entry = (id, start, min, extra = {}) => ({
+  id, phase: 'focus', task: 'task', start, end: start + min * 60e3, duration: min * 60, reason: 'completed', todos: [], ...extra,
+});
+const log = [
+  entry('a', at(3, 9), 25, { task: 'Write spec', todos: [{ id: 1, text: 'API errors' }] }),
+  entry('b', at(3, 14), 5, { phase: 'break', task: '—' }),
+  entry('c', at(4, 9), 10, { task: 'Review', reason: 'reset', notes: 'spec looked fine' }),
+  entry('d', at(5, 23, 50), 25, { task: 'Late night' }),
+];
+const ids = (rows) => rows.map((e) => e.id);
+
+test('searches task, todo snapshot and notes, all words must match', () => {
+  expect(ids(filterLog(log, { ...EMPTY_FILTER, text: 'SPEC' }))).toEqual(['a', 'c']);
+  expect(ids(filterLog(log, { ...EMPTY_FILTER, text: 'api spec' }))).toEqual(['a']);
+});
+
+test('filters by phase, reason and an inclusive date range', () => {
+  expect(ids(filterLog(log, { ...EMPTY_FILTER, phase: 'break' }))).toEqual(['b']);
+  expect(ids(filterLog(log, { ...EMPTY_FILTER, reason: 'reset' }))).toEqual(['c']);
+  expect(ids(filterLog(log, { ...EMPTY_FILTER, from: '2025-03-04', to: '2025-03-05' }))).toEqual(['c', 'd']);
+});
+
+test('sorts by any column and groups by day with full-day subtotals', () => {
+  expect(ids(sortLog(log, { key: 'duration', dir: 'desc' }))).toEqual(['d', 'a', 'c', 'b']);
+  expect(ids(sortLog(log, { key: 'task', dir: 'asc' }))).toEqual(['b', 'd', 'c', 'a']);
+
+  const rows = sortForGrouping(log, { key: 'start', dir: 'desc' });
+  expect(ids(rows)).toEqual(['d', 'c', 'b', 'a']);
+  const groups = groupByDay(rows.slice(2), rows); // a page that only holds part of the log
+  expect(groups).toHaveLength(1);
+  expect(groups[0]).toMatchObject({ sessions: 2, focusSec: 25 * 60 });
+});
+
+test('searching shows a loading state, not "no match", until the whole log is read', async () => {
+  localStorage.clear();
+  await putSessions(log);
+  render(<App />);
+  fireEvent.change(await screen.findByLabelText('Search the session log'), { target: { value: 'spec' } });
+  expect(screen.getByText('Loading the log…')).toBeInTheDocument();
+  expect(screen.queryByText('No sessions match these filters.')).toBeNull();
+
+  expect(await screen.findByText('Write spec')).toBeInTheDocument();
+  expect(screen.queryByText('Loading the log…')).toBeNull();
+  expect(screen.queryByText('Late night')).toBeNull();
+});
@@ -0,0 +1,877 @@
+// =====================
+// UI message catalogs (see ./i18n)
+// Keys are grouped by area; plural messages use Intl.PluralRules categories.
+// Session data (task text, "(No task)" placeholders, exports) stays as stored.
+// =====================
+
+const en = {
+  // App shell
+  "app.footer": "Your settings & logs are stored locally in your browser.",
+  "app.shortcuts": "⌨ Shortcuts",
+  "app.shortcutsPalette": " · {combo} for commands",
+  "app.upgradeBlocked": "Finishing an update – close FocusBlocks in your other tabs to continue.",
+  "update.available": "A new version of FocusBlocks is available.",
+  "update.reload": "Update & reload",
+  "update.later": "Later",
+  "title.running": "{time} • {label} Focus 🔥",
+  "title.paused": "Paused • {label} Focus 🔥",
+
+  // Common
+  "common.add": "Add",
+  "common.save": "Save",
+  "common.cancel": "Cancel",
+  "common.close": "Close",
+  "common.delete": "Delete",
+  "common.remove": "Remove",
+  "common.dismiss": "Dismiss",
+  "common.custom": "Custom",
+  "unit.min": "{count} min",
+
+  // Phases & outcomes
+  "phase.focus": "Focus",
+  "phase.break": "Break",
+  "phase.longBreak": "Long break",
+  "reason.completed": "Completed",
+  "reason.reset": "Reset",
+  "reason.skipped": "Skipped",
+  "reason.idle": "Away",
+  "pause.internal": "internal",
+  "pause.external": "external",
+  "pause.idle": "away",
+
+  // Phase alerts & announcements
+  "alert.complete": "{phase} complete",
+  "alert.waiting": "{phase} is waiting",
+  "alert.next": "Next: {phase} ({min} min)",
+  "alert.nextStarted": "Next: {phase} ({min} min) – started",
+  "alert.startNow": "Start now",
+  "alert.snooze": "Snooze {min} min",
+  "notify.timeToFocus": "Time to focus",
+  "announce.started": "{phase} started, {time} left",
+  "announce.resumed": "{phase} resumed, {time} left",
+  "announce.paused": "Paused with {time} left",
+  "announce.flowStarted": "Flow started, counting up",
+  "announce.flowResumed": "Flow resumed at {time}",
+  "announce.flowPaused": "Flow paused at {time}",
+  "announce.idle": "Paused – you seem to be away",
+  "announce.milestone": "{milestone} in this {phase}",
+  "announce.phase.focus": "focus",
+  "announce.phase.break": "break",
+  "announce.phase.longBreak": "long break",
+  "announce.phaseChange": { one: "{prev} over. {next}, {count} minute.", other: "{prev} over. {next}, {count} minutes." },
+  "announce.phaseChangeRunning": { one: "{prev} over. {next}, {count} minute, running.", other: "{prev} over. {next}, {count} minutes, running." },
+  "milestone.minutes": { one: "{count} minute left", other: "{count} minutes left" },
+  "milestone.seconds": { one: "{count} second left", other: "{count} seconds left" },
+
+  // Timer card
+  "timer.current": "Current",
+  "timer.mirrored": "· mirrored from another tab",
+  "timer.mirroredTitle": "The timer is driven by another open tab",
+  "timer.preset": "Timer preset",
+  "timer.label": "{time} left in {phase}, {pct}% done",
+  "timer.cycleTitle": "Focus block in this cycle",
+  "timer.start": "Start",
+  "timer.pause": "Pause",
+  "timer.resume": "Resume",
+  "timer.reset": "Reset",
+  "timer.skip": "Skip",
+  "timer.pausedQuestion": "Paused – what interrupted you?",
+  "timer.pauseInternal": "Internal (my mind wandered)",
+  "timer.pauseExternal": "External (someone/something)",
+  "timer.progress": "Progress: {pct}",
+  "timer.window": "Window: {length}",
+  "timer.interruptions": "Interruptions: {count}",
+  "timer.task": "Task: {task}",
+  "timer.focusMode": "Focus mode",
+  "timer.mode.timer": "Countdown",
+  "timer.mode.flow": "Flow (count up)",
+  "timer.mode.until": "Focus until…",
+  "timer.untilTime": "Focus until",
+  "timer.untilPassed": "Pick a time later today to focus until.",
+  "timer.until": "Until: {time}",
+  "timer.flowLabel": "{time} of flow",
+  "timer.flowBreak": "Break earned: {length}",
+  "timer.finishFlow": "Done",
+  "goals.today": "Today",
+  "goals.week": "This week",
+  "goals.dayOff": "Day off – no goal today",
+  "goals.streak": { one: "🔥 Goal met {count} day in a row", other: "🔥 Goal met {count} days in a row" },
+  "goals.longest": { one: "Longest streak: {count} day", other: "Longest streak: {count} days" },
+  "goals.blocks": { one: "{count} block", other: "{count} blocks" },
+  "goals.met.day": "Daily goal reached!",
+  "goals.met.week": "Weekly goal reached!",
+  "goals.enable": "Track focus goals",
+  "goals.metric": "Goals count",
+  "goals.metric.minutes": "Focus time",
+  "goals.metric.blocks": "Completed focus blocks",
+  "goals.perDay.minutes": "Minutes per day (0 = day off)",
+  "goals.perDay.blocks": "Blocks per day (0 = day off)",
+  "goals.weekly.minutes": "Minutes per week (0 = no weekly goal)",
+  "goals.weekly.blocks": "Blocks per week (0 = no weekly goal)",
+  "goals.dayTarget": "Goal for {day}",
+  "idle.title": "Welcome back!",
+  "idle.body": { one: "You were away for {count} minute ({from}–{to}). What should happen to that time?", other: "You were away for {count} minutes ({from}–{to}). What should happen to that time?" },
+  "idle.keep": "Keep it",
+  "idle.keepHint": "It was focus after all – count it",
+  "idle.discard": "Discard it",
+  "idle.discardHint": "Leave it out and carry on with this block",
+  "idle.split": "Split it off",
+  "idle.splitHint": "Log the focus up to when you left, then stop",
+  "task.label": "Task for this focus window",
+  "task.placeholder": "e.g. Build React component for navbar #frontend",
+  "task.none": "(No task)",
+  "project.label": "Project",
+  "project.none": "No project",
+  "project.new": "+ New project…",
+  "project.color": "Project color",
+  "project.delete": "Delete project",
+  "project.tagsHint": "Add #tags to the task or todos",
+  "project.prompt": "Project name",
+  "project.confirmDelete": "Delete project \"{name}\"? Logged sessions keep their project.",
+
+  // Todos & backlog
+  "todos.label": "Checklist for this window",
+  "todos.placeholder": "Add a todo and press Enter",
+  "todos.estimate": "Estimate in focus blocks",
+  "todos.estimateNone": "Est. –",
+  "todos.addDescription": "+ Add description (optional)",
+  "todos.descriptionPlaceholder": "Up to {limit} words…",
+  "todos.descriptionTooLong": "Description is limited to {limit} words.",
+  "todos.words": "{count}/{limit} words",
+  "todos.empty": "No todos yet. Add a few small steps.",
+  "todos.spentTitle": "Completed focus blocks (plus the one running) / estimate",
+  "todos.showNotes": "Show notes",
+  "todos.hideNotes": "Hide notes",
+  "todos.toBacklog": "Move to backlog",
+  "todos.toBacklogLabel": "Move \"{text}\" to backlog",
+  "todos.removeLabel": "Remove \"{text}\"",
+  "todos.notesPlaceholder": "Type your notes here...",
+  "todos.notesLabel": "Notes for \"{text}\"",
+  "todos.saveTitle": "Save (Ctrl+Enter)",
+  "todos.cancelTitle": "Cancel (Esc)",
+  "todos.noNotes": "No notes yet. Click edit to add some.",
+  "todos.editNotes": "Edit notes",
+  "todos.clearCompleted": "Clear completed",
+  "backlog.toggle": "Backlog ({count})",
+  "backlog.placeholder": "Park a todo for a later window",
+  "backlog.park": "Park",
+  "backlog.empty": "Backlog is empty. Unfinished todos land here when a focus window ends.",
+  "backlog.pull": "↑ Add",
+  "backlog.pullTitle": "Add to this window's checklist",
+
+  // Settings
+  "settings.title": "Settings",
+  "settings.preset": "Preset: {name}",
+  "settings.savePreset": "Save as preset",
+  "settings.deletePreset": "Delete this preset",
+  "settings.presetPrompt": "Name this preset",
+  "settings.presetCopy": "{name} (copy)",
+  "settings.focusMin": "Focus length (minutes)",
+  "settings.breakMin": "Break length (minutes)",
+  "settings.longBreakMin": "Long break (minutes)",
+  "settings.longBreakEvery": "Every N focus blocks",
+  "settings.flowRatio": "Flow: minutes of focus per minute of break",
+  "settings.restartCycle": "Restart cycle (round {round}/{every} → 1)",
+  "settings.carryOver": "Unfinished todos when focus ends",
+  "settings.carryBacklog": "Return to backlog",
+  "settings.carryNext": "Roll into next focus window",
+  "settings.autoStart": "Auto-start the next phase",
+  "settings.idle": "Pause the focus when I'm away",
+  "settings.idleMinutes": "Away after (minutes)",
+  "settings.idleSystem": "Use the system's idle detection (asks for permission)",
+  "settings.idleSystemDenied": "Idle detection wasn't allowed – falling back to what this page can tell.",
+  "settings.idleHint": "Counts while this page is hidden: another tab or app, a locked screen. Reading or thinking with it open isn't being away.",
+  "settings.idleInput": "Also count time without mouse or keyboard input on this page (reading and thinking count too)",
+  "settings.notify": "Desktop notifications when a phase ends",
+  "settings.notifyDenied": "Blocked in your browser settings. You'll get the alert sound and an in-page banner instead.",
+  "settings.notifyUnsupported": "Not supported in this browser. You'll get the alert sound and an in-page banner instead.",
+  "settings.sound": "Alert sound",
+  "sound.chime": "Chime",
+  "sound.beep": "Beep",
+  "sound.tick": "Tick",
+  "sound.custom": "Custom tones",
+  "sound.file": "Audio file",
+  "sound.toneFreq": "Tone {n} frequency",
+  "sound.toneDur": "Tone {n} duration",
+  "sound.toneWave": "Tone {n} waveform",
+  "sound.removeTone": "Remove tone {n}",
+  "sound.addTone": "+ Add tone",
+  "sound.chooseFile": "Choose file…",
+  "sound.noFile": "No file chosen – the beep plays instead",
+  "sound.fileProblem.type": "That file isn't audio.",
+  "sound.fileProblem.size": "Alert files can be {max} at most.",
+  "sound.fileFailed": "Could not read the file: {error}",
+  "wave.sine": "Sine",
+  "wave.square": "Square",
+  "wave.triangle": "Triangle",
+  "wave.sawtooth": "Sawtooth",
+  "settings.ambient": "Ambient sound during focus",
+  "settings.ambientVolume": "Ambient volume: {pct}%",
+  "settings.ambientHint": "Fades out when the break starts.",
+  "ambient.off": "Off",
+  "ambient.white": "White noise",
+  "ambient.pink": "Pink noise",
+  "ambient.brown": "Brown noise",
+  "ambient.rain": "Rain",
+  "phaseAlerts.title": "Alerts during a phase",
+  "phaseAlerts.perPreset": "Only for {name}",
+  "phaseAlerts.halfway": "Halfway",
+  "phaseAlerts.minutesLabel": "Minutes left",
+  "phaseAlerts.minutesLeft": "min left",
+  "phaseAlerts.scopeLabel": "Phases",
+  "phaseAlerts.scope.all": "All phases",
+  "phaseAlerts.scope.focus": "Focus",
+  "phaseAlerts.scope.breaks": "Breaks",
+  "phaseAlerts.soundLabel": "Alert sound",
+  "phaseAlerts.remove": "Remove alert",
+  "phaseAlerts.add.left": "+ Minutes left",
+  "phaseAlerts.add.halfway": "+ Halfway",
+  "phaseAlerts.finalTick": "Soft tick in the final minute",
+  "phaseAlerts.tickSoundLabel": "Tick sound",
+  "settings.volume": "Volume: {pct}%",
+  "settings.language": "Language",
+  "language.auto": "Browser default",
+  "settings.theme": "Theme",
+  "theme.system": "System",
+  "theme.light": "Light",
+  "theme.dark": "Dark",
+  "settings.colors": "Colors",
+  "palette.classic": "Classic",
+  "palette.ocean": "Ocean",
+  "palette.sunset": "Sunset",
+  "palette.forest": "Forest",
+  "palette.mono": "Mono",
+  "settings.ring": "Progress ring",
+  "settings.trail": "Spark trail",
+  "settings.visualNeutral": "Neutral",
+  "settings.visualPhase": "Phase color",
+  "settings.colorOf": "{label} color",
+  "settings.reduceMotion": "Reduce motion (hide the spark trail)",
+  "settings.motionSystem": "Like the system",
+  "settings.motionAlways": "Always",
+  "settings.motionNever": "Never",
+  "settings.tip": "Tip: When the timer switches phase, your current focus task is saved with timestamps so you can review later.",
+
+  // Day plan
+  "plan.title": "Day plan",
+  "plan.nothingDue": "Nothing due right now.",
+  "plan.drift": "You're {drift}.",
+  "plan.onSchedule": "on schedule",
+  "plan.behind": "{count} min behind",
+  "plan.ahead": "{count} min ahead",
+  "plan.follow": "Load the next block when one finishes",
+  "plan.lanePlan": "Plan",
+  "plan.laneActual": "Actual",
+  "plan.empty": "No blocks planned for today yet.",
+  "plan.started": "✓ started {time} ({drift})",
+  "plan.current": "current",
+  "plan.load": "Load",
+  "plan.blockStart": "Block start",
+  "plan.blockEnd": "Block end",
+  "plan.blockPhase": "Block phase",
+  "plan.blockTask": "Block task",
+  "plan.taskPlaceholder": "e.g. API review",
+  "plan.addBlock": "Add block",
+  "plan.errorTimes": "Pick a start and end time.",
+  "plan.errorOrder": "A block has to end after it starts.",
+  "plan.errorOverlap": "Overlaps {from}–{to}{task}.",
+
+  // Session log
+  "log.title": "Session Log",
+  "log.entries": "Entries",
+  "log.stats": "Stats",
+  "log.testSound": "Test sound",
+  "log.exportLabel": "Export session log",
+  "log.export": "Export…",
+  "log.exportCsv": "CSV (timesheet)",
+  "log.exportJson": "JSON (backup)",
+  "log.exportIcs": "Calendar (.ics)",
+  "log.addEntry": "Add entry",
+  "log.import": "Import",
+  "log.clear": "Clear",
+  "log.clearFailed": "Could not clear the log: {error}",
+  "log.saveFailed": "Could not save the session to the log: {error}",
+  "log.confirmClear": { one: "Delete the only session from the log? This can't be undone.", other: "Delete all {count} sessions from the log? This can't be undone." },
+  "log.empty": "No sessions yet. Start a focus window to see entries here.",
+  "log.search": "Search tasks, todos, notes…",
+  "log.searchLabel": "Search the session log",
+  "log.filterPhase": "Filter by phase",
+  "log.allPhases": "All phases",
+  "log.filterOutcome": "Filter by outcome",
+  "log.anyOutcome": "Any outcome",
+  "log.filterProject": "Filter by project",
+  "log.allProjects": "All projects",
+  "log.filterTag": "Filter by tag",
+  "log.from": "From",
+  "log.to": "to",
+  "log.groupByDay": "Group by day",
+  "log.filtered": { one: "{shown} of {count} session · {focus} focus", other: "{shown} of {count} sessions · {focus} focus" },
+  "log.clearFilters": "Clear filters",
+  "log.noMatch": "No sessions match these filters.",
+  "log.loading": "Loading the log…",
+  "log.colPhase": "Phase",
+  "log.colTask": "Task",
+  "log.colStart": "Start",
+  "log.colEnd": "End",
+  "log.colDuration": "Duration",
+  "log.colDetails": "Details",
+  "log.daySummary": { one: "{count} session · {focus} focus", other: "{count} sessions · {focus} focus" },
+  "log.manual": "(manual)",
+  "log.detailsTitle": "View, edit or annotate this session",
+  "log.sessions": { one: "{count} session", other: "{count} sessions" },
+  "log.previous": "← Previous",
+  "log.next": "Next →",
+  "import.done": { one: "Imported {count} new session.", other: "Imported {count} new sessions." },
+  "import.duplicates": " {count} already in the log.",
+  "import.skipped": { one: " {count} invalid entry skipped.", other: " {count} invalid entries skipped." },
+  "import.failed": "Import failed: {error}",
+  "import.problem.json": "This file is not valid JSON.",
+  "import.problem.empty": "No session entries found in this file.",
+
+  // Session details
+  "details.view": "Session details",
+  "details.add": "Add session",
+  "details.edit": "Edit session",
+  "details.phase": "Phase",
+  "details.task": "Task",
+  "details.project": "Project",
+  "details.deletedProject": "{name} (deleted)",
+  "details.tags": "Tags",
+  "details.start": "Start",
+  "details.end": "End",
+  "details.duration": "Duration",
+  "details.activeMin": "Active minutes",
+  "details.pausedHint": "Less than end − start if the session was paused.",
+  "details.notes": "Notes",
+  "details.notesPlaceholder": "What got done, what got in the way…",
+  "details.interruptions": "Interruptions",
+  "details.quality": " · focus quality {pct}%",
+  "details.paused": "Paused {from}–{to} ({duration})",
+  "details.manual": "Added by hand.",
+  "details.edited": "Edited {date}.",
+  "details.todos": "Todos snapshot",
+  "details.noTodos": "No todos were attached to this session.",
+  "details.blocksTitle": "Focus blocks spent up to this session / estimate",
+  "details.addToLog": "Add to log",
+  "details.editNotes": "Edit / add notes",
+  "details.confirmDelete": "Delete this session from the log?",
+  "details.saveFailed": "Could not save the session: {error}",
+  "details.deleteFailed": "Could not delete the session: {error}",
+  "details.errorTimes": "Start and end need a date and time.",
+  "details.errorOrder": "The end has to be after the start.",
+  "details.errorFuture": "Entries can't end in the future.",
+  "details.errorDuration": "Duration must be more than 0 minutes.",
+  "details.errorTooLong": "Duration can't be longer than the time between start and end ({count} min).",
+
+  // Stats
+  "stats.empty": "No focus sessions yet. Stats appear after your first focus window.",
+  "stats.today": "Today",
+  "stats.week": "This week",
+  "stats.weekHint": "since Monday",
+  "stats.month": "This month",
+  "stats.average": "Avg session",
+  "stats.focusSessions": { one: "{count} focus session", other: "{count} focus sessions" },
+  "stats.completed": "Completed",
+  "stats.completedShare": "{pct}% of sessions",
+  "stats.resetSkipped": "Reset / skipped",
+  "stats.longestStreak": "Longest streak",
+  "stats.currentStreak": "Current streak",
+  "stats.days": "{count} d",
+  "stats.streakHint": "days with a completed block",
+  "stats.quality": "Focus quality",
+  "stats.qualityHint": "of session time actually focused",
+  "stats.interruptions": "Interruptions",
+  "stats.perHour": "{count} / h",
+  "stats.interruptionsHint": "{total} total · {internal} internal · {external} external",
+  "stats.uninterrupted": "Uninterrupted",
+  "stats.uninterruptedHint": { one: "of {count} tracked session", other: "of {count} tracked sessions" },
+  "stats.byPreset": "By preset",
+  "stats.preset": "Preset",
+  "stats.sessions": "Sessions",
+  "stats.focusTime": "Focus time",
+  "stats.byProject": "By project",
+  "stats.byTag": "By tag",
+  "stats.byTagNote": "sessions with several tags count towards each",
+  "stats.untagged": "Untagged",
+  "stats.customPreset": "Custom",
+  "stats.noProject": "No project",
+  "stats.estimates": "Estimates vs. actual",
+  "stats.estimatesSummary": "Finished todos took {ratio} their estimate on average ({over} over, {on} on target, {under} under).",
+  "stats.estimatesWeek": "Week of {date}: {actual} blocks for {estimate} estimated ({items} todos)",
+  "stats.todo": "Todo",
+  "stats.estimate": "Estimate",
+  "stats.actual": "Actual",
+  "stats.done": "Done",
+  "stats.heatmap": "Focus minutes per day",
+  "stats.less": "Less",
+  "stats.more": "More",
+
+  // Keyboard shortcuts & command palette
+  "shortcut.toggle": "Start / pause",
+  "shortcut.skip": "Skip to the next phase",
+  "shortcut.reset": "Reset the timer",
+  "shortcut.newTodo": "New todo",
+  "shortcut.editTask": "Edit the focus task",
+  "shortcut.phase:focus": "Switch to Focus",
+  "shortcut.phase:break": "Switch to Break",
+  "shortcut.phase:longBreak": "Switch to Long break",
+  "shortcut.openLog": "Open the session log",
+  "shortcut.palette": "Command palette",
+  "shortcut.help": "Keyboard shortcuts",
+  "shortcuts.title": "Keyboard shortcuts",
+  "shortcuts.recording": "Press keys…",
+  "shortcuts.change": "Change",
+  "shortcuts.changeLabel": "Change shortcut for {action}",
+  "shortcuts.hint": "Single keys are ignored while typing in a field.",
+  "shortcuts.reset": "Reset to defaults",
+  "palette.label": "Command palette",
+  "palette.input": "Command",
+  "palette.placeholder": "Type a command…",
+  "palette.empty": "No matching commands",
+  "cmd.timer": "Timer",
+  "cmd.todos": "Todos",
+  "cmd.preset": "Preset",
+  "cmd.log": "Log",
+  "cmd.theme": "Theme",
+  "cmd.sound": "Sound",
+  "cmd.help": "Help",
+  "cmd.language": "Language",
+  "cmd.savePreset": "Save current settings as a preset",
+  "cmd.openStats": "Open stats",
+  "cmd.addEntry": "Add a manual entry",
+  "cmd.exportCsv": "Export as CSV",
+  "cmd.exportJson": "Export as JSON",
+  "cmd.exportIcs": "Export as calendar (.ics)",
+  "cmd.import": "Import a JSON backup",
+};
+
+const de = {
+  "app.footer": "Deine Einstellungen und Protokolle werden lokal in deinem Browser gespeichert.",
+  "app.shortcuts": "⌨ Tastenkürzel",
+  "app.shortcutsPalette": " · {combo} für Befehle",
+  "app.upgradeBlocked": "Ein Update wird abgeschlossen – schließe FocusBlocks in deinen anderen Tabs, um fortzufahren.",
+  "update.available": "Eine neue Version von FocusBlocks ist verfügbar.",
+  "update.reload": "Aktualisieren & neu laden",
+  "update.later": "Später",
+  "title.running": "{time} • {label} Fokus 🔥",
+  "title.paused": "Pausiert • {label} Fokus 🔥",
+
+  "common.add": "Hinzufügen",
+  "common.save": "Speichern",
+  "common.cancel": "Abbrechen",
+  "common.close": "Schließen",
+  "common.delete": "Löschen",
+  "common.remove": "Entfernen",
+  "common.dismiss": "Ausblenden",
+  "common.custom": "Eigene",
+  "unit.min": "{count} Min.",
+
+  "phase.focus": "Fokus",
+  "phase.break": "Pause",
+  "phase.longBreak": "Lange Pause",
+  "reason.completed": "Abgeschlossen",
+  "reason.reset": "Zurückgesetzt",
+  "reason.skipped": "Übersprungen",
+  "reason.idle": "Abwesend",
+  "pause.internal": "intern",
+  "pause.external": "extern",
+  "pause.idle": "abwesend",
+
+  "alert.complete": "{phase} beendet",
+  "alert.waiting": "{phase} wartet",
+  "alert.next": "Als Nächstes: {phase} ({min} Min.)",
+  "alert.nextStarted": "Als Nächstes: {phase} ({min} Min.) – läuft",
+  "alert.startNow": "Jetzt starten",
+  "alert.snooze": "{min} Min. schlummern",
+  "notify.timeToFocus": "Zeit zum Fokussieren",
+  "announce.started": "{phase} gestartet, noch {time}",
+  "announce.resumed": "{phase} fortgesetzt, noch {time}",
+  "announce.paused": "Pausiert, noch {time}",
+  "announce.flowStarted": "Flow gestartet, zählt hoch",
+  "announce.flowResumed": "Flow fortgesetzt bei {time}",
+  "announce.flowPaused": "Flow pausiert bei {time}",
+  "announce.idle": "Pausiert – du scheinst weg zu sein",
+  "announce.milestone": "{phase}: {milestone}",
+  "announce.phase.focus": "Fokus",
+  "announce.phase.break": "Pause",
+  "announce.phase.longBreak": "Lange Pause",
+  "announce.phaseChange": { one: "{prev} vorbei. {next}, {count} Minute.", other: "{prev} vorbei. {next}, {count} Minuten." },
+  "announce.phaseChangeRunning": { one: "{prev} vorbei. {next}, {count} Minute, läuft.", other: "{prev} vorbei. {next}, {count} Minuten, läuft." },
+  "milestone.minutes": { one: "noch {count} Minute", other: "noch {count} Minuten" },
+  "milestone.seconds": { one: "noch {count} Sekunde", other: "noch {count} Sekunden" },
+
+  "timer.current": "Aktuell",
+  "timer.mirrored": "· gespiegelt aus einem anderen Tab",
+  "timer.mirroredTitle": "Der Timer läuft in einem anderen geöffneten Tab",
+  "timer.preset": "Timer-Vorlage",
+  "timer.label": "Noch {time} in {phase}, {pct} % erledigt",
+  "timer.cycleTitle": "Fokusblock in diesem Zyklus",
+  "timer.start": "Start",
+  "timer.pause": "Pause",
+  "timer.resume": "Fortsetzen",
+  "timer.reset": "Zurücksetzen",
+  "timer.skip": "Überspringen",
+  "timer.pausedQuestion": "Pausiert – was hat dich unterbrochen?",
+  "timer.pauseInternal": "Intern (meine Gedanken schweiften ab)",
+  "timer.pauseExternal": "Extern (jemand/etwas)",
+  "timer.progress": "Fortschritt: {pct}",
+  "timer.window": "Fenster: {length}",
+  "timer.interruptions": "Unterbrechungen: {count}",
+  "timer.task": "Aufgabe: {task}",
+  "timer.focusMode": "Fokusmodus",
+  "timer.mode.timer": "Countdown",
+  "timer.mode.flow": "Flow (zählt hoch)",
+  "timer.mode.until": "Fokus bis…",
+  "timer.untilTime": "Fokus bis",
+  "timer.untilPassed": "Wähle eine spätere Uhrzeit von heute.",
+  "timer.until": "Bis: {time}",
+  "timer.flowLabel": "{time} im Flow",
+  "timer.flowBreak": "Verdiente Pause: {length}",
+  "timer.finishFlow": "Fertig",
+  "goals.today": "Heute",
+  "goals.week": "Diese Woche",
+  "goals.dayOff": "Freier Tag – heute kein Ziel",
+  "goals.streak": { one: "🔥 Ziel {count} Tag in Folge erreicht", other: "🔥 Ziel {count} Tage in Folge erreicht" },
+  "goals.longest": { one: "Längste Serie: {count} Tag", other: "Längste Serie: {count} Tage" },
+  "goals.blocks": { one: "{count} Block", other: "{count} Blöcke" },
+  "goals.met.day": "Tagesziel erreicht!",
+  "goals.met.week": "Wochenziel erreicht!",
+  "goals.enable": "Fokusziele verfolgen",
+  "goals.metric": "Ziele zählen",
+  "goals.metric.minutes": "Fokuszeit",
+  "goals.metric.blocks": "Abgeschlossene Fokusblöcke",
+  "goals.perDay.minutes": "Minuten pro Tag (0 = frei)",
+  "goals.perDay.blocks": "Blöcke pro Tag (0 = frei)",
+  "goals.weekly.minutes": "Minuten pro Woche (0 = kein Wochenziel)",
+  "goals.weekly.blocks": "Blöcke pro Woche (0 = kein Wochenziel)",
+  "goals.dayTarget": "Ziel für {day}",
+  "idle.title": "Willkommen zurück!",
+  "idle.body": { one: "Du warst {count} Minute weg ({from}–{to}). Was soll mit dieser Zeit passieren?", other: "Du warst {count} Minuten weg ({from}–{to}). Was soll mit dieser Zeit passieren?" },
+  "idle.keep": "Behalten",
+  "idle.keepHint": "Es war doch Fokus – mitzählen",
+  "idle.discard": "Verwerfen",
+  "idle.discardHint": "Weglassen und mit diesem Block weitermachen",
+  "idle.split": "Abtrennen",
+  "idle.splitHint": "Fokus bis zum Weggehen protokollieren, dann stoppen",
+  "task.label": "Aufgabe für dieses Fokusfenster",
+  "task.placeholder": "z. B. React-Komponente für die Navigation bauen #frontend",
+  "task.none": "(Keine Aufgabe)",
+  "project.label": "Projekt",
+  "project.none": "Kein Projekt",
+  "project.new": "+ Neues Projekt…",
+  "project.color": "Projektfarbe",
+  "project.delete": "Projekt löschen",
+  "project.tagsHint": "#Tags in Aufgabe oder Todos ergänzen",
+  "project.prompt": "Projektname",
+  "project.confirmDelete": "Projekt „{name}“ löschen? Protokollierte Sitzungen behalten ihr Projekt.",
+
+  "todos.label": "Checkliste für dieses Fenster",
+  "todos.placeholder": "Todo eingeben und Enter drücken",
+  "todos.estimate": "Schätzung in Fokusblöcken",
+  "todos.estimateNone": "Schätz. –",
+  "todos.addDescription": "+ Beschreibung hinzufügen (optional)",
+  "todos.descriptionPlaceholder": "Bis zu {limit} Wörter…",
+  "todos.descriptionTooLong": "Die Beschreibung ist auf {limit} Wörter begrenzt.",
+  "todos.words": "{count}/{limit} Wörter",
+  "todos.empty": "Noch keine Todos. Füge ein paar kleine Schritte hinzu.",
+  "todos.spentTitle": "Abgeschlossene Fokusblöcke (plus der laufende) / Schätzung",
+  "todos.showNotes": "Notizen zeigen",
+  "todos.hideNotes": "Notizen ausblenden",
+  "todos.toBacklog": "In den Backlog verschieben",
+  "todos.toBacklogLabel": "„{text}“ in den Backlog verschieben",
+  "todos.removeLabel": "„{text}“ entfernen",
+  "todos.notesPlaceholder": "Notizen hier eingeben...",
+  "todos.notesLabel": "Notizen zu „{text}“",
+  "todos.saveTitle": "Speichern (Strg+Enter)",
+  "todos.cancelTitle": "Abbrechen (Esc)",
+  "todos.noNotes": "Noch keine Notizen. Zum Ergänzen auf Bearbeiten klicken.",
+  "todos.editNotes": "Notizen bearbeiten",
+  "todos.clearCompleted": "Erledigte entfernen",
+  "backlog.toggle": "Backlog ({count})",
+  "backlog.placeholder": "Todo für ein späteres Fenster parken",
+  "backlog.park": "Parken",
+  "backlog.empty": "Der Backlog ist leer. Unerledigte Todos landen hier, wenn ein Fokusfenster endet.",
+  "backlog.pull": "↑ Übernehmen",
+  "backlog.pullTitle": "Zur Checkliste dieses Fensters hinzufügen",
+
+  "settings.title": "Einstellungen",
+  "settings.preset": "Vorlage: {name}",
+  "settings.savePreset": "Als Vorlage speichern",
+  "settings.deletePreset": "Diese Vorlage löschen",
+  "settings.presetPrompt": "Name der Vorlage",
+  "settings.presetCopy": "{name} (Kopie)",
+  "settings.focusMin": "Fokusdauer (Minuten)",
+  "settings.breakMin": "Pausendauer (Minuten)",
+  "settings.longBreakMin": "Lange Pause (Minuten)",
+  "settings.longBreakEvery": "Alle N Fokusblöcke",
+  "settings.flowRatio": "Flow: Fokusminuten pro Pausenminute",
+  "settings.restartCycle": "Zyklus neu starten (Runde {round}/{every} → 1)",
+  "settings.carryOver": "Unerledigte Todos am Ende des Fokus",
+  "settings.carryBacklog": "Zurück in den Backlog",
+  "settings.carryNext": "Ins nächste Fokusfenster übernehmen",
+  "settings.autoStart": "Nächste Phase automatisch starten",
+  "settings.idle": "Fokus pausieren, wenn ich weg bin",
+  "settings.idleMinutes": "Weg nach (Minuten)",
+  "settings.idleSystem": "Leerlauferkennung des Systems nutzen (fragt nach Erlaubnis)",
+  "settings.idleSystemDenied": "Leerlauferkennung nicht erlaubt – es zählt weiter, was diese Seite erkennen kann.",
+  "settings.idleHint": "Zählt, solange diese Seite verborgen ist: anderer Tab oder andere App, gesperrter Bildschirm. Lesen oder Nachdenken bei offener Seite gilt nicht als weg.",
+  "settings.idleInput": "Auch Zeit ohne Maus- oder Tastatureingabe auf dieser Seite zählen (auch Lesen und Nachdenken)",
+  "settings.notify": "Desktop-Benachrichtigung am Ende einer Phase",
+  "settings.notifyDenied": "In den Browsereinstellungen blockiert. Du bekommst stattdessen den Signalton und einen Hinweis auf der Seite.",
+  "settings.notifyUnsupported": "In diesem Browser nicht unterstützt. Du bekommst stattdessen den Signalton und einen Hinweis auf der Seite.",
+  "settings.sound": "Signalton",
+  "sound.chime": "Glocke",
+  "sound.beep": "Piepton",
+  "sound.tick": "Ticken",
+  "sound.custom": "Eigene Töne",
+  "sound.file": "Audiodatei",
+  "sound.toneFreq": "Frequenz von Ton {n}",
+  "sound.toneDur": "Dauer von Ton {n}",
+  "sound.toneWave": "Wellenform von Ton {n}",
+  "sound.removeTone": "Ton {n} entfernen",
+  "sound.addTone": "+ Ton hinzufügen",
+  "sound.chooseFile": "Datei wählen…",
+  "sound.noFile": "Keine Datei gewählt – stattdessen ertönt der Piepton",
+  "sound.fileProblem.type": "Diese Datei ist keine Audiodatei.",
+  "sound.fileProblem.size": "Signaldateien dürfen höchstens {max} groß sein.",
+  "sound.fileFailed": "Die Datei konnte nicht gelesen werden: {error}",
+  "wave.sine": "Sinus",
+  "wave.square": "Rechteck",
+  "wave.triangle": "Dreieck",
+  "wave.sawtooth": "Sägezahn",
+  "settings.ambient": "Hintergrundklang beim Fokus",
+  "settings.ambientVolume": "Lautstärke Hintergrund: {pct} %",
+  "settings.ambientHint": "Wird zu Beginn der Pause ausgeblendet.",
+  "ambient.off": "Aus",
+  "ambient.white": "Weißes Rauschen",
+  "ambient.pink": "Rosa Rauschen",
+  "ambient.brown": "Braunes Rauschen",
+  "ambient.rain": "Regen",
+  "phaseAlerts.title": "Hinweise während einer Phase",
+  "phaseAlerts.perPreset": "Nur für {name}",
+  "phaseAlerts.halfway": "Halbzeit",
+  "phaseAlerts.minutesLabel": "Restminuten",
+  "phaseAlerts.minutesLeft": "Min. übrig",
+  "phaseAlerts.scopeLabel": "Phasen",
+  "phaseAlerts.scope.all": "Alle Phasen",
+  "phaseAlerts.scope.focus": "Fokus",
+  "phaseAlerts.scope.breaks": "Pausen",
+  "phaseAlerts.soundLabel": "Signalton",
+  "phaseAlerts.remove": "Hinweis entfernen",
+  "phaseAlerts.add.left": "+ Restminuten",
+  "phaseAlerts.add.halfway": "+ Halbzeit",
+  "phaseAlerts.finalTick": "Leises Ticken in der letzten Minute",
+  "phaseAlerts.tickSoundLabel": "Tickgeräusch",
+  "settings.volume": "Lautstärke: {pct} %",
+  "settings.language": "Sprache",
+  "language.auto": "Wie im Browser",
+  "settings.theme": "Design",
+  "theme.system": "System",
+  "theme.light": "Hell",
+  "theme.dark": "Dunkel",
+  "settings.colors": "Farben",
+  "palette.classic": "Klassisch",
+  "palette.ocean": "Ozean",
+  "palette.sunset": "Sonnenuntergang",
+  "palette.forest": "Wald",
+  "palette.mono": "Mono",
+  "settings.ring": "Fortschrittsring",
+  "settings.trail": "Funkenspur",
+  "settings.visualNeutral": "Neutral",
+  "settings.visualPhase": "Phasenfarbe",
+  "settings.colorOf": "Farbe: {label}",
+  "settings.reduceMotion": "Bewegung reduzieren (Funkenspur ausblenden)",
+  "settings.motionSystem": "Wie das System",
+  "settings.motionAlways": "Immer",
+  "settings.motionNever": "Nie",
+  "settings.tip": "Tipp: Beim Phasenwechsel wird deine aktuelle Fokusaufgabe mit Zeitstempeln gespeichert, damit du sie später nachsehen kannst.",
+
+  "plan.title": "Tagesplan",
+  "plan.nothingDue": "Gerade steht nichts an.",
+  "plan.drift": "Du bist {drift}.",
+  "plan.onSchedule": "im Zeitplan",
+  "plan.behind": "{count} Min. im Verzug",
+  "plan.ahead": "{count} Min. voraus",
+  "plan.follow": "Nächsten Block laden, wenn einer endet",
+  "plan.lanePlan": "Plan",
+  "plan.laneActual": "Ist",
+  "plan.empty": "Für heute sind noch keine Blöcke geplant.",
+  "plan.started": "✓ begonnen {time} ({drift})",
+  "plan.current": "aktuell",
+  "plan.load": "Laden",
+  "plan.blockStart": "Blockbeginn",
+  "plan.blockEnd": "Blockende",
+  "plan.blockPhase": "Blockphase",
+  "plan.blockTask": "Blockaufgabe",
+  "plan.taskPlaceholder": "z. B. API-Review",
+  "plan.addBlock": "Block hinzufügen",
+  "plan.errorTimes": "Wähle eine Start- und Endzeit.",
+  "plan.errorOrder": "Ein Block muss nach seinem Beginn enden.",
+  "plan.errorOverlap": "Überschneidet sich mit {from}–{to}{task}.",
+
+  "log.title": "Sitzungsprotokoll",
+  "log.entries": "Einträge",
+  "log.stats": "Statistik",
+  "log.testSound": "Ton testen",
+  "log.exportLabel": "Sitzungsprotokoll exportieren",
+  "log.export": "Exportieren…",
+  "log.exportCsv": "CSV (Stundenzettel)",
+  "log.exportJson": "JSON (Sicherung)",
+  "log.exportIcs": "Kalender (.ics)",
+  "log.addEntry": "Eintrag hinzufügen",
+  "log.import": "Importieren",
+  "log.clear": "Leeren",
+  "log.clearFailed": "Das Protokoll konnte nicht geleert werden: {error}",
+  "log.saveFailed": "Die Sitzung konnte nicht im Protokoll gespeichert werden: {error}",
+  "log.confirmClear": { one: "Die einzige Sitzung aus dem Protokoll löschen? Das lässt sich nicht rückgängig machen.", other: "Alle {count} Sitzungen aus dem Protokoll löschen? Das lässt sich nicht rückgängig machen." },
+  "log.empty": "Noch keine Sitzungen. Starte ein Fokusfenster, um hier Einträge zu sehen.",
+  "log.search": "Aufgaben, Todos, Notizen durchsuchen…",
+  "log.searchLabel": "Sitzungsprotokoll durchsuchen",
+  "log.filterPhase": "Nach Phase filtern",
+  "log.allPhases": "Alle Phasen",
+  "log.filterOutcome": "Nach Ergebnis filtern",
+  "log.anyOutcome": "Jedes Ergebnis",
+  "log.filterProject": "Nach Projekt filtern",
+  "log.allProjects": "Alle Projekte",
+  "log.filterTag": "Nach Tag filtern",
+  "log.from": "Von",
+  "log.to": "bis",
+  "log.groupByDay": "Nach Tag gruppieren",
+  "log.filtered": { one: "{shown} von {count} Sitzung · {focus} Fokus", other: "{shown} von {count} Sitzungen · {focus} Fokus" },
+  "log.clearFilters": "Filter zurücksetzen",
+  "log.noMatch": "Keine Sitzungen passen zu diesen Filtern.",
+  "log.loading": "Protokoll wird geladen…",
+  "log.colPhase": "Phase",
+  "log.colTask": "Aufgabe",
+  "log.colStart": "Beginn",
+  "log.colEnd": "Ende",
+  "log.colDuration": "Dauer",
+  "log.colDetails": "Details",
+  "log.daySummary": { one: "{count} Sitzung · {focus} Fokus", other: "{count} Sitzungen · {focus} Fokus" },
+  "log.manual": "(manuell)",
+  "log.detailsTitle": "Sitzung ansehen, bearbeiten oder kommentieren",
+  "log.sessions": { one: "{count} Sitzung", other: "{count} Sitzungen" },
+  "log.previous": "← Zurück",
+  "log.next": "Weiter →",
+  "import.done": { one: "{count} neue Sitzung importiert.", other: "{count} neue Sitzungen importiert." },
+  "import.duplicates": " {count} bereits im Protokoll.",
+  "import.skipped": { one: " {count} ungültiger Eintrag übersprungen.", other: " {count} ungültige Einträge übersprungen." },
+  "import.failed": "Import fehlgeschlagen: {error}",
+  "import.problem.json": "Diese Datei ist kein gültiges JSON.",
+  "import.problem.empty": "In dieser Datei wurden keine Sitzungseinträge gefunden.",
+
+  "details.view": "Sitzungsdetails",
+  "details.add": "Sitzung hinzufügen",
+  "details.edit": "Sitzung bearbeiten",
+  "details.phase": "Phase",
+  "details.task": "Aufgabe",
+  "details.project": "Projekt",
+  "details.deletedProject": "{name} (gelöscht)",
+  "details.tags": "Tags",
+  "details.start": "Beginn",
+  "details.end": "Ende",
+  "details.duration": "Dauer",
+  "details.activeMin": "Aktive Minuten",
+  "details.pausedHint": "Weniger als Ende − Beginn, wenn die Sitzung pausiert wurde.",
+  "details.notes": "Notizen",
+  "details.notesPlaceholder": "Was wurde erledigt, was kam dazwischen…",
+  "details.interruptions": "Unterbrechungen",
+  "details.quality": " · Fokusqualität {pct} %",
+  "details.paused": "Pausiert {from}–{to} ({duration})",
+  "details.manual": "Von Hand hinzugefügt.",
+  "details.edited": "Bearbeitet am {date}.",
+  "details.todos": "Todos zu diesem Zeitpunkt",
+  "details.noTodos": "Dieser Sitzung waren keine Todos zugeordnet.",
+  "details.blocksTitle": "Bis zu dieser Sitzung verbrauchte Fokusblöcke / Schätzung",
+  "details.addToLog": "Zum Protokoll hinzufügen",
+  "details.editNotes": "Bearbeiten / Notizen",
+  "details.confirmDelete": "Diese Sitzung aus dem Protokoll löschen?",
+  "details.saveFailed": "Die Sitzung konnte nicht gespeichert werden: {error}",
+  "details.deleteFailed": "Die Sitzung konnte nicht gelöscht werden: {error}",
+  "details.errorTimes": "Beginn und Ende brauchen Datum und Uhrzeit.",
+  "details.errorOrder": "Das Ende muss nach dem Beginn liegen.",
+  "details.errorFuture": "Einträge können nicht in der Zukunft enden.",
+  "details.errorDuration": "Die Dauer muss mehr als 0 Minuten betragen.",
+  "details.errorTooLong": "Die Dauer kann nicht länger sein als die Zeit zwischen Beginn und Ende ({count} Min.).",
+
+  "stats.empty": "Noch keine Fokussitzungen. Die Statistik erscheint nach deinem ersten Fokusfenster.",
+  "stats.today": "Heute",
+  "stats.week": "Diese Woche",
+  "stats.weekHint": "seit Montag",
+  "stats.month": "Diesen Monat",
+  "stats.average": "Ø Sitzung",
+  "stats.focusSessions": { one: "{count} Fokussitzung", other: "{count} Fokussitzungen" },
+  "stats.completed": "Abgeschlossen",
+  "stats.completedShare": "{pct} % der Sitzungen",
+  "stats.resetSkipped": "Zurückgesetzt / übersprungen",
+  "stats.longestStreak": "Längste Serie",
+  "stats.currentStreak": "Aktuelle Serie",
+  "stats.days": "{count} T",
+  "stats.streakHint": "Tage mit einem abgeschlossenen Block",
+  "stats.quality": "Fokusqualität",
+  "stats.qualityHint": "der Sitzungszeit wirklich fokussiert",
+  "stats.interruptions": "Unterbrechungen",
+  "stats.perHour": "{count} / Std.",
+  "stats.interruptionsHint": "{total} gesamt · {internal} intern · {external} extern",
+  "stats.uninterrupted": "Ohne Unterbrechung",
+  "stats.uninterruptedHint": { one: "von {count} erfassten Sitzung", other: "von {count} erfassten Sitzungen" },
+  "stats.byPreset": "Nach Vorlage",
+  "stats.preset": "Vorlage",
+  "stats.sessions": "Sitzungen",
+  "stats.focusTime": "Fokuszeit",
+  "stats.byProject": "Nach Projekt",
+  "stats.byTag": "Nach Tag",
+  "stats.byTagNote": "Sitzungen mit mehreren Tags zählen für jeden",
+  "stats.untagged": "Ohne Tag",
+  "stats.customPreset": "Eigene",
+  "stats.noProject": "Ohne Projekt",
+  "stats.estimates": "Schätzung vs. Ist",
+  "stats.estimatesSummary": "Erledigte Todos brauchten im Schnitt das {ratio} ihrer Schätzung ({over} drüber, {on} genau, {under} drunter).",
+  "stats.estimatesWeek": "Woche vom {date}: {actual} Blöcke bei {estimate} geschätzten ({items} Todos)",
+  "stats.todo": "Todo",
+  "stats.estimate": "Schätzung",
+  "stats.actual": "Ist",
+  "stats.done": "Erledigt",
+  "stats.heatmap": "Fokusminuten pro Tag",
+  "stats.less": "Weniger",
+  "stats.more": "Mehr",
+
+  "shortcut.toggle": "Start / Pause",
+  "shortcut.skip": "Zur nächsten Phase springen",
+  "shortcut.reset": "Timer zurücksetzen",
+  "shortcut.newTodo": "Neues Todo",
+  "shortcut.editTask": "Fokusaufgabe bearbeiten",
+  "shortcut.phase:focus": "Zu Fokus wechseln",
+  "shortcut.phase:break": "Zu Pause wechseln",
+  "shortcut.phase:longBreak": "Zu langer Pause wechseln",
+  "shortcut.openLog": "Sitzungsprotokoll öffnen",
+  "shortcut.palette": "Befehlspalette",
+  "shortcut.help": "Tastenkürzel",
+  "shortcuts.title": "Tastenkürzel",
+  "shortcuts.recording": "Tasten drücken…",
+  "shortcuts.change": "Ändern",
+  "shortcuts.changeLabel": "Tastenkürzel für {action} ändern",
+  "shortcuts.hint": "Einzelne Tasten werden beim Tippen in einem Feld ignoriert.",
+  "shortcuts.reset": "Auf Standard zurücksetzen",
+  "palette.label": "Befehlspalette",
+  "palette.input": "Befehl",
+  "palette.placeholder": "Befehl eingeben…",
+  "palette.empty": "Keine passenden Befehle",
+  "cmd.timer": "Timer",
+  "cmd.todos": "Todos",
+  "cmd.preset": "Vorlage",
+  "cmd.log": "Protokoll",
+  "cmd.theme": "Design",
+  "cmd.sound": "Ton",
+  "cmd.help": "Hilfe",
+  "cmd.language": "Sprache",
+  "cmd.savePreset": "Aktuelle Einstellungen als Vorlage speichern",
+  "cmd.openStats": "Statistik öffnen",
+  "cmd.addEntry": "Manuellen Eintrag hinzufügen",
+  "cmd.exportCsv": "Als CSV exportieren",
+  "cmd.exportJson": "Als JSON exportieren",
+  "cmd.exportIcs": "Als Kalender (.ics) exportieren",
+  "cmd.import": "JSON-Sicherung importieren",
+};
+
+export const MESSAGES = { en, de };
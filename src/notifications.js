@@ -0,0 +1,71 @@
+// =====================
+// Desktop notifications for phase ends
+// Opt-in; with a service worker registration we use showNotification so the
+// "Start" / "Snooze" actions work, otherwise a plain Notification that just
+// brings the tab back. Callers fall back to the in-app banner when this
+// returns false (permission denied, unsupported browser).
+// =====================
+
+import { enT } from "./i18n";
+
+export const PHASE_TAG = "focusblocks-phase";
+
+// How long "Snooze" puts the phase-end alert off
+export const SNOOZE_MIN = 5;
+
+export const phaseActions = (t, snoozeMin = SNOOZE_MIN) => [
+  { action: "start", title: t("alert.startNow") },
+  { action: "snooze", title: t("alert.snooze", { min: snoozeMin }) },
+];
+
+// Default (English) action buttons; the page passes translated titles
+export const ACTIONS = phaseActions(enT);
+
+// "granted" | "denied" | "default" | "unsupported"
+export const notificationPermission = () =>
+  typeof window !== "undefined" && "Notification" in window ? Notification.permission : "unsupported";
+
+export const requestNotificationPermission = async () => {
+  if (notificationPermission() === "unsupported") return "unsupported";
+  try {
+    return await Notification.requestPermission();
+  } catch {
+    return notificationPermission();
+  }
+};
+
+export const showPhaseNotification = async ({ title, body, withActions = true, actions = ACTIONS }) => {
+  if (notificationPermission() !== "granted") return false;
+  const options = { body, tag: PHASE_TAG, renotify: true, icon: "/logo192.png", badge: "/logo192.png" };
+
+  try {
+    const reg = "serviceWorker" in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (reg) {
+      await reg.showNotification(title, withActions ? { ...options, actions } : options);
+      return true;
+    }
+    const n = new Notification(title, options);
+    n.onclick = () => {
+      window.focus();
+      n.close();
+    };
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Where notification triggers exist, the service worker shows the phase-end
+// notification itself, on the dot ("schedule-phase-end"). True if it has one
+// for the deadline `at`, so the page doesn't notify a second time.
+export const phaseEndScheduled = async (at) => {
+  if (!at || !("TimestampTrigger" in window) || !("serviceWorker" in navigator)) return false;
+  try {
+    const reg = await navigator.serviceWorker.getRegistration();
+    if (!reg) return false;
+    const shown = await reg.getNotifications({ tag: PHASE_TAG, includeTriggered: true });
+    return shown.some((n) => n.showTrigger && n.showTrigger.timestamp === at);
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,53 @@
+// =====================
+// In-phase alerts – "2 minutes left", a halfway chime, a soft tick through
+// the final minute
+// Config: { rules: [{ id, type: "left" | "halfway", minutes, sound, scope }],
+//           finalTick, tickSound }
+// Stored globally in fb_phaseAlerts, or on a preset (preset.phaseAlerts),
+// which then wins while that preset is active.
+// Alerts are planned from the phase deadline and handed to the audio clock
+// ahead of time, so a throttled background tab still sounds them on time.
+// =====================
+
+export const ALERT_SCOPES = ["all", "focus", "breaks"];
+
+export const DEFAULT_PHASE_ALERTS = { rules: [], finalTick: false, tickSound: "tick" };
+
+export const MAX_ALERT_RULES = 6;
+
+export const newAlertRule = (type) => ({
+  id: `a${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`,
+  type,
+  minutes: 2,
+  sound: type === "halfway" ? "chime" : "beep",
+  scope: "focus",
+});
+
+// The preset's own rules while it's active, the global ones otherwise
+export const resolvePhaseAlerts = (global, preset) => ({ ...DEFAULT_PHASE_ALERTS, ...(preset?.phaseAlerts || global) });
+
+export const inScope = (scope, phase) => scope === "all" || (scope === "focus" ? phase === "focus" : phase !== "focus");
+
+// Seconds left on the clock when the rule fires
+export const ruleMark = (rule, totalSec) => (rule.type === "halfway" ? totalSec / 2 : Number(rule.minutes) * 60);
+
+// Upcoming alerts of a running phase: [{ key, at (ms), sound, soft }], where
+// marks at or beyond the phase length (or already passed) are left out
+export const plannedAlerts = (config, { phase, totalSec, endAt }, now = Date.now()) => {
+  const { rules, finalTick, tickSound } = { ...DEFAULT_PHASE_ALERTS, ...config };
+  const planned = rules
+    .filter((r) => inScope(r.scope, phase))
+    .map((r) => ({ key: r.id, mark: ruleMark(r, totalSec), sound: r.sound, soft: false }))
+    .filter((a) => a.mark > 0 && a.mark < totalSec);
+
+  if (finalTick) {
+    for (let sec = 1; sec < Math.min(60, totalSec); sec++) {
+      planned.push({ key: `tick:${sec}`, mark: sec, sound: tickSound, soft: true });
+    }
+  }
+
+  return planned
+    .map(({ mark, ...a }) => ({ ...a, at: endAt - mark * 1000 }))
+    .filter((a) => a.at > now)
+    .sort((a, b) => a.at - b.at);
+};
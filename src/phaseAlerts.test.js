@@ -0,0 +1,65 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import App from './App';
+import { DEFAULT_PHASE_ALERTS, plannedAlerts, resolvePhaseAlerts } from './phaseAlerts';
+
+const T0 = 1_700_000_000_000;
+const rule = (id, type, extra = {}) => ({ id, type, minutes: 2, sound: 'beep', scope: 'focus', ...extra });
+
+test('alerts are planned from the deadline, in order, within the phase', () => {
+  const config = {
+    rules: [rule('two', 'left'), rule('half', 'halfway', { sound: 'chime' }), rule('long', 'left', { minutes: 30 })],
+  };
+  const endAt = T0 + 25 * 60 * 1000;
+  expect(plannedAlerts(config, { phase: 'focus', totalSec: 25 * 60, endAt }, T0)).toEqual([
+    { key: 'half', at: endAt - 12.5 * 60 * 1000, sound: 'chime', soft: false },
+    { key: 'two', at: endAt - 2 * 60 * 1000, sound: 'beep', soft: false },
+  ]);
+  // marks already behind us (e.g. after a reload) don't fire again
+  expect(plannedAlerts(config, { phase: 'focus', totalSec: 25 * 60, endAt }, endAt - 60 * 1000)).toEqual([]);
+});
+
+test('rules only fire in their phases, and the final minute ticks every second', () => {
+  const config = { rules: [rule('two', 'left')], finalTick: true, tickSound: 'tick' };
+  const endAt = T0 + 5 * 60 * 1000;
+  const planned = plannedAlerts(config, { phase: 'break', totalSec: 5 * 60, endAt }, T0);
+  expect(planned).toHaveLength(59);
+  expect(planned.every((a) => a.soft && a.sound === 'tick')).toBe(true);
+  expect(planned[planned.length - 1].at).toBe(endAt - 1000);
+});
+
+test("an active preset's own alerts win over the global ones", () => {
+  const global = { rules: [rule('g', 'halfway')], finalTick: true };
+  expect(resolvePhaseAlerts(global, null).rules[0].id).toBe('g');
+  expect(resolvePhaseAlerts(global, { phaseAlerts: { rules: [] } })).toEqual({ ...DEFAULT_PHASE_ALERTS, rules: [] });
+  expect(resolvePhaseAlerts(undefined, null)).toEqual(DEFAULT_PHASE_ALERTS);
+});
+
+describe('in the app', () => {
+  const { startedAt: started } = window.AudioContext; // see setupTests
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => jest.useRealTimers());
+
+  test('a new rule is scheduled on the audio clock and can move to the preset', async () => {
+    const now = Date.now();
+    jest.useFakeTimers({ now });
+    const startAt = now - 15 * 60 * 1000;
+    localStorage.setItem('fb_timer', JSON.stringify({ startAt, endAt: startAt + 25 * 60 * 1000, pausedAt: null, pausedMs: 0, pauses: [], pauseReason: null }));
+    render(<App />);
+
+    fireEvent.click(await screen.findByText('+ Minutes left'));
+    expect(started).toHaveLength(1);
+    expect(started[0]).toBeCloseTo(8 * 60, 0); // 10 minutes left, fires at 2
+    expect(JSON.parse(localStorage.getItem('fb_phaseAlerts')).rules).toHaveLength(1);
+
+    fireEvent.click(screen.getByLabelText('Only for Classic 25/5'));
+    const classic = JSON.parse(localStorage.getItem('fb_presets')).find((p) => p.id === 'classic');
+    expect(classic.phaseAlerts.rules).toHaveLength(1);
+    fireEvent.click(screen.getByLabelText('Remove alert'));
+    expect(JSON.parse(localStorage.getItem('fb_presets')).find((p) => p.id === 'classic').phaseAlerts.rules).toEqual([]);
+    expect(JSON.parse(localStorage.getItem('fb_phaseAlerts')).rules).toHaveLength(1);
+  });
+});
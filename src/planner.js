@@ -0,0 +1,58 @@
+// =====================
+// Day planner – blocks laid out against clock times
+// Plans are stored per local day: { "YYYY-MM-DD": [{ id, start: "09:00",
+// end: "09:50", phase, task }] }. Log entries point back to the block they
+// ran for (entry.planBlockId), which is how planned and actual line up.
+// =====================
+
+import { enT } from "./i18n";
+
+const toMin = (hhmm = "") => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return Number.isFinite(h) && Number.isFinite(m) ? h * 60 + m : NaN;
+};
+
+// Absolute start/end (ms) of a block on the given local day
+export const blockTimes = (day, block) => {
+  const [y, mo, d] = day.split("-").map(Number);
+  const at = (min) => new Date(y, mo - 1, d, Math.floor(min / 60), min % 60).getTime();
+  return { start: at(toMin(block.start)), end: at(toMin(block.end)) };
+};
+
+// "09:50" + 50 → "10:40" (clamped to the same day)
+export const addMinutes = (hhmm, min) => {
+  const t = Math.min(23 * 60 + 59, Math.max(0, toMin(hhmm) + min));
+  return `${String(Math.floor(t / 60)).padStart(2, "0")}:${String(t % 60).padStart(2, "0")}`;
+};
+
+export const blockMinutes = (block) => Math.max(1, toMin(block.end) - toMin(block.start));
+
+export const sortBlocks = (blocks = []) => [...blocks].sort((a, b) => toMin(a.start) - toMin(b.start));
+
+// Returns an error message (via `t`), or null if the block can be added to the plan
+export const validateBlock = (block, blocks = [], t = enT) => {
+  const start = toMin(block.start);
+  const end = toMin(block.end);
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return t("plan.errorTimes");
+  if (end <= start) return t("plan.errorOrder");
+  const clash = blocks.find((b) => b.id !== block.id && toMin(b.start) < end && start < toMin(b.end));
+  if (clash) return t("plan.errorOverlap", { from: clash.start, to: clash.end, task: clash.task ? ` "${clash.task}"` : "" });
+  return null;
+};
+
+// Blocks worked through, by id → the session that did it. Only completed
+// sessions count: one that was reset or skipped leaves its block open.
+export const workedBlocks = (sessions) =>
+  new Map(sessions.filter((e) => e.planBlockId && (e.reason || "completed") === "completed").map((e) => [e.planBlockId, e]));
+
+// The block to load after `activeId` finishes: the next one in clock order
+// that hasn't been worked yet (or the first open one if nothing is active)
+export const nextBlock = (blocks, activeId, doneIds = new Set()) => {
+  const sorted = sortBlocks(blocks);
+  const from = activeId ? sorted.findIndex((b) => b.id === activeId) + 1 : 0;
+  return sorted.slice(from).find((b) => !doneIds.has(b.id) && b.id !== activeId) || null;
+};
+
+// Minutes the actual start lags behind (+) or runs ahead of (−) the plan
+export const driftMinutes = (day, block, actualStart) =>
+  Math.round((actualStart - blockTimes(day, block).start) / 60000);
@@ -0,0 +1,29 @@
+import { driftMinutes, nextBlock, validateBlock, workedBlocks } from './planner';
+
+const block = (id, start, end, phase = 'focus') => ({ id, start, end, phase, task: '' });
+const plan = [block('c', '10:00', '10:50'), block('a', '09:00', '09:50'), block('b', '09:50', '10:00', 'break')];
+
+test('rejects blocks that end before they start or overlap another', () => {
+  expect(validateBlock(block('x', '11:00', '10:00'), plan)).toMatch(/end after/);
+  expect(validateBlock(block('x', '09:30', '09:40'), plan)).toMatch(/Overlaps 09:00–09:50/);
+  expect(validateBlock(block('x', '10:50', '11:40'), plan)).toBeNull(); // touching is fine
+});
+
+test('the next block follows clock order and skips ones already worked', () => {
+  expect(nextBlock(plan, 'a').id).toBe('b');
+  expect(nextBlock(plan, 'a', new Set(['b'])).id).toBe('c');
+  expect(nextBlock(plan, 'c')).toBeNull();
+});
+
+test('only a completed session marks its block as worked', () => {
+  const session = (id, planBlockId, reason) => ({ id, planBlockId, reason });
+  const worked = workedBlocks([session(1, 'a', 'reset'), session(2, 'b', 'skipped'), session(3, 'c', 'completed'), session(4, null), session(5, 'b')]);
+  expect([...worked.keys()]).toEqual(['c', 'b']); // b: a later session without a reason is an old completed one
+  expect(nextBlock(plan, null, new Set(worked.keys())).id).toBe('a');
+});
+
+test('drift is measured against the planned start on that day', () => {
+  const day = '2025-03-04';
+  expect(driftMinutes(day, plan[1], new Date(2025, 2, 4, 9, 12).getTime())).toBe(12);
+  expect(driftMinutes(day, plan[1], new Date(2025, 2, 4, 8, 55).getTime())).toBe(-5);
+});
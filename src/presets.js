@@ -0,0 +1,31 @@
+// =====================
+// Timer presets – named bundles of the rhythm settings
+// Applying a preset copies its values into the regular fb_* settings, which
+// stay the source of truth. Editing any of them afterwards turns the active
+// preset into "Custom" (and log entries record no preset) – except the
+// volume, which a preset sets but which gets nudged all the time.
+// A preset may also carry its own in-phase alerts (preset.phaseAlerts, see
+// ./phaseAlerts); they aren't part of the match.
+// =====================
+
+export const PRESET_FIELDS = ["focusMin", "breakMin", "longBreakMin", "longBreakEvery", "sound", "volume"];
+const MATCHED_FIELDS = PRESET_FIELDS.filter((f) => f !== "volume");
+
+export const DEFAULT_PRESETS = [
+  { id: "classic", name: "Classic 25/5", focusMin: 25, breakMin: 5, longBreakMin: 15, longBreakEvery: 4, sound: "chime", volume: 0.6 },
+  { id: "52-17", name: "52/17", focusMin: 52, breakMin: 17, longBreakMin: 30, longBreakEvery: 3, sound: "chime", volume: 0.6 },
+  { id: "deep", name: "Deep work 90/20", focusMin: 90, breakMin: 20, longBreakMin: 30, longBreakEvery: 2, sound: "beep", volume: 0.6 },
+];
+
+// The active preset, if the current settings still match it exactly
+export const matchPreset = (presets, id, settings) => {
+  const preset = presets.find((p) => p.id === id);
+  if (!preset) return null;
+  return MATCHED_FIELDS.every((f) => preset[f] === settings[f]) ? preset : null;
+};
+
+export const presetFromSettings = (name, settings) => ({
+  id: `p${Date.now().toString(36)}`,
+  name,
+  ...Object.fromEntries(PRESET_FIELDS.map((f) => [f, settings[f]])),
+});
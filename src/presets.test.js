@@ -0,0 +1,34 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import App from './App';
+import { DEFAULT_PRESETS, matchPreset, presetFromSettings } from './presets';
+
+const classic = { focusMin: 25, breakMin: 5, longBreakMin: 15, longBreakEvery: 4, sound: 'chime' };
+
+test('the active preset matches while the rhythm settings are unchanged', () => {
+  expect(matchPreset(DEFAULT_PRESETS, 'classic', classic)).toBe(DEFAULT_PRESETS[0]);
+  expect(matchPreset(DEFAULT_PRESETS, 'classic', { ...classic, breakMin: 6 })).toBeNull();
+  expect(matchPreset(DEFAULT_PRESETS, 'classic', { ...classic, sound: 'beep' })).toBeNull();
+  expect(matchPreset(DEFAULT_PRESETS, 'gone', classic)).toBeNull();
+});
+
+test('presets carry a volume, but nudging it never turns one into Custom', () => {
+  expect(DEFAULT_PRESETS.every((p) => p.volume === 0.6)).toBe(true);
+  expect(matchPreset(DEFAULT_PRESETS, 'classic', { ...classic, volume: 0.2 })).toBe(DEFAULT_PRESETS[0]);
+});
+
+test('saving the current settings keeps their volume', () => {
+  const preset = presetFromSettings('Mine', { ...classic, focusMin: 40, volume: 0.3 });
+  expect(preset).toEqual({ id: expect.stringMatching(/^p/), name: 'Mine', ...classic, focusMin: 40, volume: 0.3 });
+  expect(matchPreset([preset], preset.id, { ...classic, focusMin: 40, volume: 0.8 })).toBe(preset);
+});
+
+test('applying a preset sets its volume', async () => {
+  localStorage.clear();
+  localStorage.setItem('fb_volume', JSON.stringify(0.2));
+  localStorage.setItem('fb_presets', JSON.stringify([...DEFAULT_PRESETS, { id: 'quiet', name: 'Quiet', ...classic, volume: 0.3 }]));
+  render(<App />);
+  fireEvent.change(await screen.findByLabelText('Timer preset'), { target: { value: 'quiet' } });
+  expect(JSON.parse(localStorage.getItem('fb_volume'))).toBe(0.3);
+  fireEvent.change(screen.getByLabelText('Timer preset'), { target: { value: 'deep' } });
+  expect(JSON.parse(localStorage.getItem('fb_volume'))).toBe(0.6);
+});
@@ -0,0 +1,51 @@
+// =====================
+// Projects & #tags
+// - A project is { id, name, color }; the current one is picked next to the
+//   focus task and a snapshot of it is stored on each log entry, so renaming
+//   or deleting a project never rewrites history
+// - Tags are plain "#words" typed into the task or a todo; the entry keeps
+//   the lower-cased union of both (without the "#")
+// - Entries from before projects/tags simply have none ("untagged")
+// =====================
+
+export const PROJECT_COLORS = ["#f59e0b", "#10b981", "#6366f1", "#ef4444", "#0ea5e9", "#a855f7", "#84cc16", "#ec4899"];
+
+export const NO_PROJECT = "none"; // filter value for entries without a project
+
+// Letters/digits in any script, plus - and _ ; "#1" on its own isn't a tag
+const TAG_REGEX = /(^|\s)#([\p{L}\p{N}_-]*\p{L}[\p{L}\p{N}_-]*)/gu;
+
+export const parseTags = (text = "") =>
+  [...new Set([...String(text).matchAll(TAG_REGEX)].map((m) => m[2].toLowerCase()))];
+
+// Splits text into plain and tag parts for highlighting: [{ text, tag? }]
+export const splitTags = (text = "") => {
+  const parts = [];
+  let last = 0;
+  for (const m of String(text).matchAll(TAG_REGEX)) {
+    const at = m.index + m[1].length;
+    if (at > last) parts.push({ text: text.slice(last, at) });
+    parts.push({ text: `#${m[2]}`, tag: m[2].toLowerCase() });
+    last = at + m[2].length + 1;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last) });
+  return parts;
+};
+
+export const entryTags = (task, todos = []) =>
+  [...new Set([task, ...todos.map((t) => t.text)].flatMap(parseTags))].sort();
+
+export const newProject = (name, projects = []) => ({
+  id: `pr${Date.now().toString(36)}`,
+  name,
+  color: PROJECT_COLORS[projects.length % PROJECT_COLORS.length],
+});
+
+export const projectSnapshot = (project) => (project ? { id: project.id, name: project.name, color: project.color } : null);
+
+// filter: { projectId: "" | NO_PROJECT | id, tag: "" | tag }
+export const matchesFilter = (entry, { projectId = "", tag = "" } = {}) => {
+  if (projectId === NO_PROJECT ? entry.project : projectId && entry.project?.id !== projectId) return false;
+  if (tag && !(entry.tags || []).includes(tag)) return false;
+  return true;
+};
@@ -0,0 +1,20 @@
+import { NO_PROJECT, entryTags, matchesFilter, parseTags, splitTags } from './projects';
+
+test('tags are #words anywhere in the text, case-insensitive and unique', () => {
+  expect(parseTags('Fix login #Auth #client-x, again #auth')).toEqual(['auth', 'client-x']);
+  expect(parseTags('Issue #123 and a#b are not tags; #ÜBER is')).toEqual(['über']);
+  expect(entryTags('Spec #api', [{ text: 'review #docs' }, { text: 'ping #API' }])).toEqual(['api', 'docs']);
+});
+
+test('splitTags keeps the original text around the tags', () => {
+  expect(splitTags('a #b c')).toEqual([{ text: 'a ' }, { text: '#b', tag: 'b' }, { text: ' c' }]);
+});
+
+test('filters by project, by "no project" and by tag', () => {
+  const a = { project: { id: 'p1' }, tags: ['x'] };
+  const b = { project: null, tags: [] };
+  const old = {}; // logged before projects existed
+  expect([a, b, old].filter((e) => matchesFilter(e, { projectId: 'p1' }))).toEqual([a]);
+  expect([a, b, old].filter((e) => matchesFilter(e, { projectId: NO_PROJECT }))).toEqual([b, old]);
+  expect([a, b, old].filter((e) => matchesFilter(e, { tag: 'x' }))).toEqual([a]);
+});
@@ -0,0 +1,104 @@
+/* eslint-disable no-restricted-globals */
+import { ACTIONS, PHASE_TAG } from "./notifications";
+
+// =====================
+// FocusBlocks service worker (built by CRA's InjectManifest from this file)
+// - Precaches the build into a versioned cache so the app loads fully offline
+// - A new version waits until the page accepts the "update available" prompt
+// - Routes notification actions (start / snooze) back to the page
+// - Schedules phase-end notifications where notification triggers exist
+// =====================
+
+const PRECACHE = self.__WB_MANIFEST;
+const PREFIX = "focusblocks-";
+
+// The cache name changes whenever any asset URL or revision does
+const hash = (str) => {
+  let h = 0;
+  for (let i = 0; i < str.length; i++) h = (h * 31 + str.charCodeAt(i)) | 0;
+  return (h >>> 0).toString(36);
+};
+const CACHE = `${PREFIX}${hash(JSON.stringify(PRECACHE))}`;
+
+const scope = self.registration.scope;
+const SHELL = new URL("index.html", scope).href;
+const ASSETS = PRECACHE.map((entry) => new URL(entry.url, scope).href);
+
+// ===== Lifecycle =====
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE).then((cache) => cache.addAll(ASSETS.map((url) => new Request(url, { cache: "reload" }))))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter((k) => k.startsWith(PREFIX) && k !== CACHE).map((k) => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+// ===== Offline =====
+// App shell for navigations, cache-first for build assets, network otherwise
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(caches.match(SHELL).then((cached) => cached || fetch(request)));
+    return;
+  }
+  event.respondWith(caches.match(request).then((cached) => cached || fetch(request)));
+});
+
+// ===== Messages from the page =====
+const cancelScheduled = async () => {
+  const pending = await self.registration.getNotifications({ tag: PHASE_TAG, includeTriggered: true });
+  pending
+    .filter((n) => n.showTrigger && n.showTrigger.timestamp > Date.now())
+    .forEach((n) => n.close());
+};
+
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+
+  if (msg.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  } else if (msg.type === "schedule-phase-end") {
+    // Notification triggers are only in some Chromium builds – without them
+    // the page notifies on its own when the deadline passes (with them it
+    // leaves this one be, see phaseEndScheduled)
+    if (!self.TimestampTrigger) return;
+    event.waitUntil((async () => {
+      await cancelScheduled();
+      await self.registration.showNotification(msg.title, {
+        body: msg.body,
+        tag: PHASE_TAG,
+        renotify: true,
+        icon: new URL("logo192.png", scope).href,
+        actions: msg.actions || ACTIONS,
+        showTrigger: new self.TimestampTrigger(msg.at),
+      });
+    })());
+  } else if (msg.type === "cancel-phase-end") {
+    if (self.TimestampTrigger) event.waitUntil(cancelScheduled());
+  }
+});
+
+// ===== Notification actions =====
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const action = event.action || "open";
+
+  event.waitUntil((async () => {
+    const [client] = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    if (!client) {
+      // a fresh page picks the action up from the URL once it has mounted
+      await self.clients.openWindow(`${scope}?notification=${action}`);
+      return;
+    }
+    await client.focus().catch(() => { });
+    client.postMessage({ type: "notification-action", action });
+  })());
+});
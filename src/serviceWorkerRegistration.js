@@ -0,0 +1,49 @@
+// =====================
+// Service worker registration (production builds only)
+// A new version installs in the background and waits; `onUpdate` lets the
+// app show an "update available" prompt, and applyUpdate() switches over.
+// =====================
+
+const swSupported = () => "serviceWorker" in navigator;
+
+export function register({ onUpdate } = {}) {
+  if (process.env.NODE_ENV !== "production" || !swSupported()) return;
+
+  // The worker can't be served from a different origin than the page
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", async () => {
+    try {
+      const reg = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+
+      // only an *update* if a previous version already controls the page
+      const announce = () => {
+        if (reg.waiting && navigator.serviceWorker.controller && onUpdate) onUpdate(reg);
+      };
+      announce();
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        if (!worker) return;
+        worker.addEventListener("statechange", () => {
+          if (worker.state === "installed") announce();
+        });
+      });
+    } catch (err) {
+      console.error("Service worker registration failed", err);
+    }
+  });
+}
+
+// Activate the waiting worker, then reload once it controls the page
+export function applyUpdate(reg) {
+  if (!reg || !reg.waiting) return window.location.reload();
+  navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), { once: true });
+  reg.waiting.postMessage({ type: "SKIP_WAITING" });
+}
+
+export async function postToServiceWorker(message) {
+  if (!swSupported()) return;
+  const reg = await navigator.serviceWorker.getRegistration();
+  if (reg && reg.active) reg.active.postMessage(message);
+}
@@ -0,0 +1,323 @@
+import { focusDay, focusDays } from "./goals";
+import { broadcast, subscribeTabs } from "./tabSync";
+
+// =====================
+// Session storage – IndexedDB
+// - "sessions" store (keyPath id) with indexes by date ("start") and "task"
+// - "days" store (keyPath day) with completed focus per local day, kept in
+//   step with every write, so goals don't have to read the whole log
+// - "kv" store for small app state that used to live in localStorage
+// - No cap: the log is read in windows (pages / date ranges), never rewritten whole
+// - Migration of the old fb_log / fb_todos_current keys
+// Falls back to an in-memory store mirrored to localStorage when IndexedDB
+// isn't available (old private-mode browsers, jsdom in tests).
+// =====================
+
+const DB_NAME = "focusblocks";
+const DB_VERSION = 2;
+const MIGRATED_KEY = "migratedFromLocalStorage";
+
+// ===== Change notifications =====
+// Local listeners, plus other tabs sharing the same database
+const listeners = new Set();
+
+export const subscribeSessions = (fn) => {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+};
+
+const notify = () => listeners.forEach((fn) => fn());
+
+subscribeTabs((msg) => {
+  if (msg.type === "sessions-changed") notify();
+});
+
+// ===== Blocked upgrades =====
+// A tab that still has an older version of the database open holds up the
+// upgrade. We wait it out instead of falling back (the fallback can't see the
+// migrated log) and let the page ask for the other tabs to be closed.
+let blocked = false;
+const blockedListeners = new Set();
+
+export const subscribeBlocked = (fn) => {
+  blockedListeners.add(fn);
+  fn(blocked);
+  return () => blockedListeners.delete(fn);
+};
+
+const setBlocked = (value) => {
+  blocked = value;
+  blockedListeners.forEach((fn) => fn(value));
+};
+
+// ===== IndexedDB backend =====
+const request = (r) => new Promise((resolve, reject) => {
+  r.onsuccess = () => resolve(r.result);
+  r.onerror = () => reject(r.error);
+});
+
+const txDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+// Adds (sign 1) or takes back (sign -1) a session's share of its day
+const tally = (delta, e, sign) => {
+  const day = focusDay(e);
+  if (!day) return;
+  const totals = delta.get(day) || { seconds: 0, blocks: 0 };
+  totals.seconds += sign * (Number(e.duration) || 0);
+  totals.blocks += sign;
+  delta.set(day, totals);
+};
+
+const applyDays = (days, delta) => delta.forEach((change, day) => {
+  const r = days.get(day);
+  r.onsuccess = () => {
+    const old = r.result || { day, seconds: 0, blocks: 0 };
+    const next = { day, seconds: old.seconds + change.seconds, blocks: old.blocks + change.blocks };
+    if (next.blocks > 0) days.put(next);
+    else days.delete(day);
+  };
+});
+
+const idbBackend = (db) => {
+  const store = (name, mode = "readonly") => db.transaction(name, mode).objectStore(name);
+
+  // Replaces/removes the sessions with `ids`, then stores `entries`, moving
+  // the day totals along in the same transaction
+  const writeSessions = (ids, entries) => {
+    const tx = db.transaction(["sessions", "days"], "readwrite");
+    const sessions = tx.objectStore("sessions");
+    const delta = new Map();
+    let pending = ids.length;
+    const apply = () => {
+      ids.forEach((id) => sessions.delete(id));
+      entries.forEach((e) => {
+        sessions.put(e);
+        tally(delta, e, 1);
+      });
+      applyDays(tx.objectStore("days"), delta);
+    };
+    ids.forEach((id) => {
+      const r = sessions.get(id);
+      r.onsuccess = () => {
+        tally(delta, r.result, -1);
+        if (--pending === 0) apply();
+      };
+    });
+    if (!pending) apply();
+    return txDone(tx);
+  };
+
+  return {
+    getAll: () => request(store("sessions").index("start").getAll()).then((rows) => rows.reverse()),
+
+    getPage: ({ offset, limit }) => new Promise((resolve, reject) => {
+      const rows = [];
+      let skipped = offset === 0;
+      const r = store("sessions").index("start").openCursor(null, "prev");
+      r.onerror = () => reject(r.error);
+      r.onsuccess = () => {
+        const cursor = r.result;
+        if (!cursor || rows.length >= limit) return resolve(rows);
+        if (!skipped) {
+          skipped = true;
+          return cursor.advance(offset);
+        }
+        rows.push(cursor.value);
+        cursor.continue();
+      };
+    }),
+
+    getRange: (from, to) =>
+      request(store("sessions").index("start").getAll(IDBKeyRange.bound(from, to))).then((rows) => rows.reverse()),
+
+    getByTask: (task) => request(store("sessions").index("task").getAll(task)),
+
+    // Through the index, like getPage: records without a start aren't in it
+    count: () => request(store("sessions").index("start").count()),
+
+    getDays: () => request(store("days").getAll()),
+
+    put: (entries) => {
+      const latest = [...new Map(entries.map((e) => [e.id, e])).values()]; // counted once each
+      return writeSessions(latest.map((e) => e.id), latest);
+    },
+
+    remove: (id) => writeSessions([id], []),
+
+    clear: () => {
+      const tx = db.transaction(["sessions", "days"], "readwrite");
+      tx.objectStore("sessions").clear();
+      tx.objectStore("days").clear();
+      return txDone(tx);
+    },
+
+    kvGet: (key) => request(store("kv").get(key)),
+
+    kvSet: (key, value) => {
+      const tx = db.transaction("kv", "readwrite");
+      tx.objectStore("kv").put(value, key);
+      return txDone(tx);
+    },
+
+    persistent: true,
+  };
+};
+
+const openIDB = () => new Promise((resolve, reject) => {
+  const r = indexedDB.open(DB_NAME, DB_VERSION);
+  r.onupgradeneeded = (event) => {
+    const db = r.result;
+    if (event.oldVersion < 1) {
+      const sessions = db.createObjectStore("sessions", { keyPath: "id" });
+      sessions.createIndex("start", "start");
+      sessions.createIndex("task", "task");
+      db.createObjectStore("kv");
+    }
+    if (event.oldVersion < 2) {
+      const days = db.createObjectStore("days", { keyPath: "day" });
+      // totals for the log we already have, read once here
+      const delta = new Map();
+      const cursor = r.transaction.objectStore("sessions").openCursor();
+      cursor.onsuccess = () => {
+        if (!cursor.result) return applyDays(days, delta);
+        tally(delta, cursor.result.value, 1);
+        cursor.result.continue();
+      };
+    }
+  };
+  r.onsuccess = () => {
+    const db = r.result;
+    // a newer version opened in another tab: step aside so it can upgrade
+    db.onversionchange = () => db.close();
+    setBlocked(false);
+    resolve(db);
+  };
+  r.onerror = () => reject(r.error);
+  r.onblocked = () => setBlocked(true);
+});
+
+// ===== Fallback backend (memory + localStorage mirror) =====
+const readLS = (key, initial) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : initial;
+  } catch {
+    return initial;
+  }
+};
+
+// Once the log has moved to IndexedDB, fb_log is gone, so a visit that has
+// to fall back starts out empty. What it records is kept in fb_log and moves
+// over with the next migration.
+const memoryBackend = () => {
+  const sessions = new Map(readLS("fb_log", []).map((e) => [e.id, e]));
+  const kv = new Map();
+  const sorted = () => [...sessions.values()].sort((a, b) => b.start - a.start);
+  // like the "start" index: records without a start aren't paged or counted
+  const paged = () => sorted().filter((e) => e.start != null);
+  const save = () => {
+    try { localStorage.setItem("fb_log", JSON.stringify(sorted())); } catch { }
+  };
+
+  return {
+    getAll: async () => sorted(),
+    getPage: async ({ offset, limit }) => paged().slice(offset, offset + limit),
+    getRange: async (from, to) => sorted().filter((e) => e.start >= from && e.start <= to),
+    getByTask: async (task) => sorted().filter((e) => e.task === task),
+    count: async () => paged().length,
+    getDays: async () => focusDays([...sessions.values()]),
+    put: async (entries) => { entries.forEach((e) => sessions.set(e.id, e)); save(); },
+    remove: async (id) => { sessions.delete(id); save(); },
+    clear: async () => { sessions.clear(); save(); },
+    kvGet: async (key) => (kv.has(key) ? kv.get(key) : readLS(`fb_${key}`, undefined)),
+    kvSet: async (key, value) => {
+      kv.set(key, value);
+      try { localStorage.setItem(`fb_${key}`, JSON.stringify(value)); } catch { }
+    },
+    persistent: false,
+  };
+};
+
+// ===== Migration =====
+// Moves the old localStorage keys into IndexedDB once. fb_log is picked up
+// again whenever it's there, i.e. after a visit that had to fall back. The
+// keys are only removed after the data is safely committed.
+const migrate = async (backend) => {
+  if (!backend.persistent) return;
+  const firstRun = !(await backend.kvGet(MIGRATED_KEY));
+
+  const oldLog = readLS("fb_log", []);
+  if (Array.isArray(oldLog) && oldLog.length) {
+    await backend.put(oldLog.filter((e) => e && e.id != null).map((e) => ({ ...e, id: String(e.id) })));
+  }
+  if (firstRun) {
+    const oldTodos = readLS("fb_todos_current", null);
+    if (Array.isArray(oldTodos) && (await backend.kvGet("todos_current")) === undefined) {
+      await backend.kvSet("todos_current", oldTodos);
+    }
+    await backend.kvSet(MIGRATED_KEY, Date.now());
+  }
+
+  try {
+    localStorage.removeItem("fb_log");
+    if (firstRun) localStorage.removeItem("fb_todos_current");
+  } catch { }
+};
+
+// ===== Public API =====
+let backendPromise = null;
+
+// Opens (and migrates) the store once; safe to call repeatedly
+export const openSessionStore = () => {
+  if (!backendPromise) {
+    backendPromise = (async () => {
+      let backend;
+      try {
+        backend = window.indexedDB ? idbBackend(await openIDB()) : memoryBackend();
+      } catch {
+        backend = memoryBackend();
+      }
+      await migrate(backend);
+      return backend;
+    })();
+  }
+  return backendPromise;
+};
+
+const withStore = (fn) => openSessionStore().then(fn);
+const write = (fn) => withStore(fn).then((result) => {
+  notify();
+  broadcast({ type: "sessions-changed" });
+  return result;
+});
+
+export const getAllSessions = () => withStore((b) => b.getAll());
+
+// Newest first; returns one window of the log plus the total count
+export const getSessionsPage = ({ offset = 0, limit = 25 } = {}) =>
+  withStore(async (b) => ({ rows: await b.getPage({ offset, limit }), total: await b.count() }));
+
+// Sessions that started within [from, to] (ms timestamps), newest first
+export const getSessionsInRange = (from, to) => withStore((b) => b.getRange(from, to));
+
+export const getSessionsByTask = (task) => withStore((b) => b.getByTask(task));
+
+// Completed focus per local day (the day it ended, as it was when logged):
+// [{ day: "YYYY-MM-DD", seconds, blocks }], see ./goals
+export const getFocusDays = () => withStore((b) => b.getDays());
+
+export const addSession = (entry) => write((b) => b.put([entry]));
+
+export const putSessions = (entries) => write((b) => b.put(entries));
+
+export const deleteSession = (id) => write((b) => b.remove(id));
+
+export const clearSessions = () => write((b) => b.clear());
+
+export const getStoredValue = (key) => withStore((b) => b.kvGet(key));
+
+export const setStoredValue = (key, value) => withStore((b) => b.kvSet(key, value));
@@ -0,0 +1,169 @@
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { deserialize, serialize } from 'v8';
+
+const entry = (id, start, extra = {}) => ({
+  id, phase: 'focus', task: `task ${id}`, start, end: start + 60e3, duration: 60, reason: 'completed', todos: [], ...extra,
+});
+
+// A fresh copy of the module, i.e. a page load with whatever storage is there
+const load = () => {
+  let store;
+  jest.isolateModules(() => {
+    store = require('./sessionStore');
+  });
+  return store;
+};
+
+beforeEach(() => localStorage.clear());
+
+describe('without IndexedDB', () => {
+  test('pages through the log newest first and mirrors it to localStorage', async () => {
+    const store = load();
+    await store.putSessions([1, 2, 3, 4, 5].map((n) => entry(`s${n}`, n * 1000)));
+
+    expect(await store.getSessionsPage({ offset: 0, limit: 2 })).toEqual({
+      rows: [entry('s5', 5000), entry('s4', 4000)],
+      total: 5,
+    });
+    const { rows } = await store.getSessionsPage({ offset: 4, limit: 2 });
+    expect(rows.map((e) => e.id)).toEqual(['s1']);
+    expect(JSON.parse(localStorage.getItem('fb_log'))).toHaveLength(5);
+
+    // the next load picks the log up again
+    expect(await load().getAllSessions()).toHaveLength(5);
+
+    // like IndexedDB's index, an entry without a start is neither paged nor counted
+    await store.putSessions([entry('nostart', undefined)]);
+    const all = await store.getSessionsPage({ offset: 0, limit: 10 });
+    expect(all.rows.map((e) => e.id)).toEqual(['s5', 's4', 's3', 's2', 's1']);
+    expect(all.total).toBe(5);
+  });
+
+  test('works the focus per day out from the log', async () => {
+    const store = load();
+    const noon = new Date(2024, 4, 8, 12).getTime();
+    await store.putSessions([entry('a', noon, { duration: 1500 }), entry('b', noon, { duration: 600, reason: 'reset' })]);
+    expect(await store.getFocusDays()).toEqual([{ day: '2024-05-08', seconds: 1500, blocks: 1 }]);
+  });
+});
+
+describe('with IndexedDB', () => {
+  beforeEach(() => {
+    window.indexedDB = new IDBFactory();
+    window.IDBKeyRange = IDBKeyRange;
+    // jsdom doesn't expose it, and fake-indexeddb clones records with it
+    window.structuredClone = (value) => deserialize(serialize(value));
+  });
+
+  afterEach(() => {
+    delete window.indexedDB;
+    delete window.IDBKeyRange;
+    delete window.structuredClone;
+  });
+
+  test('moves the old localStorage log and checklist over once', async () => {
+    localStorage.setItem('fb_log', JSON.stringify([entry(7, 1000), { task: 'no id' }]));
+    localStorage.setItem('fb_todos_current', JSON.stringify([{ id: 1, text: 'Draft' }]));
+
+    const store = load();
+    expect((await store.getAllSessions()).map((e) => e.id)).toEqual(['7']);
+    expect(await store.getStoredValue('todos_current')).toEqual([{ id: 1, text: 'Draft' }]);
+    expect(localStorage.getItem('fb_log')).toBeNull();
+    expect(localStorage.getItem('fb_todos_current')).toBeNull();
+
+    // a later checklist in localStorage isn't the old one; leave it alone
+    localStorage.setItem('fb_todos_current', JSON.stringify([]));
+    expect(await load().getStoredValue('todos_current')).toEqual([{ id: 1, text: 'Draft' }]);
+    expect(localStorage.getItem('fb_todos_current')).toBe('[]');
+  });
+
+  test('sessions logged while it had to fall back move over on the next load', async () => {
+    await load().putSessions([entry('a', 1000)]);
+    // what the fallback leaves behind after a visit without IndexedDB
+    localStorage.setItem('fb_log', JSON.stringify([entry('b', 2000)]));
+
+    expect((await load().getAllSessions()).map((e) => e.id)).toEqual(['b', 'a']);
+    expect(localStorage.getItem('fb_log')).toBeNull();
+  });
+
+  test('pages and counts the same records', async () => {
+    const store = load();
+    await store.putSessions([...[1, 2, 3].map((n) => entry(`s${n}`, n * 1000)), entry('nostart', undefined)]);
+
+    const first = await store.getSessionsPage({ offset: 0, limit: 2 });
+    expect(first.rows.map((e) => e.id)).toEqual(['s3', 's2']);
+    expect(first.total).toBe(3);
+    expect((await store.getSessionsPage({ offset: 2, limit: 2 })).rows.map((e) => e.id)).toEqual(['s1']);
+    expect((await store.getSessionsInRange(1500, 3000)).map((e) => e.id)).toEqual(['s3', 's2']);
+  });
+
+  test('keeps the focus per day in step with the log', async () => {
+    const noon = new Date(2024, 4, 8, 12).getTime();
+    const store = load();
+    await store.putSessions([
+      entry('a', noon, { duration: 1500 }),
+      entry('b', noon + 3600e3, { duration: 1500 }),
+      entry('skipped', noon, { duration: 600, reason: 'skipped' }),
+      entry('break', noon, { duration: 300, phase: 'break' }),
+    ]);
+    expect(await store.getFocusDays()).toEqual([{ day: '2024-05-08', seconds: 3000, blocks: 2 }]);
+
+    // edited, moved to the day before, deleted
+    await store.putSessions([entry('a', noon, { duration: 1200 }), entry('b', noon - 86400e3, { duration: 1500 })]);
+    expect(await store.getFocusDays()).toEqual([
+      { day: '2024-05-07', seconds: 1500, blocks: 1 },
+      { day: '2024-05-08', seconds: 1200, blocks: 1 },
+    ]);
+    await store.deleteSession('b');
+    expect(await store.getFocusDays()).toEqual([{ day: '2024-05-08', seconds: 1200, blocks: 1 }]);
+    await store.clearSessions();
+    expect(await store.getFocusDays()).toEqual([]);
+  });
+
+  test('waits for an older tab to let go of the database, and lets go for a newer one', async () => {
+    const old = await new Promise((resolve) => {
+      const r = indexedDB.open('focusblocks', 1);
+      r.onupgradeneeded = () => {
+        r.result.createObjectStore('sessions', { keyPath: 'id' }).createIndex('start', 'start');
+        r.result.createObjectStore('kv');
+      };
+      r.onsuccess = () => resolve(r.result);
+    });
+    const store = load();
+    const blocked = [];
+    store.subscribeBlocked((b) => blocked.push(b));
+    const opened = store.openSessionStore();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(blocked).toEqual([false, true]);
+
+    old.close();
+    expect((await opened).persistent).toBe(true);
+    expect(blocked).toEqual([false, true, false]);
+
+    // a later version of the app asks for the upgrade
+    await new Promise((resolve, reject) => {
+      const r = indexedDB.open('focusblocks', 3);
+      r.onsuccess = () => resolve(r.result.close());
+      r.onblocked = () => reject(new Error('blocked'));
+    });
+  });
+
+  test('works the day totals out for a log stored before they were kept', async () => {
+    const noon = new Date(2024, 4, 8, 12).getTime();
+    const db = await new Promise((resolve) => {
+      const r = indexedDB.open('focusblocks', 1);
+      r.onupgradeneeded = () => {
+        const sessions = r.result.createObjectStore('sessions', { keyPath: 'id' });
+        sessions.createIndex('start', 'start');
+        sessions.createIndex('task', 'task');
+        r.result.createObjectStore('kv');
+        sessions.put(entry('a', noon, { duration: 1500 }));
+        sessions.put(entry('b', noon, { duration: 900 }));
+      };
+      r.onsuccess = () => resolve(r.result);
+    });
+    db.close();
+
+    expect(await load().getFocusDays()).toEqual([{ day: '2024-05-08', seconds: 2400, blocks: 2 }]);
+  });
+});
@@ -3,3 +3,37 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom has no Web Audio: every test gets this stand-in, which records the
+// oscillators started – `played` ({ type, freq }) and `startedAt` (on the
+// audio clock). Tests that need more extend it (see audio.test.js).
+class FakeAudioContext {
+  static played = [];
+  static startedAt = [];
+  currentTime = 0;
+  sampleRate = 8000;
+  destination = {};
+  createGain() {
+    return { gain: { value: 1 }, connect() {} };
+  }
+  createOscillator() {
+    const osc = {
+      frequency: {},
+      connect() {},
+      start: (at) => {
+        FakeAudioContext.played.push({ type: osc.type, freq: osc.frequency.value });
+        FakeAudioContext.startedAt.push(at);
+      },
+      stop() {},
+    };
+    return osc;
+  }
+}
+
+window.AudioContext = FakeAudioContext;
+
+beforeEach(() => {
+  FakeAudioContext.played.length = 0;
+  FakeAudioContext.startedAt.length = 0;
+  window.AudioContext = FakeAudioContext;
+});
@@ -0,0 +1,72 @@
+// =====================
+// Keyboard shortcuts
+// - a binding is a key combo string: "Space", "S", "Ctrl+K", "Shift+ArrowUp"…
+//   (⌘ on macOS counts as Ctrl, so one binding works everywhere)
+// - fb_shortcuts only stores the user's overrides; null means "unbound"
+// - single-key shortcuts are ignored while typing in a field, combos with
+//   Ctrl/Alt still work there (Ctrl+K opens the palette from anywhere)
+// =====================
+
+export const SHORTCUT_ACTIONS = [
+  { id: "toggle", label: "Start / pause", key: "Space" },
+  { id: "skip", label: "Skip to the next phase", key: "S" },
+  { id: "reset", label: "Reset the timer", key: "R" },
+  { id: "newTodo", label: "New todo", key: "N" },
+  { id: "editTask", label: "Edit the focus task", key: "T" },
+  { id: "phase:focus", label: "Switch to Focus", key: "1" },
+  { id: "phase:break", label: "Switch to Break", key: "2" },
+  { id: "phase:longBreak", label: "Switch to Long Break", key: "3" },
+  { id: "openLog", label: "Open the session log", key: "L" },
+  { id: "palette", label: "Command palette", key: "Ctrl+K" },
+  { id: "help", label: "Keyboard shortcuts", key: "?" },
+];
+
+export const DEFAULT_BINDINGS = Object.fromEntries(SHORTCUT_ACTIONS.map((a) => [a.id, a.key]));
+
+export const resolveBindings = (saved) => ({ ...DEFAULT_BINDINGS, ...saved });
+
+const MODIFIER_KEYS = ["Control", "Shift", "Alt", "Meta", "CapsLock", "Dead"];
+
+// KeyboardEvent → combo string, or null for a bare modifier press
+export const comboFromEvent = (e) => {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+  const key = e.key === " " ? "Space" : e.key.length === 1 ? e.key.toUpperCase() : e.key;
+  const mods = [];
+  if (e.ctrlKey || e.metaKey) mods.push("Ctrl");
+  if (e.altKey) mods.push("Alt");
+  // "?" already implies Shift, but Shift+Space / Shift+ArrowUp don't
+  if (e.shiftKey && (e.key.length > 1 || e.key === " ")) mods.push("Shift");
+  return [...mods, key].join("+");
+};
+
+export const actionForCombo = (bindings, combo) =>
+  Object.keys(bindings).find((id) => bindings[id] && bindings[id] === combo) || null;
+
+// Binding `combo` to `id` takes it away from whatever action had it
+export const rebind = (saved, id, combo) => {
+  const bindings = resolveBindings(saved);
+  const next = { ...saved, [id]: combo };
+  const taken = combo && Object.keys(bindings).find((other) => other !== id && bindings[other] === combo);
+  if (taken) next[taken] = null;
+  // don't store overrides that match the default
+  Object.keys(next).forEach((k) => next[k] === DEFAULT_BINDINGS[k] && delete next[k]);
+  return next;
+};
+
+const isPlainKey = (combo) => !/^(Ctrl|Alt)\+/.test(combo);
+
+// Whether the focused element handles this key itself: fields take every
+// plain key (typing), buttons and links take Space/Enter (activation)
+export const elementOwnsKey = (el, combo) => {
+  if (!el) return false;
+  if (el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName)) return isPlainKey(combo);
+  return ["BUTTON", "A", "SUMMARY"].includes(el.tagName) && (combo === "Space" || combo === "Enter");
+};
+
+export const formatCombo = (combo) => (combo ? combo.split("+").join(" + ") : "—");
+
+// Case-insensitive "all words appear" match for the palette
+export const matchesQuery = (text, query) => {
+  const haystack = text.toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every((w) => haystack.includes(w));
+};
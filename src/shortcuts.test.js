@@ -0,0 +1,70 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import App from './App';
+import { DEFAULT_BINDINGS, actionForCombo, comboFromEvent, elementOwnsKey, rebind, resolveBindings } from './shortcuts';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('key events become combo strings', () => {
+  expect(comboFromEvent({ key: ' ' })).toBe('Space');
+  expect(comboFromEvent({ key: 's' })).toBe('S');
+  expect(comboFromEvent({ key: 'k', metaKey: true })).toBe('Ctrl+K');
+  expect(comboFromEvent({ key: '?', shiftKey: true })).toBe('?');
+  expect(comboFromEvent({ key: 'ArrowUp', shiftKey: true })).toBe('Shift+ArrowUp');
+  expect(comboFromEvent({ key: 'Shift', shiftKey: true })).toBeNull();
+});
+
+test('rebinding steals the key from its previous action and keeps defaults out of storage', () => {
+  let saved = rebind({}, 'skip', 'N');
+  expect(saved).toEqual({ skip: 'N', newTodo: null });
+  expect(actionForCombo(resolveBindings(saved), 'N')).toBe('skip');
+  expect(actionForCombo(resolveBindings(saved), 'S')).toBeNull();
+  saved = rebind(saved, 'skip', DEFAULT_BINDINGS.skip);
+  expect(saved).toEqual({ newTodo: null });
+});
+
+test('fields keep plain keys, buttons keep Space', () => {
+  const input = document.createElement('input');
+  const button = document.createElement('button');
+  expect(elementOwnsKey(input, 'S')).toBe(true);
+  expect(elementOwnsKey(input, 'Ctrl+K')).toBe(false);
+  expect(elementOwnsKey(button, 'Space')).toBe(true);
+  expect(elementOwnsKey(button, 'S')).toBe(false);
+  expect(elementOwnsKey(document.body, 'Space')).toBe(false);
+});
+
+test('Space starts and pauses, Ctrl+K runs any command', async () => {
+  render(<App />);
+  await screen.findByText('Start');
+  fireEvent.keyDown(document.body, { key: ' ' });
+  expect(screen.getByText('Pause')).toBeInTheDocument();
+  fireEvent.keyDown(document.body, { key: ' ' });
+  expect(screen.getByText('Start')).toBeInTheDocument();
+
+  fireEvent.keyDown(document.body, { key: 'n' });
+  expect(screen.getByPlaceholderText('Add a todo and press Enter')).toHaveFocus();
+  const todoInput = screen.getByPlaceholderText('Add a todo and press Enter');
+  fireEvent.keyDown(todoInput, { key: 's' }); // typing, not skipping
+  expect(screen.getByText('Start')).toBeInTheDocument();
+
+  fireEvent.keyDown(todoInput, { key: 'k', ctrlKey: true });
+  const palette = screen.getByRole('dialog', { name: 'Command palette' });
+  fireEvent.change(within(palette).getByRole('combobox'), { target: { value: 'deep work' } });
+  fireEvent.keyDown(within(palette).getByRole('combobox'), { key: 'Enter' });
+  expect(screen.queryByRole('dialog')).toBeNull();
+  expect(screen.getByLabelText('Timer preset')).toHaveValue('deep');
+});
+
+test('the help overlay records a new binding', async () => {
+  render(<App />);
+  await screen.findByText('Start');
+  fireEvent.keyDown(document.body, { key: '?', shiftKey: true });
+  fireEvent.click(screen.getByLabelText('Change shortcut for Start / pause'));
+  fireEvent.keyDown(window, { key: 'p' });
+  expect(JSON.parse(localStorage.getItem('fb_shortcuts'))).toEqual({ toggle: 'P' });
+
+  fireEvent.click(screen.getByLabelText('Close'));
+  fireEvent.keyDown(document.body, { key: 'p' });
+  expect(screen.getByText('Pause')).toBeInTheDocument();
+});
@@ -0,0 +1,184 @@
+// =====================
+// Statistics computed from the session log
+// Everything is bucketed by the user's LOCAL calendar days (Date getters,
+// never UTC), and sessions that cross midnight are split across both days.
+// Weeks start on Monday.
+// =====================
+
+const pad = (n) => String(n).padStart(2, "0");
+
+export const dayKey = (ms) => {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+export const startOfDay = (ms) => {
+  const d = new Date(ms);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+};
+
+// Next local midnight – not `+ DAY_MS`, which breaks on DST changes
+export const addDays = (ms, n) => {
+  const d = new Date(ms);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + n).getTime();
+};
+
+export const startOfWeek = (ms) => {
+  const d = new Date(ms);
+  const offset = (d.getDay() + 6) % 7; // Monday = 0
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() - offset).getTime();
+};
+
+export const startOfMonth = (ms) => {
+  const d = new Date(ms);
+  return new Date(d.getFullYear(), d.getMonth(), 1).getTime();
+};
+
+// "1h 05m" / "25m" / "40s"
+export const fmtHM = (sec = 0) => {
+  const s = Math.round(sec);
+  if (s < 60) return `${s}s`;
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  return h ? `${h}h ${pad(m)}m` : `${m}m`;
+};
+
+// Spread a session's active seconds over the local days it touched
+const addToDays = (byDay, e) => {
+  const start = Number(e.start);
+  const end = Math.max(start, Number(e.end));
+  const span = end - start;
+  if (!span) {
+    byDay.set(dayKey(end), (byDay.get(dayKey(end)) || 0) + e.duration);
+    return;
+  }
+  for (let t = start; t < end; ) {
+    const next = Math.min(end, addDays(t, 1));
+    const key = dayKey(t);
+    byDay.set(key, (byDay.get(key) || 0) + (e.duration * (next - t)) / span);
+    t = next;
+  }
+};
+
+const sumDays = (byDay, from, to) => {
+  let total = 0;
+  for (let t = startOfDay(from); t <= to; t = addDays(t, 1)) total += byDay.get(dayKey(t)) || 0;
+  return total;
+};
+
+// Longest run of consecutive days in a (sorted) list of day keys
+const streaks = (keys, now) => {
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  for (const key of keys) {
+    run = prev && dayKey(addDays(prev, 1)) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    const [y, m, d] = key.split("-").map(Number);
+    prev = new Date(y, m - 1, d).getTime();
+  }
+  // the current streak may still be extended today, so yesterday counts too
+  const last = keys[keys.length - 1];
+  const alive = last === dayKey(now) || last === dayKey(addDays(now, -1));
+  return { longest, current: alive ? run : 0 };
+};
+
+// Share of a session's wall-clock span that was actually focused (0–1)
+export const sessionQuality = (e) => {
+  const span = (e.end - e.start) / 1000;
+  return span > 0 ? Math.min(1, e.duration / span) : 1;
+};
+
+// Focus quality across sessions that recorded their pauses (older entries
+// didn't, so they're left out rather than counted as perfect)
+const focusQuality = (focus) => {
+  const tracked = focus.filter((e) => Array.isArray(e.pauses));
+  if (!tracked.length) return null;
+  const active = tracked.reduce((s, e) => s + e.duration, 0);
+  const span = tracked.reduce((s, e) => s + Math.max(0, e.end - e.start) / 1000, 0);
+  const pauses = tracked.flatMap((e) => e.pauses);
+  return {
+    score: span > 0 ? Math.min(1, active / span) : 1,
+    sessions: tracked.length,
+    interruptions: pauses.length,
+    perHour: active > 0 ? pauses.length / (active / 3600) : 0,
+    uninterrupted: tracked.filter((e) => e.pauses.length === 0).length / tracked.length,
+    internal: pauses.filter((p) => p.reason === "internal").length,
+    external: pauses.filter((p) => p.reason === "external").length,
+  };
+};
+
+export const computeStats = (log, now = Date.now()) => {
+  const focus = log.filter((e) => e.phase === "focus");
+
+  const byDay = new Map();
+  focus.forEach((e) => addToDays(byDay, e));
+
+  const counts = { completed: 0, reset: 0, skipped: 0 };
+  focus.forEach((e) => {
+    const reason = e.reason || "completed";
+    counts[reason] = (counts[reason] || 0) + 1;
+  });
+
+  const totalSec = focus.reduce((s, e) => s + e.duration, 0);
+
+  // Per preset, so rhythms can be compared (entries before presets, or with
+  // edited settings: name null, shown as "Custom")
+  const byPreset = new Map();
+  focus.forEach((e) => {
+    const name = e.preset ? e.preset.name : null;
+    const row = byPreset.get(name) || { name, sessions: 0, completed: 0, seconds: 0 };
+    row.sessions += 1;
+    row.seconds += e.duration;
+    if ((e.reason || "completed") === "completed") row.completed += 1;
+    byPreset.set(name, row);
+  });
+
+  // Per project (snapshot on the entry, latest name/color wins) and per tag.
+  // A session with several tags counts in full towards each of them.
+  const byProject = new Map();
+  const byTag = new Map();
+  const addTo = (map, key, fields, e) => {
+    const row = map.get(key) || { ...fields, sessions: 0, seconds: 0 };
+    row.sessions += 1;
+    row.seconds += e.duration;
+    map.set(key, row);
+  };
+  [...focus].sort((a, b) => b.end - a.end).forEach((e) => {
+    const p = e.project;
+    addTo(byProject, p ? p.id : null, p ? { id: p.id, name: p.name, color: p.color } : { id: null, name: null, color: null }, e);
+    const tags = e.tags && e.tags.length ? e.tags : [null];
+    tags.forEach((tag) => addTo(byTag, tag, { tag }, e));
+  });
+
+  const completedDays = [...new Set(
+    focus.filter((e) => (e.reason || "completed") === "completed").map((e) => dayKey(e.end))
+  )].sort();
+
+  return {
+    byDay,
+    today: byDay.get(dayKey(now)) || 0,
+    week: sumDays(byDay, startOfWeek(now), now),
+    month: sumDays(byDay, startOfMonth(now), now),
+    total: totalSec,
+    counts,
+    sessions: focus.length,
+    average: focus.length ? totalSec / focus.length : 0,
+    streak: streaks(completedDays, now),
+    byPreset: [...byPreset.values()].sort((a, b) => b.seconds - a.seconds),
+    byProject: [...byProject.values()].sort((a, b) => b.seconds - a.seconds),
+    byTag: [...byTag.values()].sort((a, b) => b.seconds - a.seconds),
+    quality: focusQuality(focus),
+  };
+};
+
+// Columns of 7 days (Mon → Sun) ending with the current week
+export const heatmapWeeks = (byDay, weeks = 18, now = Date.now()) => {
+  const first = addDays(startOfWeek(now), -7 * (weeks - 1));
+  return Array.from({ length: weeks }, (_, w) =>
+    Array.from({ length: 7 }, (_, d) => {
+      const t = addDays(first, w * 7 + d);
+      return { key: dayKey(t), date: t, seconds: byDay.get(dayKey(t)) || 0, future: t > now };
+    })
+  );
+};
@@ -0,0 +1,59 @@
+import { computeStats, dayKey } from './stats';
+
+const at = (d, h, m = 0) => new Date(2025, 2, d, h, m).getTime(); // March 2025, local time
+const focus = (start, end, reason = 'completed') => ({
+  id: `${end}`, phase: 'focus', task: 't', start, end, duration: (end - start) / 1000, reason, todos: [],
+});
+
+test('a session crossing local midnight is split across both days', () => {
+  const { byDay } = computeStats([focus(at(3, 23, 30), at(4, 0, 30))], at(4, 12));
+  expect(byDay.get(dayKey(at(3, 12)))).toBe(30 * 60);
+  expect(byDay.get(dayKey(at(4, 12)))).toBe(30 * 60);
+});
+
+test('counts reasons and tracks streaks of days with a completed block', () => {
+  const log = [
+    focus(at(1, 9), at(1, 9, 25)),
+    focus(at(2, 9), at(2, 9, 25)),
+    focus(at(3, 9), at(3, 9, 10), 'reset'), // breaks the streak
+    focus(at(5, 9), at(5, 9, 25)),
+    focus(at(6, 9), at(6, 9, 5), 'skipped'),
+    focus(at(6, 10), at(6, 10, 25)),
+    { ...focus(at(6, 11), at(6, 11, 5)), phase: 'break' },
+  ];
+  const stats = computeStats(log, at(6, 18));
+  expect(stats.counts).toEqual({ completed: 4, reset: 1, skipped: 1 });
+  expect(stats.streak).toEqual({ longest: 2, current: 2 });
+  expect(stats.today).toBe(30 * 60);
+  expect(stats.average).toBe((25 * 4 + 10 + 5) * 60 / 6);
+});
+
+test('focus quality only looks at sessions that tracked their pauses', () => {
+  const paused = {
+    ...focus(at(2, 9), at(2, 10)),
+    duration: 45 * 60,
+    pauses: [
+      { from: at(2, 9, 10), to: at(2, 9, 20), reason: 'external' },
+      { from: at(2, 9, 30), to: at(2, 9, 35), reason: null },
+    ],
+  };
+  const clean = { ...focus(at(3, 9), at(3, 9, 15)), pauses: [] };
+  const { quality } = computeStats([paused, clean, focus(at(1, 9), at(1, 9, 25))], at(3, 18));
+  expect(quality.sessions).toBe(2);
+  expect(quality.score).toBeCloseTo(60 / 75);
+  expect(quality.interruptions).toBe(2);
+  expect(quality.perHour).toBeCloseTo(2);
+  expect(quality.uninterrupted).toBe(0.5);
+  expect(quality).toMatchObject({ internal: 0, external: 1 });
+  expect(computeStats([focus(at(1, 9), at(1, 9, 25))]).quality).toBeNull();
+});
+
+test('sessions without a preset or project are grouped under no name', () => {
+  const log = [
+    { ...focus(at(1, 9), at(1, 9, 25)), preset: { id: 'classic', name: 'Classic 25/5' }, project: { id: 'p1', name: 'Site', color: '#f00' } },
+    focus(at(1, 10), at(1, 10, 25)),
+  ];
+  const stats = computeStats(log, at(1, 18));
+  expect(stats.byPreset.map((p) => p.name)).toEqual(['Classic 25/5', null]);
+  expect(stats.byProject.map((p) => [p.id, p.name])).toEqual([[null, null], ['p1', 'Site']]);
+});
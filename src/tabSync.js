@@ -0,0 +1,92 @@
+import { useEffect, useState } from "react";
+
+// =====================
+// Multi-tab coordination
+// - Settings & timer state are mirrored through localStorage `storage`
+//   events (see useLocalStorage); this module adds the rest:
+// - a BroadcastChannel for state kept in IndexedDB (checklist, session log)
+// - a heartbeat lease so exactly one tab owns the running timer, i.e. is the
+//   one that finalizes & logs phases when a deadline passes. If that tab
+//   closes or freezes, the lease expires and another tab takes over.
+// =====================
+
+export const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// ===== BroadcastChannel =====
+const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel("focusblocks") : null;
+const handlers = new Set();
+
+if (channel) channel.onmessage = (e) => handlers.forEach((fn) => fn(e.data || {}));
+
+export const broadcast = (message) => {
+  if (channel) channel.postMessage(message);
+};
+
+export const subscribeTabs = (fn) => {
+  handlers.add(fn);
+  return () => handlers.delete(fn);
+};
+
+// ===== Timer ownership lease =====
+// Background tabs get their timers throttled to about once a minute, so the
+// lease outlives a throttled heartbeat. A visible tab doesn't wait for that:
+// it takes over a lease held by a hidden tab (which may well be frozen).
+const LEASE_KEY = "fb_timer_owner";
+const HEARTBEAT_MS = 2000;
+const LEASE_MS = 75 * 1000;
+
+const readLease = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LEASE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+// Take (or renew) the lease unless another live tab holds it
+export const claimTimer = () => {
+  const lease = readLease();
+  const live = lease && Date.now() - lease.at < LEASE_MS;
+  if (live && lease.id !== TAB_ID && !(lease.hidden && !document.hidden)) return false;
+  try {
+    localStorage.setItem(LEASE_KEY, JSON.stringify({ id: TAB_ID, at: Date.now(), hidden: document.hidden }));
+  } catch {
+    return true; // no storage, no other tabs to worry about
+  }
+  // re-read: if two tabs raced, the last write wins and the other backs off
+  const mine = readLease();
+  return !mine || mine.id === TAB_ID;
+};
+
+const releaseTimer = () => {
+  const lease = readLease();
+  if (lease && lease.id === TAB_ID) localStorage.removeItem(LEASE_KEY);
+};
+
+export const useTimerOwnership = () => {
+  const [isOwner, setIsOwner] = useState(false);
+
+  useEffect(() => {
+    const beat = () => setIsOwner(claimTimer());
+    const onStorage = (e) => {
+      if (e.key === LEASE_KEY) beat();
+    };
+
+    beat();
+    const id = setInterval(beat, HEARTBEAT_MS);
+    window.addEventListener("storage", onStorage);
+    window.addEventListener("pagehide", releaseTimer);
+    // coming back to the foreground takes over from a hidden owner; going to
+    // the background marks our lease as up for grabs
+    document.addEventListener("visibilitychange", beat);
+    return () => {
+      clearInterval(id);
+      window.removeEventListener("storage", onStorage);
+      window.removeEventListener("pagehide", releaseTimer);
+      document.removeEventListener("visibilitychange", beat);
+      releaseTimer();
+    };
+  }, []);
+
+  return isOwner;
+};
@@ -0,0 +1,84 @@
+import { act, renderHook } from '@testing-library/react';
+import { TAB_ID, claimTimer, useTimerOwnership } from './tabSync';
+
+const SEC = 1000;
+const lease = () => JSON.parse(localStorage.getItem('fb_timer_owner'));
+const otherTab = (ago = 0, extra = {}) =>
+  localStorage.setItem('fb_timer_owner', JSON.stringify({ id: 'other', at: Date.now() - ago, hidden: false, ...extra }));
+
+let hidden;
+
+beforeAll(() => {
+  Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  hidden = false;
+  jest.useFakeTimers({ now: Date.now() });
+});
+
+afterEach(() => jest.useRealTimers());
+
+test('claims a free lease and renews its own', () => {
+  expect(claimTimer()).toBe(true);
+  expect(lease()).toEqual({ id: TAB_ID, at: Date.now(), hidden: false });
+
+  jest.advanceTimersByTime(2 * SEC);
+  expect(claimTimer()).toBe(true);
+  expect(lease().at).toBe(Date.now());
+});
+
+test('backs off while another tab holds the lease, also a throttled one', () => {
+  otherTab();
+  expect(claimTimer()).toBe(false);
+  // a background tab only gets to renew about once a minute
+  otherTab(60 * SEC, { hidden: true });
+  hidden = true;
+  expect(claimTimer()).toBe(false);
+  expect(lease().id).toBe('other');
+});
+
+test('takes over once the lease expires', () => {
+  otherTab(76 * SEC);
+  expect(claimTimer()).toBe(true);
+  expect(lease().id).toBe(TAB_ID);
+});
+
+test('a visible tab takes over from a hidden owner', () => {
+  otherTab(10 * SEC, { hidden: true });
+  expect(claimTimer()).toBe(true);
+  expect(lease().id).toBe(TAB_ID);
+});
+
+test('the hook hands the lease over when the owner goes away', () => {
+  const { result, unmount } = renderHook(() => useTimerOwnership());
+  expect(result.current).toBe(true);
+
+  // another tab comes to the front while we're in the background
+  act(() => {
+    hidden = true;
+    document.dispatchEvent(new Event('visibilitychange'));
+  });
+  expect(lease().hidden).toBe(true);
+  act(() => {
+    otherTab();
+    jest.advanceTimersByTime(2 * SEC);
+  });
+  expect(result.current).toBe(false);
+
+  // we come back before the other tab gives it up: it keeps the lease
+  act(() => {
+    hidden = false;
+    document.dispatchEvent(new Event('visibilitychange'));
+  });
+  expect(result.current).toBe(false);
+
+  unmount();
+  expect(lease().id).toBe('other');
+  otherTab(76 * SEC);
+  const view = renderHook(() => useTimerOwnership());
+  expect(view.result.current).toBe(true);
+  view.unmount();
+  expect(localStorage.getItem('fb_timer_owner')).toBeNull(); // released on the way out
+});
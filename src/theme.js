@@ -0,0 +1,65 @@
+import { useEffect, useState } from "react";
+
+// =====================
+// Appearance – color scheme + timer visuals
+// - fb_theme: "system" follows prefers-color-scheme, "light"/"dark" override it;
+//   dark mode is the `dark` class on <html> (tokens live in index.css)
+// - fb_visuals: phase colors plus what the ring and spark trail use
+//   ring:  "neutral" (text color) | "phase" | "#rrggbb"
+//   trail: "phase" | "#rrggbb"
+// =====================
+
+export const THEMES = [["system", "System"], ["light", "Light"], ["dark", "Dark"]];
+
+export const PALETTES = [
+  { id: "classic", name: "Classic", phases: { focus: "#f59e0b", break: "#10b981", longBreak: "#6366f1" } },
+  { id: "ocean", name: "Ocean", phases: { focus: "#0ea5e9", break: "#14b8a6", longBreak: "#8b5cf6" } },
+  { id: "sunset", name: "Sunset", phases: { focus: "#f43f5e", break: "#f97316", longBreak: "#a855f7" } },
+  { id: "forest", name: "Forest", phases: { focus: "#65a30d", break: "#0d9488", longBreak: "#ca8a04" } },
+  { id: "mono", name: "Mono", phases: { focus: "#6b7280", break: "#9ca3af", longBreak: "#4b5563" } },
+];
+
+export const DEFAULT_VISUALS = { ring: "neutral", trail: "phase", phases: PALETTES[0].phases };
+
+// Fill in anything missing from older/partial saved settings
+export const resolveVisuals = (saved) => ({
+  ...DEFAULT_VISUALS,
+  ...saved,
+  phases: { ...DEFAULT_VISUALS.phases, ...(saved && saved.phases) },
+});
+
+export const phaseColor = (visuals, phase) => visuals.phases[phase] || visuals.phases.break;
+
+// undefined = leave it to the stroke class (neutral)
+export const ringColor = (visuals, phase) =>
+  visuals.ring === "neutral" ? undefined : visuals.ring === "phase" ? phaseColor(visuals, phase) : visuals.ring;
+
+export const trailColor = (visuals, phase) => (visuals.trail === "phase" ? phaseColor(visuals, phase) : visuals.trail);
+
+export const paletteId = (visuals) =>
+  (PALETTES.find((p) => Object.keys(p.phases).every((k) => p.phases[k] === visuals.phases[k])) || { id: "custom" }).id;
+
+const darkQuery = () => (window.matchMedia ? window.matchMedia("(prefers-color-scheme: dark)") : null);
+
+// Applies the theme to <html> and returns whether dark mode is on
+export const useColorScheme = (theme) => {
+  const [systemDark, setSystemDark] = useState(() => !!darkQuery()?.matches);
+
+  useEffect(() => {
+    const query = darkQuery();
+    if (!query) return;
+    const onChange = (e) => setSystemDark(e.matches);
+    query.addEventListener("change", onChange);
+    return () => query.removeEventListener("change", onChange);
+  }, []);
+
+  const dark = theme === "dark" || (theme === "system" && systemDark);
+
+  useEffect(() => {
+    document.documentElement.classList.toggle("dark", dark);
+    const meta = document.querySelector('meta[name="theme-color"]');
+    if (meta) meta.setAttribute("content", dark ? "#0b0f19" : "#111827");
+  }, [dark]);
+
+  return dark;
+};
@@ -0,0 +1,11 @@
+import { PALETTES, paletteId, resolveVisuals, ringColor, trailColor } from './theme';
+
+test('saved visuals are completed with defaults and resolve per phase', () => {
+  const visuals = resolveVisuals({ ring: 'phase', phases: { focus: '#123456' } });
+  expect(visuals.phases.break).toBe(PALETTES[0].phases.break);
+  expect(ringColor(visuals, 'focus')).toBe('#123456');
+  expect(ringColor({ ...visuals, ring: 'neutral' }, 'focus')).toBeUndefined();
+  expect(trailColor({ ...visuals, trail: '#abcdef' }, 'break')).toBe('#abcdef');
+  expect(paletteId(visuals)).toBe('custom');
+  expect(paletteId(resolveVisuals({ phases: PALETTES[1].phases }))).toBe('ocean');
+});
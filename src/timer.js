@@ -0,0 +1,121 @@
+// =====================
+// Timer engine – wall-clock based
+// We never count ticks: a running phase stores its absolute deadline (`endAt`),
+// so throttled background intervals and page reloads can't make it drift.
+//
+// Shape persisted in localStorage (fb_timer):
+//   { startAt, endAt, pausedAt, pausedMs, pauses, pauseReason }
+//   - idle:    startAt === null
+//   - running: endAt set, pausedAt === null
+//   - paused:  pausedAt set (deadline is pushed back on resume)
+//   - pauses:  finished pause intervals [{ from, to, reason }], where reason is
+//              null | "internal" | "external" (tagged while paused), or
+//              "idle" when we paused because nobody was there (see ./idle)
+//   - mode:    absent for a regular countdown; "flow" counts up with no
+//              deadline (endAt === null) until ended by hand, "until" runs to
+//              a wall-clock time that pauses don't push back
+// =====================
+
+export const IDLE_TIMER = { startAt: null, endAt: null, pausedAt: null, pausedMs: 0, pauses: [], pauseReason: null };
+
+export const PAUSE_REASONS = ["internal", "external"];
+
+export const FOCUS_MODES = ["timer", "flow", "until"];
+
+export const isTimerRunning = (timer) => (!!timer.endAt || timer.mode === "flow") && !timer.pausedAt;
+
+export const isTimerIdle = (timer) => !timer.startAt;
+
+// Start a fresh phase, or resume a paused one by shifting its deadline
+// ("until" keeps its deadline; only the part of the pause before it counts)
+export const startTimer = (timer, totalSec, at = Date.now()) => {
+  if (timer.pausedAt && timer.startAt) {
+    const fixed = timer.mode === "until";
+    const to = fixed ? Math.min(at, Math.max(timer.pausedAt, timer.endAt)) : at;
+    const gap = Math.max(0, to - timer.pausedAt);
+    return {
+      ...timer,
+      endAt: timer.endAt && !fixed ? timer.endAt + gap : timer.endAt,
+      pausedAt: null,
+      pausedMs: (timer.pausedMs || 0) + gap,
+      pauses: [...(timer.pauses || []), { from: timer.pausedAt, to, reason: timer.pauseReason || null }],
+      pauseReason: null,
+    };
+  }
+  return { ...IDLE_TIMER, startAt: at, endAt: at + totalSec * 1000 };
+};
+
+// Flow: an open-ended count-up
+export const startFlow = (at = Date.now()) => ({ ...IDLE_TIMER, startAt: at, mode: "flow" });
+
+// Focus until a wall-clock deadline (ms)
+export const startUntil = (untilAt, at = Date.now()) => ({ ...IDLE_TIMER, startAt: at, endAt: untilAt, mode: "until" });
+
+// Active length an "until" phase was started with, pauses taken out
+export const plannedSec = (timer) =>
+  timer.startAt && timer.endAt ? Math.max(0, Math.round((timer.endAt - timer.startAt - (timer.pausedMs || 0)) / 1000)) : 0;
+
+// "14:00" later today as a timestamp; null if it's malformed or already passed
+export const clockTimeToday = (hhmm = "", at = Date.now()) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  if (!Number.isInteger(h) || !Number.isInteger(m)) return null;
+  const d = new Date(at);
+  d.setHours(h, m, 0, 0);
+  return d.getTime() > at ? d.getTime() : null;
+};
+
+// Break earned by a flow session: 1 minute per `ratio` minutes of focus
+export const flowBreakMin = (focusSec, ratio = 5) => Math.max(1, Math.round(focusSec / 60 / Math.max(1, ratio)));
+
+export const pauseTimer = (timer, at = Date.now()) => (
+  isTimerRunning(timer) ? { ...timer, pausedAt: at, pauseReason: null } : timer
+);
+
+// One-tap "why did I stop?" for the pause in progress
+export const tagPause = (timer, reason) => (timer.pausedAt ? { ...timer, pauseReason: reason } : timer);
+
+// Every pause of the phase so far, including one still in progress at `at`
+// (unless it only begins at `at`)
+export const pauseIntervals = (timer, at = Date.now()) => [
+  ...(timer.pauses || []),
+  ...(timer.pausedAt && at > timer.pausedAt ? [{ from: timer.pausedAt, to: at, reason: timer.pauseReason || null }] : []),
+];
+
+// Seconds left on the clock (whole seconds, rounded up so "00:00" means done)
+export const remainingSec = (timer, totalSec, at = Date.now()) => {
+  if (!timer.endAt) return totalSec;
+  const ref = timer.pausedAt ?? at;
+  return Math.max(0, Math.ceil((timer.endAt - ref) / 1000));
+};
+
+// Active (non-paused) seconds spent in the phase up to `at`
+export const elapsedSec = (timer, at = Date.now()) => {
+  if (!timer.startAt) return 0;
+  const ref = Math.min(timer.pausedAt ?? at, timer.endAt ?? at);
+  return Math.max(0, Math.round((ref - timer.startAt - (timer.pausedMs || 0)) / 1000));
+};
+
+// True once a running phase has passed its deadline (e.g. while the tab was closed)
+export const isTimerDue = (timer, at = Date.now()) => isTimerRunning(timer) && !!timer.endAt && at >= timer.endAt;
+
+// Clock display: "mm:ss", or "h:mm:ss" once a phase runs an hour or longer
+const pad = (n) => String(n).padStart(2, "0");
+export const fmtTime = (sec) => {
+  const s = Math.max(0, Math.floor(sec));
+  const h = Math.floor(s / 3600);
+  const mmss = `${pad(Math.floor((s % 3600) / 60))}:${pad(s % 60)}`;
+  return h ? `${h}:${mmss}` : mmss;
+};
+
+// ===== Pomodoro cycle =====
+// `round` is the 1-based focus block within the current cycle; after the
+// `every`-th focus block we take a long break and start over at round 1.
+export const PHASES = ["focus", "break", "longBreak"];
+
+export const nextPhase = ({ phase, round = 1, every = 4 }) => {
+  if (phase === "focus") {
+    return { phase: round >= every ? "longBreak" : "break", round };
+  }
+  if (phase === "longBreak") return { phase: "focus", round: 1 };
+  return { phase: "focus", round: Math.min(round + 1, every) };
+};
@@ -0,0 +1,168 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import App from './App';
+import {
+  IDLE_TIMER,
+  clockTimeToday,
+  elapsedSec,
+  flowBreakMin,
+  fmtTime,
+  isTimerDue,
+  isTimerRunning,
+  nextPhase,
+  pauseIntervals,
+  pauseTimer,
+  plannedSec,
+  remainingSec,
+  startFlow,
+  startTimer,
+  startUntil,
+  tagPause,
+} from './timer';
+
+const T0 = 1_700_000_000_000;
+
+test('remaining time is derived from the deadline, not from ticks', () => {
+  const timer = startTimer(IDLE_TIMER, 25 * 60, T0);
+  expect(remainingSec(timer, 25 * 60, T0)).toBe(25 * 60);
+  // a throttled tab that only wakes up after 10 minutes still sees the right value
+  expect(remainingSec(timer, 25 * 60, T0 + 10 * 60 * 1000)).toBe(15 * 60);
+  expect(isTimerDue(timer, T0 + 25 * 60 * 1000)).toBe(true);
+});
+
+test('pausing pushes the deadline back and accumulates paused time', () => {
+  let timer = startTimer(IDLE_TIMER, 60, T0);
+  timer = pauseTimer(timer, T0 + 20_000);
+  expect(remainingSec(timer, 60, T0 + 500_000)).toBe(40);
+  expect(isTimerDue(timer, T0 + 500_000)).toBe(false);
+
+  timer = startTimer(timer, 60, T0 + 50_000);
+  expect(timer.pausedMs).toBe(30_000);
+  expect(timer.endAt).toBe(T0 + 90_000);
+  expect(elapsedSec(timer, T0 + 90_000)).toBe(60);
+});
+
+test('a long break follows every N-th focus block, then the cycle restarts', () => {
+  const every = 3;
+  let state = { phase: 'focus', round: 1 };
+  const seen = [];
+  for (let i = 0; i < 7; i++) {
+    state = nextPhase({ ...state, every });
+    seen.push(`${state.phase}:${state.round}`);
+  }
+  expect(seen).toEqual([
+    'break:1', 'focus:2', 'break:2', 'focus:3', 'longBreak:3', 'focus:1', 'break:1',
+  ]);
+});
+
+test('pauses are kept as intervals with an optional reason', () => {
+  let timer = startTimer(IDLE_TIMER, 60, T0);
+  timer = tagPause(pauseTimer(timer, T0 + 10_000), 'external');
+  timer = startTimer(timer, 60, T0 + 15_000);
+  timer = pauseTimer(timer, T0 + 30_000);
+  expect(pauseIntervals(timer, T0 + 32_000)).toEqual([
+    { from: T0 + 10_000, to: T0 + 15_000, reason: 'external' },
+    { from: T0 + 30_000, to: T0 + 32_000, reason: null },
+  ]);
+  expect(startTimer(IDLE_TIMER, 60, T0).pauses).toEqual([]);
+});
+
+test('the clock shows hours once a phase runs an hour or longer', () => {
+  expect(fmtTime(25 * 60)).toBe('25:00');
+  expect(fmtTime(59)).toBe('00:59');
+  expect(fmtTime(90 * 60 + 5)).toBe('1:30:05');
+  expect(fmtTime(-3)).toBe('00:00');
+});
+
+test('flow counts up with no deadline and earns a proportional break', () => {
+  let timer = startFlow(T0);
+  expect(isTimerRunning(timer)).toBe(true);
+  expect(isTimerDue(timer, T0 + 10 * 3600 * 1000)).toBe(false);
+  timer = startTimer(pauseTimer(timer, T0 + 20 * 60 * 1000), 0, T0 + 25 * 60 * 1000);
+  expect(timer.endAt).toBeNull();
+  expect(elapsedSec(timer, T0 + 55 * 60 * 1000)).toBe(50 * 60);
+  expect(flowBreakMin(50 * 60, 5)).toBe(10);
+  expect(flowBreakMin(60, 5)).toBe(1);
+});
+
+test('a focus-until deadline stays put through pauses', () => {
+  const until = T0 + 60 * 60 * 1000;
+  let timer = pauseTimer(startUntil(until, T0), T0 + 10 * 60 * 1000);
+  timer = startTimer(timer, 0, T0 + 15 * 60 * 1000);
+  expect(timer.endAt).toBe(until);
+  expect(plannedSec(timer)).toBe(55 * 60);
+
+  // resumed only after the deadline: just the pause before it counts
+  timer = startTimer(pauseTimer(timer, T0 + 50 * 60 * 1000), 0, T0 + 70 * 60 * 1000);
+  expect(isTimerDue(timer, T0 + 70 * 60 * 1000)).toBe(true);
+  expect(elapsedSec(timer, until)).toBe(45 * 60);
+});
+
+test('focus-until times must still lie ahead today', () => {
+  const at = new Date(2024, 4, 6, 13, 30).getTime();
+  expect(clockTimeToday('14:00', at)).toBe(new Date(2024, 4, 6, 14, 0).getTime());
+  expect(clockTimeToday('13:00', at)).toBeNull();
+  expect(clockTimeToday('', at)).toBeNull();
+});
+
+test('finishing a flow session leads into the break it earned', async () => {
+  localStorage.clear();
+  const now = Date.now();
+  localStorage.setItem('fb_focusMode', JSON.stringify('flow'));
+  localStorage.setItem('fb_autoStart', JSON.stringify(false));
+  localStorage.setItem('fb_timer', JSON.stringify({ ...startFlow(now - 40 * 60 * 1000) }));
+  jest.useFakeTimers({ now });
+  try {
+    render(<App />);
+    expect(await screen.findByRole('timer')).toHaveTextContent('40:00');
+    expect(screen.getByText('Break earned:')).toHaveTextContent('Break earned: 8 min');
+
+    fireEvent.click(screen.getByText('Done'));
+    expect(await screen.findByRole('timer')).toHaveTextContent('08:00');
+    expect(screen.getByText('Window:')).toHaveTextContent('Window: 8 min');
+    expect(screen.queryByText('Done')).toBeNull();
+  } finally {
+    jest.useRealTimers();
+    localStorage.clear();
+  }
+});
+
+test('the first pause already shows up as an interruption', async () => {
+  localStorage.clear();
+  const now = Date.now();
+  // paused two minutes ago, 10 minutes into a 25-minute block, no earlier pauses
+  localStorage.setItem('fb_timer', JSON.stringify({
+    startAt: now - 12 * 60 * 1000, endAt: now + 15 * 60 * 1000, pausedAt: now - 2 * 60 * 1000, pausedMs: 0, pauses: [], pauseReason: null,
+  }));
+  try {
+    render(<App />);
+    expect(await screen.findByText('Interruptions:')).toHaveTextContent('Interruptions: 1');
+  } finally {
+    localStorage.clear();
+  }
+});
+
+test('with auto-start, the focus after an earned break flows again', async () => {
+  localStorage.clear();
+  const now = Date.now();
+  localStorage.setItem('fb_focusMode', JSON.stringify('flow'));
+  localStorage.setItem('fb_timer', JSON.stringify({ ...startFlow(now - 40 * 60 * 1000) }));
+  jest.useFakeTimers({ now });
+  try {
+    render(<App />);
+    fireEvent.click(await screen.findByText('Done'));
+    expect(await screen.findByRole('timer')).toHaveTextContent('08:00');
+    const brk = JSON.parse(localStorage.getItem('fb_timer'));
+    expect(brk.endAt - brk.startAt).toBe(8 * 60 * 1000); // running: auto-start is on
+
+    await act(async () => {
+      jest.advanceTimersByTime(8 * 60 * 1000 + 2000);
+    });
+    expect(await screen.findByText('Done')).toBeInTheDocument();
+    const timer = JSON.parse(localStorage.getItem('fb_timer'));
+    expect(timer).toMatchObject({ mode: 'flow', endAt: null });
+    expect(timer.startAt).toBe(brk.endAt); // chained from the break's deadline
+  } finally {
+    jest.useRealTimers();
+    localStorage.clear();
+  }
+});
@@ -1,9 +1,24 @@
 /** @type {import('tailwindcss').Config} */
+
+// Neutral colors (and the few light tints/accents used on them) come from CSS
+// variables, so the dark theme is one set of overrides in index.css instead
+// of a `dark:` variant on every class.
+const rgbVar = (name) => `rgb(var(--${name}) / <alpha-value>)`;
+const scale = (name, steps) => Object.fromEntries(steps.map((s) => [s, rgbVar(`${name}-${s}`)]));
+
 module.exports = {
   content: ["./src/**/*.{js,jsx,ts,tsx}"],
+  darkMode: "class",
   theme: {
-    extend: {},
+    extend: {
+      colors: {
+        white: rgbVar("white"),
+        gray: scale("gray", [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950]),
+        amber: { 50: rgbVar("amber-50"), 700: rgbVar("amber-700") },
+        red: { 50: rgbVar("red-50"), 600: rgbVar("red-600") },
+        indigo: { 700: rgbVar("indigo-700") },
+      },
+    },
   },
   plugins: [],
 }
-